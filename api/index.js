@@ -10,15 +10,100 @@ const {
     updatePrinter, 
     getPrinters,
     discoverPrinters,
-    getAvailableDrivers
+    getAvailableDrivers,
+    getPrinterHealth,
+    getCounterReport,
+    getDriverSuggestions
 } = require('../src/printers/controllers/printers');
 
+// Printer Groups
+const { 
+    getGroups, 
+    getGroup, 
+    createGroup, 
+    updateGroup, 
+    deleteGroup 
+} = require('../src/printers/controllers/groups');
+
 // Files
-const { getFiles, updateSynced, deleteFile } = require('../src/files/controllers/files');
+const { 
+    getFiles, 
+    updateSynced, 
+    deleteFile, 
+    getPreview, 
+    editPages, 
+    restorePages 
+} = require('../src/files/controllers/files');
 const { deleteAll } = require('../src/files/controllers/deleteAll');
 
 // Print File
-const { printFile } = require('../src/files/controllers/print');
+const { printFile, printBatch } = require('../src/files/controllers/print');
+
+// Print Jobs
+const { 
+    getJobs, 
+    getJob, 
+    cancelJob, 
+    holdJob, 
+    releaseJob, 
+    moveJob 
+} = require('../src/jobs/controllers/jobs');
+
+// Print Queue
+const { getQueue, cancelQueueItem } = require('../src/jobs/controllers/queue');
+
+// Print Schedules
+const { 
+    getSchedules, 
+    createSchedule, 
+    updateSchedule, 
+    deleteSchedule, 
+    getScheduledJobs, 
+    rescheduleJob 
+} = require('../src/jobs/controllers/schedules');
+
+// Secure Release
+const { 
+    getSecureJobs, 
+    releaseSecureJob, 
+    cancelSecureJob 
+} = require('../src/jobs/controllers/secure');
+
+// Stamps
+const { 
+    getStamps, 
+    createStamp, 
+    updateStamp, 
+    deleteStamp 
+} = require('../src/stamps/controllers/stamps');
+
+// Quotas
+const { 
+    getQuotas, 
+    createQuota, 
+    updateQuota, 
+    deleteQuota, 
+    getBalance, 
+    createTopup, 
+    getDepartments, 
+    setDepartment 
+} = require('../src/quotas/controllers/quotas');
+
+// Costs
+const { 
+    getPrices, 
+    setPrices, 
+    deletePrices, 
+    getCostReport 
+} = require('../src/costs/controllers/costs');
+
+// Tasks
+const { 
+    getTasks, 
+    updateTask, 
+    runTaskNow, 
+    getTaskRuns 
+} = require('../src/task/controllers/tasks');
 
 // Sync
 const { getSyncInfo } = require('../src/sync/controllers/getInfo');
@@ -33,9 +118,24 @@ router.post('/printers', createPrinter);
 router.put('/printers', updatePrinter);
 router.get('/printers/discover', discoverPrinters);
 router.get('/printers/drivers', getAvailableDrivers);
+router.get('/printers/drivers/suggestions', getDriverSuggestions);
+router.get('/printers/counters/report', getCounterReport);
+
+// Printer Groups
+router.get('/printers/groups', getGroups);
+router.get('/printers/groups/:id', getGroup);
+router.post('/printers/groups', createGroup);
+router.put('/printers/groups/:id', updateGroup);
+router.delete('/printers/groups/:id', deleteGroup);
+
+// Printer Health
+router.get('/printers/:id/health', getPrinterHealth);
 
 // Files
 router.get('/files', getFiles);
+router.get('/files/:id/preview', getPreview);
+router.patch('/files/:id/pages', editPages);
+router.post('/files/:id/pages/restore', restorePages);
 router.delete('/files/:id', deleteFile);
 router.delete('/files/delete-all', deleteAll);
 
@@ -50,6 +150,61 @@ router.post('/sync/printers', syncPrinters);
 
 // Print File
 router.post('/print', printFile);
+router.post('/print/batch', printBatch);
+
+// Print Jobs
+router.get('/print/jobs', getJobs);
+router.get('/print/jobs/:id', getJob);
+router.post('/print/jobs/:id/cancel', cancelJob);
+router.post('/print/jobs/:id/hold', holdJob);
+router.post('/print/jobs/:id/release', releaseJob);
+router.post('/print/jobs/:id/move', moveJob);
+
+// Print Queue
+router.get('/print/queue', getQueue);
+router.delete('/print/queue/:id', cancelQueueItem);
+
+// Print Schedules
+router.get('/print/schedules', getSchedules);
+router.post('/print/schedules', createSchedule);
+router.put('/print/schedules/:id', updateSchedule);
+router.delete('/print/schedules/:id', deleteSchedule);
+router.get('/print/scheduled', getScheduledJobs);
+router.patch('/print/scheduled/:id', rescheduleJob);
+router.delete('/print/scheduled/:id', cancelQueueItem);
+
+// Secure Release
+router.get('/print/secure', getSecureJobs);
+router.post('/print/secure/:id/release', releaseSecureJob);
+router.delete('/print/secure/:id', cancelSecureJob);
+
+// Stamps
+router.get('/stamps', getStamps);
+router.post('/stamps', createStamp);
+router.put('/stamps/:id', updateStamp);
+router.delete('/stamps/:id', deleteStamp);
+
+// Quotas
+router.get('/quotas', getQuotas);
+router.post('/quotas', createQuota);
+router.get('/quotas/balance', getBalance);
+router.get('/quotas/departments', getDepartments);
+router.put('/quotas/departments/:username', setDepartment);
+router.put('/quotas/:id', updateQuota);
+router.delete('/quotas/:id', deleteQuota);
+router.post('/quotas/:id/topups', createTopup);
+
+// Costs
+router.get('/costs/prices', getPrices);
+router.put('/costs/prices/:printerId', setPrices);
+router.delete('/costs/prices/:printerId', deletePrices);
+router.get('/costs/report', getCostReport);
+
+// Tasks
+router.get('/tasks', getTasks);
+router.put('/tasks/:id', updateTask);
+router.post('/tasks/:id/run', runTaskNow);
+router.get('/tasks/:id/runs', getTaskRuns);
 
 // Teste
 router.get('/', async (request, response) => {
@@ -14,11 +14,14 @@ const apiRouter = require('./api/index');
 const { userInfo } = require('./middleware/userInfo');
 
 // Importações de tarefas
-// const { schedulerInit } = require('./src/task/controllers/init');
+const { schedulerInit } = require('./src/task/controllers/init');
 
 // Importações de monitor
 const { monitorStart } = require('./src/monitor/controllers/monitor');
 
+// Importações da fila de impressão
+const { queueStart } = require('./src/jobs/controllers/queue');
+
 // Importação do teste do banco
 const { test } = require('./src/test/controllers/test');
 (async () => {
@@ -36,11 +39,14 @@ app.use(logger('dev'));
 app.use(userInfo);
 
 // Tarefas
-// schedulerInit();
+schedulerInit();
 
 // Monitor
 monitorStart();
 
+// Fila de impressão
+queueStart();
+
 // CORS
 app.use(cors());
 
@@ -0,0 +1 @@
+ALTER TABLE print_management.files ADD COLUMN IF NOT EXISTS printOptions jsonb DEFAULT NULL;
@@ -0,0 +1 @@
+ALTER TABLE print_management.files DROP COLUMN IF EXISTS printOptions;
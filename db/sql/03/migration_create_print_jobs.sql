@@ -0,0 +1,25 @@
+CREATE TYPE print_management.print_job_status AS ENUM ('pending', 'held', 'processing', 'completed', 'aborted', 'canceled');
+
+CREATE TABLE IF NOT EXISTS print_management.print_jobs (
+    id varchar(50) NOT NULL,
+    cupsJobId int DEFAULT NULL,
+    cupsRequestId varchar(100) DEFAULT NULL,
+    fileId varchar(50) NOT NULL,
+    printerId varchar(50) NOT NULL,
+    printerName varchar(50) NOT NULL,
+    options jsonb DEFAULT NULL,
+    pages int DEFAULT NULL,
+    copies int NOT NULL DEFAULT 1,
+    status print_management.print_job_status NOT NULL DEFAULT 'pending',
+    statusMessage text DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    completedAt timestamp DEFAULT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (fileId) REFERENCES print_management.files(id),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id)
+);
+
+CREATE INDEX IF NOT EXISTS print_jobs_status_idx ON print_management.print_jobs (status);
+
+GRANT USAGE ON TYPE print_management.print_job_status TO postgres_print;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS print_management.print_jobs;
+
+DROP TYPE IF EXISTS print_management.print_job_status;
@@ -0,0 +1,3 @@
+ALTER TABLE print_management.print_jobs ADD COLUMN IF NOT EXISTS transport varchar(10) NOT NULL DEFAULT 'cups';
+ALTER TABLE print_management.print_jobs ADD COLUMN IF NOT EXISTS ippJobId int DEFAULT NULL;
+ALTER TABLE print_management.print_jobs ADD COLUMN IF NOT EXISTS ippPrinterUri varchar(255) DEFAULT NULL;
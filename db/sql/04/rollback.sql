@@ -0,0 +1,3 @@
+ALTER TABLE print_management.print_jobs DROP COLUMN IF EXISTS ippPrinterUri;
+ALTER TABLE print_management.print_jobs DROP COLUMN IF EXISTS ippJobId;
+ALTER TABLE print_management.print_jobs DROP COLUMN IF EXISTS transport;
@@ -0,0 +1,29 @@
+CREATE TYPE print_management.print_queue_status AS ENUM ('queued', 'processing', 'dispatched', 'failed', 'canceled');
+
+CREATE TABLE IF NOT EXISTS print_management.print_queue (
+    id varchar(50) NOT NULL,
+    fileId varchar(50) NOT NULL,
+    printerId varchar(50) NOT NULL,
+    originalPrinterId varchar(50) NOT NULL,
+    options jsonb DEFAULT NULL,
+    direct BOOLEAN NOT NULL DEFAULT FALSE,
+    status print_management.print_queue_status NOT NULL DEFAULT 'queued',
+    attempts int NOT NULL DEFAULT 0,
+    nextAttemptAt timestamp NOT NULL,
+    lastError text DEFAULT NULL,
+    jobId varchar(50) DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (fileId) REFERENCES print_management.files(id),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id),
+    FOREIGN KEY (originalPrinterId) REFERENCES print_management.printers(id),
+    FOREIGN KEY (jobId) REFERENCES print_management.print_jobs(id)
+);
+
+CREATE INDEX IF NOT EXISTS print_queue_status_next_idx ON print_management.print_queue (status, nextAttemptAt);
+
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS fallback_printer_id varchar(50) DEFAULT NULL;
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS failover_after int DEFAULT NULL;
+
+GRANT USAGE ON TYPE print_management.print_queue_status TO postgres_print;
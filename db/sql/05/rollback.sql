@@ -0,0 +1,6 @@
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS failover_after;
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS fallback_printer_id;
+
+DROP TABLE IF EXISTS print_management.print_queue;
+
+DROP TYPE IF EXISTS print_management.print_queue_status;
@@ -0,0 +1,20 @@
+CREATE TABLE IF NOT EXISTS print_management.printer_groups (
+    id varchar(50) NOT NULL,
+    name varchar(50) NOT NULL,
+    description text DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    deletedAt timestamp DEFAULT NULL,
+    PRIMARY KEY (id)
+);
+
+CREATE TABLE IF NOT EXISTS print_management.printer_group_members (
+    groupId varchar(50) NOT NULL,
+    printerId varchar(50) NOT NULL,
+    createdAt timestamp NOT NULL,
+    PRIMARY KEY (groupId, printerId),
+    FOREIGN KEY (groupId) REFERENCES print_management.printer_groups(id) ON DELETE CASCADE,
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id)
+);
+
+CREATE INDEX IF NOT EXISTS printer_group_members_printer_idx ON print_management.printer_group_members (printerId);
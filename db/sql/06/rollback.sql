@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS print_management.printer_group_members;
+
+DROP TABLE IF EXISTS print_management.printer_groups;
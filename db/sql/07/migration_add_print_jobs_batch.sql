@@ -0,0 +1,3 @@
+ALTER TABLE print_management.print_jobs ADD COLUMN IF NOT EXISTS batchId varchar(50) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS print_jobs_batch_idx ON print_management.print_jobs (batchId);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS print_management.print_jobs_batch_idx;
+
+ALTER TABLE print_management.print_jobs DROP COLUMN IF EXISTS batchId;
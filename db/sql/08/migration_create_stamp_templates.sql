@@ -0,0 +1,19 @@
+CREATE TABLE IF NOT EXISTS print_management.stamp_templates (
+    id varchar(50) NOT NULL,
+    name varchar(50) NOT NULL,
+    text text NOT NULL,
+    position varchar(20) NOT NULL DEFAULT 'bottom-right',
+    fontSize int NOT NULL DEFAULT 10,
+    opacity numeric(3, 2) NOT NULL DEFAULT 1,
+    color varchar(7) NOT NULL DEFAULT '#000000',
+    pages varchar(100) NOT NULL DEFAULT 'all',
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    deletedAt timestamp DEFAULT NULL,
+    PRIMARY KEY (id)
+);
+
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS stamp_template_id varchar(50) DEFAULT NULL;
+
+ALTER TABLE print_management.print_jobs ADD COLUMN IF NOT EXISTS username varchar(100) DEFAULT NULL;
+ALTER TABLE print_management.print_queue ADD COLUMN IF NOT EXISTS username varchar(100) DEFAULT NULL;
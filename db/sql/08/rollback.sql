@@ -0,0 +1,6 @@
+ALTER TABLE print_management.print_queue DROP COLUMN IF EXISTS username;
+ALTER TABLE print_management.print_jobs DROP COLUMN IF EXISTS username;
+
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS stamp_template_id;
+
+DROP TABLE IF EXISTS print_management.stamp_templates;
@@ -0,0 +1,2 @@
+ALTER TABLE print_management.files ADD COLUMN IF NOT EXISTS originalPath text DEFAULT NULL;
+ALTER TABLE print_management.files ADD COLUMN IF NOT EXISTS originalPages int DEFAULT NULL;
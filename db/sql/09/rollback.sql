@@ -0,0 +1,2 @@
+ALTER TABLE print_management.files DROP COLUMN IF EXISTS originalPages;
+ALTER TABLE print_management.files DROP COLUMN IF EXISTS originalPath;
@@ -0,0 +1,44 @@
+CREATE TABLE IF NOT EXISTS print_management.quotas (
+    id varchar(50) NOT NULL,
+    subjectType varchar(20) NOT NULL,
+    subject varchar(100) NOT NULL,
+    period varchar(10) NOT NULL,
+    pageLimit int NOT NULL,
+    colorLimit int DEFAULT NULL,
+    monoLimit int DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    deletedAt timestamp DEFAULT NULL,
+    PRIMARY KEY (id),
+    CHECK (subjectType IN ('user', 'department')),
+    CHECK (period IN ('day', 'week', 'month'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS quotas_subject_period_idx ON print_management.quotas (subjectType, subject, period) WHERE deletedAt IS NULL;
+
+CREATE TABLE IF NOT EXISTS print_management.quota_topups (
+    id varchar(50) NOT NULL,
+    quotaId varchar(50) NOT NULL,
+    kind varchar(10) NOT NULL DEFAULT 'total',
+    pages int NOT NULL,
+    reason text DEFAULT NULL,
+    expiresAt timestamp NOT NULL,
+    createdAt timestamp NOT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (quotaId) REFERENCES print_management.quotas(id),
+    CHECK (kind IN ('total', 'color', 'mono'))
+);
+
+CREATE INDEX IF NOT EXISTS quota_topups_quota_idx ON print_management.quota_topups (quotaId, expiresAt);
+
+CREATE TABLE IF NOT EXISTS print_management.user_departments (
+    username varchar(100) NOT NULL,
+    department varchar(100) NOT NULL,
+    updatedAt timestamp NOT NULL,
+    PRIMARY KEY (username)
+);
+
+ALTER TABLE print_management.print_jobs ADD COLUMN IF NOT EXISTS department varchar(100) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS print_jobs_username_idx ON print_management.print_jobs (username, createdAt);
+CREATE INDEX IF NOT EXISTS print_jobs_department_idx ON print_management.print_jobs (department, createdAt);
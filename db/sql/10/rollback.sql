@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS print_management.print_jobs_department_idx;
+DROP INDEX IF EXISTS print_management.print_jobs_username_idx;
+
+ALTER TABLE print_management.print_jobs DROP COLUMN IF EXISTS department;
+
+DROP TABLE IF EXISTS print_management.user_departments;
+
+DROP TABLE IF EXISTS print_management.quota_topups;
+
+DROP TABLE IF EXISTS print_management.quotas;
@@ -0,0 +1,16 @@
+CREATE TABLE IF NOT EXISTS print_management.printer_prices (
+    printerId varchar(50) NOT NULL,
+    monoPage numeric(10, 4) NOT NULL DEFAULT 0,
+    colorPage numeric(10, 4) NOT NULL DEFAULT 0,
+    duplexDiscount numeric(5, 2) NOT NULL DEFAULT 0,
+    mediaSurcharges jsonb NOT NULL DEFAULT '{}',
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    PRIMARY KEY (printerId),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id),
+    CHECK (duplexDiscount >= 0 AND duplexDiscount <= 100)
+);
+
+ALTER TABLE print_management.print_jobs ADD COLUMN IF NOT EXISTS cost numeric(12, 4) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS print_jobs_completed_idx ON print_management.print_jobs (completedAt) WHERE status = 'completed';
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS print_management.print_jobs_completed_idx;
+
+ALTER TABLE print_management.print_jobs DROP COLUMN IF EXISTS cost;
+
+DROP TABLE IF EXISTS print_management.printer_prices;
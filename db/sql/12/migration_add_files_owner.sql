@@ -0,0 +1,4 @@
+ALTER TABLE print_management.files ADD COLUMN IF NOT EXISTS owner varchar(100) DEFAULT NULL;
+ALTER TABLE print_management.files ADD COLUMN IF NOT EXISTS sourceHost varchar(255) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS files_owner_idx ON print_management.files (owner);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS print_management.files_owner_idx;
+
+ALTER TABLE print_management.files DROP COLUMN IF EXISTS sourceHost;
+ALTER TABLE print_management.files DROP COLUMN IF EXISTS owner;
@@ -0,0 +1,30 @@
+CREATE TYPE print_management.secure_release_status AS ENUM ('held', 'released', 'expired', 'canceled');
+
+CREATE TABLE IF NOT EXISTS print_management.secure_releases (
+    id varchar(50) NOT NULL,
+    fileId varchar(50) NOT NULL,
+    printerId varchar(50) NOT NULL,
+    options jsonb DEFAULT NULL,
+    direct BOOLEAN NOT NULL DEFAULT FALSE,
+    username varchar(100) DEFAULT NULL,
+    pinHash varchar(200) DEFAULT NULL,
+    codeHash varchar(200) NOT NULL,
+    status print_management.secure_release_status NOT NULL DEFAULT 'held',
+    failedAttempts int NOT NULL DEFAULT 0,
+    expiresAt timestamp NOT NULL,
+    releasedAt timestamp DEFAULT NULL,
+    jobId varchar(50) DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (fileId) REFERENCES print_management.files(id),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id),
+    FOREIGN KEY (jobId) REFERENCES print_management.print_jobs(id)
+);
+
+CREATE INDEX IF NOT EXISTS secure_releases_status_expires_idx ON print_management.secure_releases (status, expiresAt);
+
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS secure_release BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS secure_release_hours int DEFAULT NULL;
+
+GRANT USAGE ON TYPE print_management.secure_release_status TO postgres_print;
@@ -0,0 +1,8 @@
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS secure_release_hours;
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS secure_release;
+
+DROP INDEX IF EXISTS print_management.secure_releases_status_expires_idx;
+
+DROP TABLE IF EXISTS print_management.secure_releases;
+
+DROP TYPE IF EXISTS print_management.secure_release_status;
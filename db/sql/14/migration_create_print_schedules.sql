@@ -0,0 +1,17 @@
+CREATE TABLE IF NOT EXISTS print_management.print_schedules (
+    id varchar(50) NOT NULL,
+    name varchar(50) NOT NULL,
+    cron varchar(100) NOT NULL,
+    description text DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    deletedAt timestamp DEFAULT NULL,
+    PRIMARY KEY (id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS print_schedules_name_idx ON print_management.print_schedules (name) WHERE deletedAt IS NULL;
+
+ALTER TABLE print_management.print_queue ADD COLUMN IF NOT EXISTS scheduledFor timestamp DEFAULT NULL;
+ALTER TABLE print_management.print_queue ADD COLUMN IF NOT EXISTS scheduleId varchar(50) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS print_queue_scheduled_idx ON print_management.print_queue (scheduledFor) WHERE scheduledFor IS NOT NULL;
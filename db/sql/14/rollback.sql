@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS print_management.print_queue_scheduled_idx;
+
+ALTER TABLE print_management.print_queue DROP COLUMN IF EXISTS scheduleId;
+ALTER TABLE print_management.print_queue DROP COLUMN IF EXISTS scheduledFor;
+
+DROP INDEX IF EXISTS print_management.print_schedules_name_idx;
+
+DROP TABLE IF EXISTS print_management.print_schedules;
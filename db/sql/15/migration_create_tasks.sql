@@ -0,0 +1,34 @@
+CREATE TABLE IF NOT EXISTS print_management.tasks (
+    id varchar(50) NOT NULL,
+    name varchar(100) NOT NULL,
+    description text DEFAULT NULL,
+    cron varchar(100) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    timeoutMs int NOT NULL,
+    lastRunAt timestamp DEFAULT NULL,
+    lastStatus varchar(20) DEFAULT NULL,
+    lastDurationMs int DEFAULT NULL,
+    lastError text DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    PRIMARY KEY (id)
+);
+
+CREATE TABLE IF NOT EXISTS print_management.task_runs (
+    id varchar(50) NOT NULL,
+    taskId varchar(50) NOT NULL,
+    trigger varchar(20) NOT NULL,
+    status varchar(20) NOT NULL DEFAULT 'running',
+    startedAt timestamp NOT NULL,
+    finishedAt timestamp DEFAULT NULL,
+    durationMs int DEFAULT NULL,
+    errorMessage text DEFAULT NULL,
+    result jsonb DEFAULT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (taskId) REFERENCES print_management.tasks(id),
+    CHECK (trigger IN ('schedule', 'manual')),
+    CHECK (status IN ('running', 'success', 'failed', 'timeout'))
+);
+
+CREATE INDEX IF NOT EXISTS task_runs_task_started_idx ON print_management.task_runs (taskId, startedAt DESC);
+CREATE INDEX IF NOT EXISTS task_runs_started_idx ON print_management.task_runs (startedAt);
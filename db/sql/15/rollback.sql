@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS print_management.task_runs_started_idx;
+DROP INDEX IF EXISTS print_management.task_runs_task_started_idx;
+
+DROP TABLE IF EXISTS print_management.task_runs;
+
+DROP TABLE IF EXISTS print_management.tasks;
@@ -0,0 +1,18 @@
+CREATE TABLE IF NOT EXISTS print_management.printer_status_history (
+    id varchar(50) NOT NULL,
+    printerId varchar(50) NOT NULL,
+    reachable BOOLEAN NOT NULL,
+    state varchar(20) NOT NULL,
+    deviceStatus varchar(20) DEFAULT NULL,
+    printerStatus varchar(20) DEFAULT NULL,
+    errorStates jsonb NOT NULL DEFAULT '[]',
+    alerts jsonb NOT NULL DEFAULT '[]',
+    errorMessage text DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id),
+    CHECK (state IN ('ok', 'warning', 'error', 'offline', 'unknown'))
+);
+
+CREATE INDEX IF NOT EXISTS printer_status_history_printer_created_idx ON print_management.printer_status_history (printerId, createdAt DESC);
+CREATE INDEX IF NOT EXISTS printer_status_history_created_idx ON print_management.printer_status_history (createdAt);
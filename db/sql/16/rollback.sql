@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS print_management.printer_status_history_created_idx;
+DROP INDEX IF EXISTS print_management.printer_status_history_printer_created_idx;
+
+DROP TABLE IF EXISTS print_management.printer_status_history;
@@ -0,0 +1,51 @@
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS supply_alert_threshold int DEFAULT NULL CHECK (supply_alert_threshold BETWEEN 0 AND 100);
+
+CREATE TABLE IF NOT EXISTS print_management.printer_supplies (
+    printerId varchar(50) NOT NULL,
+    supplyIndex varchar(20) NOT NULL,
+    description varchar(255) DEFAULT NULL,
+    type varchar(40) NOT NULL,
+    class varchar(20) NOT NULL,
+    unit varchar(30) DEFAULT NULL,
+    maxCapacity int DEFAULT NULL,
+    level int DEFAULT NULL,
+    percent numeric(5, 2) DEFAULT NULL,
+    updatedAt timestamp NOT NULL,
+    PRIMARY KEY (printerId, supplyIndex),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id)
+);
+
+CREATE TABLE IF NOT EXISTS print_management.printer_input_trays (
+    printerId varchar(50) NOT NULL,
+    trayIndex varchar(20) NOT NULL,
+    name varchar(255) DEFAULT NULL,
+    mediaName varchar(255) DEFAULT NULL,
+    maxCapacity int DEFAULT NULL,
+    level int DEFAULT NULL,
+    percent numeric(5, 2) DEFAULT NULL,
+    updatedAt timestamp NOT NULL,
+    PRIMARY KEY (printerId, trayIndex),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id)
+);
+
+CREATE TABLE IF NOT EXISTS print_management.printer_supply_alerts (
+    id varchar(50) NOT NULL,
+    printerId varchar(50) NOT NULL,
+    kind varchar(10) NOT NULL,
+    itemIndex varchar(20) NOT NULL,
+    itemName varchar(255) DEFAULT NULL,
+    condition varchar(10) NOT NULL,
+    percent numeric(5, 2) DEFAULT NULL,
+    threshold int DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    updatedAt timestamp NOT NULL,
+    resolvedAt timestamp DEFAULT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id),
+    CHECK (kind IN ('supply', 'tray')),
+    CHECK (condition IN ('low', 'empty'))
+);
+
+-- Só pode existir um alerta em aberto por item
+CREATE UNIQUE INDEX IF NOT EXISTS printer_supply_alerts_open_idx ON print_management.printer_supply_alerts (printerId, kind, itemIndex) WHERE resolvedAt IS NULL;
+CREATE INDEX IF NOT EXISTS printer_supply_alerts_created_idx ON print_management.printer_supply_alerts (createdAt DESC);
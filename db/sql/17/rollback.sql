@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS print_management.printer_supply_alerts_created_idx;
+DROP INDEX IF EXISTS print_management.printer_supply_alerts_open_idx;
+
+DROP TABLE IF EXISTS print_management.printer_supply_alerts;
+
+DROP TABLE IF EXISTS print_management.printer_input_trays;
+
+DROP TABLE IF EXISTS print_management.printer_supplies;
+
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS supply_alert_threshold;
@@ -0,0 +1,12 @@
+CREATE TABLE IF NOT EXISTS print_management.printer_page_counters (
+    id varchar(50) NOT NULL,
+    printerId varchar(50) NOT NULL,
+    lifeCount bigint NOT NULL,
+    unit varchar(30) DEFAULT NULL,
+    createdAt timestamp NOT NULL,
+    PRIMARY KEY (id),
+    FOREIGN KEY (printerId) REFERENCES print_management.printers(id)
+);
+
+CREATE INDEX IF NOT EXISTS printer_page_counters_printer_created_idx ON print_management.printer_page_counters (printerId, createdAt DESC);
+CREATE INDEX IF NOT EXISTS printer_page_counters_created_idx ON print_management.printer_page_counters (createdAt);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS print_management.printer_page_counters_created_idx;
+DROP INDEX IF EXISTS print_management.printer_page_counters_printer_created_idx;
+
+DROP TABLE IF EXISTS print_management.printer_page_counters;
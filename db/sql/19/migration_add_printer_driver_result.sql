@@ -0,0 +1,2 @@
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS driver_model varchar(255) DEFAULT NULL;
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS driver_warning text DEFAULT NULL;
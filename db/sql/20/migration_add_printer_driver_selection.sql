@@ -0,0 +1,2 @@
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS driver_override varchar(255) DEFAULT NULL;
+ALTER TABLE print_management.printers ADD COLUMN IF NOT EXISTS driver_selection varchar(20) DEFAULT NULL CHECK (driver_selection IN ('everywhere', 'ppd', 'raw'));
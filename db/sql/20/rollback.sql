@@ -0,0 +1,2 @@
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS driver_selection;
+ALTER TABLE print_management.printers DROP COLUMN IF EXISTS driver_override;
@@ -0,0 +1,3 @@
+-- Receptáculos (ex.: toner residual) geram alertas de quase cheio e cheio
+ALTER TABLE print_management.printer_supply_alerts DROP CONSTRAINT IF EXISTS printer_supply_alerts_condition_check;
+ALTER TABLE print_management.printer_supply_alerts ADD CONSTRAINT printer_supply_alerts_condition_check CHECK (condition IN ('low', 'empty', 'almostFull', 'full'));
@@ -9,16 +9,170 @@ const CONSTANTS = {
     },
     LOG: {
         ERROR: 'error',
+        READ: 'read',
+        CREATE: 'create',
+        UPDATE: 'update',
+        DELETE: 'delete',
         MODULE: {
             MONITOR: 'monitor',
             PRINT_JOBS: 'print_jobs',
             PRINTERS: 'printers',
+            STAMPS: 'stamps',
+            QUOTAS: 'quotas',
+            COSTS: 'costs',
             TASK: 'task',
             USER: 'user',
         }
     },
     SAMBA: {
         BASE_PATH_FILES: '/srv/print_server'
+    },
+    QUEUE: {
+        MAX_ATTEMPTS: 12,
+        BASE_DELAY_MS: 1000 * 30, // 30 segundos
+        MAX_DELAY_MS: 1000 * 60 * 30, // 30 minutos
+        CONNECTION_TIMEOUT_MS: 3000
+    },
+    PRINT_JOB: {
+        // Tentativas de registrar um trabalho já aceito pelo CUPS ou pela impressora
+        RECORD_ATTEMPTS: 3,
+        RECORD_RETRY_DELAY_MS: 500
+    },
+    TASK: {
+        DEFAULT_TIMEOUT_MS: 1000 * 60 * 5, // 5 minutos
+        MAX_TIMEOUT_MS: 1000 * 60 * 60 * 6, // 6 horas
+        // Histórico de execuções mantido pela tarefa de limpeza
+        HISTORY_DAYS: 7,
+        MAX_RUNS: 500
+    },
+    SCHEDULE: {
+        // Limite para agendar uma impressão a partir de agora
+        MAX_DAYS: 30
+    },
+    SECURE_RELEASE: {
+        MIN_PIN_LENGTH: 4,
+        MAX_PIN_LENGTH: 8,
+        CODE_LENGTH: 6,
+        DEFAULT_HOURS: 24,
+        MAX_HOURS: 72,
+        MAX_FAILED_ATTEMPTS: 5
+    },
+    SNMP: {
+        // Podem ser alterados pelas variáveis SNMP_COMMUNITY e SNMP_VERSION
+        COMMUNITY: 'public',
+        VERSION: '2c',
+        PORT: 161,
+        TIMEOUT_MS: 2000,
+        RETRIES: 1,
+        HEALTH_HISTORY_DAYS: 30,
+        HEALTH_HISTORY_LIMIT: 50
+    },
+    SUPPLY: {
+        // Percentual padrão para o alerta de consumível baixo, alterável por SUPPLY_ALERT_THRESHOLD ou por impressora
+        ALERT_THRESHOLD: 15
+    },
+    DISCOVERY: {
+        // Portas que identificam uma impressora na varredura das sub-redes de DISCOVERY_SUBNETS
+        PORTS: {
+            socket: 9100,
+            ipp: 631,
+            lpd: 515
+        },
+        CONNECT_TIMEOUT_MS: 500,
+        CONCURRENCY: 32,
+        MAX_HOSTS: 1024,
+        // Prefixo usado para as interfaces locais quando DISCOVERY_SUBNETS não está definida
+        DEFAULT_PREFIX: 24
+    },
+    MDNS: {
+        ADDRESS: '224.0.0.251',
+        PORT: 5353,
+        // Serviços anunciados por impressoras IPP, AirPrint e de porta 9100
+        SERVICES: ['_ipp._tcp.local', '_ipps._tcp.local', '_pdl-datastream._tcp.local'],
+        BROWSE_TIMEOUT_MS: 3000
+    },
+    DRIVERS: {
+        // Pontuação mínima para usar a melhor sugestão sem confirmação
+        MIN_SCORE: 0.6,
+        HIGH_CONFIDENCE: 0.85,
+        MAX_SUGGESTIONS: 10,
+        CATALOG_CACHE_MS: 1000 * 60 * 10, // 10 minutos
+        // Formatos em document-format-supported que permitem a fila sem driver (-m everywhere)
+        DRIVERLESS_FORMATS: ['image/pwg-raster', 'application/pdf'],
+        ATTRIBUTES_TIMEOUT_MS: 5000,
+        // Caminho usado para consultar por IPP o endereço resolvido de uma impressora dnssd (rp do anúncio)
+        DNSSD_RESOURCE_PATH: 'ipp/print'
+    },
+    PAGE_COUNTER: {
+        // Leituras do contador de páginas mantidas para o relatório de conciliação
+        HISTORY_DAYS: 730
+    },
+    PREVIEW: {
+        DIR_NAME: '.previews',
+        DEFAULT_WIDTH: 300,
+        MIN_WIDTH: 32,
+        MAX_WIDTH: 2000,
+        TIMEOUT_MS: 1000 * 30 // 30 segundos
+    },
+    PAGE_EDIT: {
+        ORIGINALS_DIR: '.originals',
+        OPERATIONS: ['keep', 'remove', 'reorder', 'rotate'],
+        MAX_OPERATIONS: 50
+    },
+    QUOTA: {
+        SUBJECT_TYPES: ['user', 'department'],
+        PERIODS: ['day', 'week', 'month'],
+        TOPUP_KINDS: ['total', 'color', 'mono'],
+        // Trabalhos sem modo de cor definido são contabilizados como monocromáticos
+        DEFAULT_COLOR_MODE: 'monochrome',
+        DEFAULT_TOPUP_HOURS: 24
+    },
+    COST: {
+        // Colunas usadas para agrupar o relatório de custos
+        REPORT_GROUPS: {
+            user: 'username',
+            department: 'department',
+            printer: 'printerId'
+        },
+        REPORT_PERIODS: ['day', 'week', 'month'],
+        DECIMALS: 4
+    },
+    STAMP: {
+        POSITIONS: ['top-left', 'top-center', 'top-right', 'center', 'diagonal', 'bottom-left', 'bottom-center', 'bottom-right'],
+        PAGES: ['all', 'first', 'last', 'odd', 'even'],
+        MIN_FONT_SIZE: 4,
+        MAX_FONT_SIZE: 200,
+        MARGIN: 20,
+        PLACEHOLDERS: ['user', 'date', 'printer', 'jobId']
+    },
+    PRINT: {
+        MAX_COPIES: 999,
+        MAX_BATCH_FILES: 100,
+        BATCH_MODES: ['separate', 'merge'],
+        // Layouts de imposição e quantas páginas do original cabem em cada lado da folha
+        LAYOUTS: {
+            '2-up': 2,
+            '4-up': 4,
+            'booklet': 2
+        },
+        SIDES: ['one-sided', 'two-sided-long-edge', 'two-sided-short-edge'],
+        COLOR_MODES: ['color', 'monochrome'],
+        MEDIA: ['A3', 'A4', 'A5', 'B5', 'Letter', 'Legal', 'Executive'],
+        MEDIA_PWG: {
+            'A3': 'iso_a3_297x420mm',
+            'A4': 'iso_a4_210x297mm',
+            'A5': 'iso_a5_148x210mm',
+            'B5': 'iso_b5_176x250mm',
+            'Letter': 'na_letter_8.5x11in',
+            'Legal': 'na_legal_8.5x14in',
+            'Executive': 'na_executive_7.25x10.5in'
+        },
+        ORIENTATIONS: {
+            'portrait': 3,
+            'landscape': 4,
+            'reverse-landscape': 5,
+            'reverse-portrait': 6
+        }
     }
 }
 
@@ -9,7 +9,10 @@ const Log = require('../src/logs/models/logs');
  */
 const createLogDB = async (data) => {
     try {
-        const { entity, operation, beforeData, afterData, userInfo } = data;
+        const { 
+            logType = CONSTANTS.LOG.ERROR, entity, operation, beforeData, afterData, 
+            errorMessage, errorStack, userInfo 
+        } = data;
     
         if (Array.isArray(beforeData) || Array.isArray(afterData)) {
             return {
@@ -21,13 +24,13 @@ const createLogDB = async (data) => {
         await Log.insert([
             uuid(),
             new Date(),
-            CONSTANTS.LOG.ERROR,
+            logType,
             entity || null,
             operation || null,
             beforeData || null,
             afterData || null,
-            null,
-            null,
+            errorMessage || null,
+            errorStack || null,
             userInfo || null
         ]);
 
@@ -78,5 +81,36 @@ module.exports = {
             return
         }
     },
+    /**
+     * Registra uma ação executada por um cliente (auditoria)
+     * @param {string} logType 
+     * @param {string} entity 
+     * @param {string} operation 
+     * @param {*} beforeData 
+     * @param {*} afterData 
+     * @param {*} userInfo 
+     * @returns 
+     */
+    audit: async (data) => {
+        try {
+            const { 
+                logType = CONSTANTS.LOG.UPDATE, entity = null, operation = null, 
+                beforeData = null, afterData = null, userInfo = null 
+            } = data;
+
+            const result = await createLogDB({
+                logType, entity, operation, beforeData, afterData, userInfo
+            });
+
+            if (!result.success) {
+                console.error(result.message);
+            }
+
+            return;
+        } catch (error) {
+            console.error(error);
+            return
+        }
+    },
     createLogDB
 }
\ No newline at end of file
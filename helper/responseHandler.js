@@ -22,13 +22,40 @@ const responseHandler = {
      * Resposta de sucesso criada, com código 201
      * @param {*} response 
      * @param {string} message 
+     * @param {*} data 
      * @returns 
      */
-    created: async (response, message) => {
+    created: async (response, message, data) => {
+        if (data && data != {}) {
+            return response.status(201).json({
+                message: message,
+                data: data
+            });
+        }
+        
         return response.status(201).json({
             message: message
         });
     },
+    /**
+     * Resposta de requisição aceita para processamento posterior, com código 202
+     * @param {*} response 
+     * @param {string} message 
+     * @param {*} data 
+     * @returns 
+     */
+    accepted: async (response, message, data) => {
+        if (data && data != {}) {
+            return response.status(202).json({
+                message: message,
+                data: data
+            });
+        }
+        
+        return response.status(202).json({
+            message: message
+        });
+    },
     /**
      * Resposta de redirecionamento, com código 303
      * @param {*} response 
@@ -67,6 +94,25 @@ const responseHandler = {
 
         return response.status(400).json(responseBody);
     },
+    /**
+     * Resposta de acesso negado, com código 403
+     * @param {*} response 
+     * @param {string} message 
+     * @param {*} data 
+     * @returns 
+     */
+    forbidden: async (response, message, data) => {
+        if (data && data != {}) {
+            return response.status(403).json({
+                message: message,
+                data: data
+            });
+        }
+        
+        return response.status(403).json({
+            message: message
+        });
+    },
     /**
      * Resposta de não encontrado, com código 404
      * @param {*} response 
@@ -0,0 +1,179 @@
+const Prices = require('../models/prices');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const Printers = require('../../printers/models/printers');
+const { validatePrices, roundCost } = require('../helpers/cost');
+const responseHandler = require('../../../helper/responseHandler');
+
+module.exports = {
+    getPrices: async (request, response) => {
+        try {
+            const prices = await Prices.getAll();
+
+            if (prices.message) {
+                return responseHandler.badRequest(response, prices.message);
+            }
+
+            return responseHandler.success(response, 'Tabelas de preço encontradas!', prices);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Get Prices',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter as tabelas de preço!');
+        }
+    },
+
+    setPrices: async (request, response) => {
+        try {
+            const printer = await Printers.getById(request.params.printerId);
+
+            if (printer.message) {
+                return responseHandler.badRequest(response, printer.message);
+            }
+
+            if (!printer.id) {
+                return responseHandler.notFound(response, 'Impressora não encontrada!');
+            }
+
+            const validation = validatePrices(request.body);
+            if (validation.errors.length > 0) {
+                return responseHandler.badRequest(response, 'Tabela de preço inválida!', validation.errors);
+            }
+
+            const current = await Prices.getByPrinter(printer.id);
+            const { monoPage, colorPage, duplexDiscount, mediaSurcharges } = validation.prices;
+            const now = new Date();
+
+            const prices = await Prices.upsert([printer.id, monoPage, colorPage, duplexDiscount, mediaSurcharges, now, now]);
+
+            if (prices.message) {
+                return responseHandler.badRequest(response, prices.message);
+            }
+
+            Log.audit({
+                logType: current.printerid ? CONSTANTS.LOG.UPDATE : CONSTANTS.LOG.CREATE,
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Set Printer Prices',
+                beforeData: current.printerid ? current : null,
+                afterData: prices,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Tabela de preço salva com sucesso!', prices);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Set Printer Prices',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao salvar a tabela de preço! Tente novamente mais tarde');
+        }
+    },
+
+    deletePrices: async (request, response) => {
+        try {
+            const current = await Prices.getByPrinter(request.params.printerId);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.printerid) {
+                return responseHandler.notFound(response, 'Tabela de preço não encontrada!');
+            }
+
+            const deleted = await Prices.delete(current.printerid);
+
+            if (deleted.message) {
+                return responseHandler.badRequest(response, deleted.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Delete Printer Prices',
+                beforeData: current,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Tabela de preço excluída com sucesso!');
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Delete Printer Prices',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao excluir a tabela de preço! Tente novamente mais tarde');
+        }
+    },
+
+    getCostReport: async (request, response) => {
+        try {
+            const { groupBy = 'printer', period = null, user = null, department = null, printerId = null } = request.query;
+            const errors = [];
+
+            if (!CONSTANTS.COST.REPORT_GROUPS[groupBy]) {
+                errors.push(`Agrupamento inválido! Valores aceitos: ${Object.keys(CONSTANTS.COST.REPORT_GROUPS).join(', ')}`);
+            }
+
+            if (period && !CONSTANTS.COST.REPORT_PERIODS.includes(period)) {
+                errors.push(`Período inválido! Valores aceitos: ${CONSTANTS.COST.REPORT_PERIODS.join(', ')}`);
+            }
+
+            // Sem intervalo informado, o relatório cobre o mês atual
+            const now = new Date();
+            const from = request.query.from ? new Date(request.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+            const to = request.query.to ? new Date(request.query.to) : now;
+
+            if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+                errors.push('As datas do intervalo são inválidas!');
+            } else if (from >= to) {
+                errors.push('A data inicial deve ser anterior à data final!');
+            }
+
+            if (errors.length > 0) {
+                return responseHandler.badRequest(response, 'Filtros do relatório inválidos!', errors);
+            }
+
+            const rows = await Prices.getReport({ groupBy, period, from, to, user, department, printerId });
+
+            if (rows.message) {
+                return responseHandler.badRequest(response, rows.message);
+            }
+
+            return responseHandler.success(response, 'Relatório de custos gerado!', {
+                groupBy,
+                period,
+                from,
+                to,
+                total: roundCost(rows.reduce((sum, row) => sum + row.cost, 0)),
+                rows
+            });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Get Cost Report',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao gerar o relatório de custos!');
+        }
+    }
+}
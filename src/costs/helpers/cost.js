@@ -0,0 +1,132 @@
+const Prices = require('../models/prices');
+const Jobs = require('../../jobs/models/jobs');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const { isColorJob } = require('../../quotas/helpers/quota');
+
+/**
+ * Verifica se o valor é um preço válido (número maior ou igual a zero)
+ * @param {*} value - Valor informado
+ * @returns {boolean}
+ */
+const isValidPrice = (value) => {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Arredonda um valor monetário para a precisão armazenada no banco
+ * @param {number} value - Valor
+ * @returns {number}
+ */
+const roundCost = (value) => {
+    const factor = Math.pow(10, CONSTANTS.COST.DECIMALS);
+
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Calcula o custo de um trabalho a partir da tabela de preço da impressora
+ * O desconto de frente e verso incide sobre o preço das páginas e o adicional
+ * da mídia é cobrado por folha
+ * @param {Object} job - Registro do trabalho (pages, copies, options)
+ * @param {Object} prices - Tabela de preço da impressora
+ * @returns {number} Custo do trabalho
+ */
+const computeJobCost = (job, prices) => {
+    const options = job.options || {};
+    const pages = job.pages || 0;
+    const copies = job.copies || 1;
+    const duplex = Boolean(options.sides) && options.sides !== 'one-sided';
+
+    const pagePrice = Number(isColorJob(options) ? prices.colorpage : prices.monopage);
+    const discount = duplex ? Number(prices.duplexdiscount) / 100 : 0;
+    const sheets = duplex ? Math.ceil(pages / 2) : pages;
+
+    const surcharges = prices.mediasurcharges || {};
+    const surcharge = options.media && surcharges[options.media] ? Number(surcharges[options.media]) : 0;
+
+    return roundCost(copies * (pages * pagePrice * (1 - discount) + sheets * surcharge));
+}
+
+module.exports = {
+    roundCost,
+    computeJobCost,
+
+    /**
+     * Valida os dados de uma tabela de preço
+     * @param {Object} data - Dados informados
+     * @returns {{errors: string[], prices: Object}} Erros encontrados e tabela normalizada
+     */
+    validatePrices: (data = {}) => {
+        const errors = [];
+        const { monoPage = 0, colorPage = 0, duplexDiscount = 0, mediaSurcharges = {} } = data;
+
+        if (!isValidPrice(monoPage)) {
+            errors.push('O preço da página monocromática deve ser um número maior ou igual a zero!');
+        }
+
+        if (!isValidPrice(colorPage)) {
+            errors.push('O preço da página colorida deve ser um número maior ou igual a zero!');
+        }
+
+        if (!isValidPrice(duplexDiscount) || duplexDiscount > 100) {
+            errors.push('O desconto de frente e verso deve ser um percentual entre 0 e 100!');
+        }
+
+        if (!mediaSurcharges || typeof mediaSurcharges !== 'object' || Array.isArray(mediaSurcharges)) {
+            errors.push('Os adicionais por mídia devem ser um objeto no formato { "A3": 0.1 }!');
+        } else {
+            for (const [media, value] of Object.entries(mediaSurcharges)) {
+                if (!CONSTANTS.PRINT.MEDIA.includes(media)) {
+                    errors.push(`Mídia inválida: ${media}. Valores aceitos: ${CONSTANTS.PRINT.MEDIA.join(', ')}`);
+                } else if (!isValidPrice(value)) {
+                    errors.push(`O adicional da mídia ${media} deve ser um número maior ou igual a zero!`);
+                }
+            }
+        }
+
+        return {
+            errors,
+            prices: { monoPage, colorPage, duplexDiscount, mediaSurcharges }
+        };
+    },
+
+    /**
+     * Calcula e registra o custo de um trabalho concluído
+     * Trabalhos de impressoras sem tabela de preço ficam sem custo
+     * @param {Object} job - Registro do trabalho
+     * @returns {Promise<number|null>} Custo registrado
+     */
+    applyJobCost: async (job) => {
+        try {
+            const prices = await Prices.getByPrinter(job.printerid);
+
+            if (prices.message) {
+                throw new Error(prices.message);
+            }
+
+            if (!prices.printerid) {
+                return null;
+            }
+
+            const cost = computeJobCost(job, prices);
+            const updated = await Jobs.updateCost(job.id, cost);
+
+            if (updated.message) {
+                throw new Error(updated.message);
+            }
+
+            return cost;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Apply Job Cost',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return null;
+        }
+    }
+}
@@ -0,0 +1,200 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Obtém as tabelas de preço de todas as impressoras
+     * @returns {Promise<Array>} Lista de tabelas de preço
+     */
+    getAll: async () => {
+        try {
+            const sql = `SELECT prices.*, printers.name AS printerName
+                FROM ${CONSTANTS.DB.DATABASE}.printer_prices prices
+                INNER JOIN ${CONSTANTS.DB.DATABASE}.printers printers ON printers.id = prices.printerId
+                ORDER BY printers.name;`;
+
+            let prices = await Core(sql);
+
+            if (!Array.isArray(prices)) {
+                prices = [prices];
+            }
+
+            return prices;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Get All Prices',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter as tabelas de preço! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém a tabela de preço de uma impressora
+     * @param {string} printerId ID da impressora
+     * @returns {Promise<Object>} Tabela de preço
+     */
+    getByPrinter: async (printerId) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.printer_prices WHERE printerId = $1;`;
+
+            const prices = await Core(sql, [printerId]);
+
+            return prices;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Get Printer Prices',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter a tabela de preço! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Cria ou substitui a tabela de preço de uma impressora
+     * @param {Array} data Dados da tabela (printerId, monoPage, colorPage, duplexDiscount, mediaSurcharges, createdAt, updatedAt)
+     * @returns {Promise<Object>} Tabela de preço salva
+     */
+    upsert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_prices (
+                printerId, monoPage, colorPage, duplexDiscount, mediaSurcharges, createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7
+            ) ON CONFLICT (printerId) DO UPDATE SET
+                monoPage = EXCLUDED.monoPage,
+                colorPage = EXCLUDED.colorPage,
+                duplexDiscount = EXCLUDED.duplexDiscount,
+                mediaSurcharges = EXCLUDED.mediaSurcharges,
+                updatedAt = EXCLUDED.updatedAt
+            RETURNING *;`;
+
+            const prices = await Core(sql, data);
+
+            return prices;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Save Printer Prices',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao salvar a tabela de preço! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Remove a tabela de preço de uma impressora
+     * @param {string} printerId ID da impressora
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    delete: async (printerId) => {
+        try {
+            const sql = `DELETE FROM ${CONSTANTS.DB.DATABASE}.printer_prices WHERE printerId = $1;`;
+
+            const result = await Core(sql, [printerId]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Delete Printer Prices',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao excluir a tabela de preço! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Agrega o custo dos trabalhos concluídos
+     * @param {Object} filters Filtros do relatório
+     * @param {string} filters.groupBy user, department ou printer
+     * @param {string|null} filters.period day, week, month ou null para o intervalo inteiro
+     * @param {Date} filters.from Início do intervalo
+     * @param {Date} filters.to Fim do intervalo (exclusivo)
+     * @param {string|null} filters.user Filtra por usuário
+     * @param {string|null} filters.department Filtra por departamento
+     * @param {string|null} filters.printerId Filtra por impressora
+     * @returns {Promise<Array>} Linhas do relatório
+     */
+    getReport: async ({ groupBy, period = null, from, to, user = null, department = null, printerId = null }) => {
+        try {
+            const column = CONSTANTS.COST.REPORT_GROUPS[groupBy];
+            const data = [from, to];
+            const conditions = [`status = 'completed'`, 'completedAt >= $1', 'completedAt < $2'];
+
+            if (user) {
+                data.push(user);
+                conditions.push(`username = $${data.length}`);
+            }
+
+            if (department) {
+                data.push(department);
+                conditions.push(`department = $${data.length}`);
+            }
+
+            if (printerId) {
+                data.push(printerId);
+                conditions.push(`printerId = $${data.length}`);
+            }
+
+            // O período é validado pelo controller, por isso pode ser interpolado
+            const periodColumn = period ? `date_trunc('${period}', completedAt)` : null;
+
+            const sql = `SELECT
+                    ${column} AS key,
+                    ${groupBy === 'printer' ? 'MAX(printerName) AS name,' : ''}
+                    ${periodColumn ? `${periodColumn} AS period,` : ''}
+                    COUNT(*)::int AS jobs,
+                    COALESCE(SUM(pages * copies), 0)::int AS pages,
+                    COUNT(*) FILTER (WHERE cost IS NULL)::int AS unpricedJobs,
+                    COALESCE(SUM(cost), 0)::float8 AS cost
+                FROM ${CONSTANTS.DB.DATABASE}.print_jobs
+                WHERE ${conditions.join(' AND ')}
+                GROUP BY ${column}${periodColumn ? `, ${periodColumn}` : ''}
+                ORDER BY ${periodColumn ? `${periodColumn}, ` : ''}cost DESC;`;
+
+            let rows = await Core(sql, data);
+
+            if (!Array.isArray(rows)) {
+                rows = [rows];
+            }
+
+            return rows;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Get Cost Report',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao gerar o relatório de custos! Tente novamente mais tarde"
+            };
+        }
+    }
+}
@@ -3,6 +3,8 @@ const Files = require('../models/files');
 const Log = require('../../../helper/log');
 const CONSTANTS = require('../../../helper/constants');
 const responseHandler = require('../../../helper/responseHandler');
+const previewHelper = require('../helpers/preview');
+const pagesHelper = require('../helpers/pages');
 
 const deleteFile = async (filePath) => {
     try {
@@ -21,9 +23,20 @@ const deleteFile = async (filePath) => {
 }
 
 module.exports = {
+    /**
+     * Lista os arquivos aguardando impressão do usuário do desktop (?user=, como nas demais listagens)
+     * e os arquivos sem dono identificado; sem usuário, apenas os sem dono
+     * A API não tem perfil de administrador, então não há listagem dos arquivos de outros usuários
+     */
     getFiles: async (request, response) => {
         try {
-            const files = await Files.getForPrint();
+            const user = request.query.user || null;
+
+            if (user !== null && typeof user !== 'string') {
+                return responseHandler.badRequest(response, 'O usuário deve ser um texto!');
+            }
+
+            const files = await Files.getForPrint({ owner: user, includeUnowned: true });
             if (files.message) {
                 return responseHandler.badRequest(response, files.message);
             }
@@ -89,6 +102,8 @@ module.exports = {
             }
 
             await deleteFile(file.path);
+            await previewHelper.removePreviews(file.path);
+            await deleteFile(pagesHelper.getOriginalPath(file.path));
 
             await Files.delete(id);
 
@@ -104,5 +119,172 @@ module.exports = {
 
             return responseHandler.internalServerError(response, 'Ocorreu um erro ao excluir o arquivo!');
         }
+    },
+    getPreview: async (request, response) => {
+        try {
+            const id = request.params.id;
+            const page = request.query.page === undefined ? 1 : Number(request.query.page);
+            const width = request.query.width === undefined ? CONSTANTS.PREVIEW.DEFAULT_WIDTH : Number(request.query.width);
+
+            const file = await Files.getById(id);
+            if (file.message) {
+                return responseHandler.badRequest(response, file.message);
+            }
+
+            if (!file.id || file.deletedat || !fs.existsSync(file.path)) {
+                return responseHandler.notFound(response, 'Arquivo não encontrado!');
+            }
+
+            if (!Number.isInteger(page) || page < 1 || (file.pages && page > file.pages)) {
+                return responseHandler.badRequest(response, `Página inválida! O arquivo possui ${file.pages} página(s)`);
+            }
+
+            if (!Number.isInteger(width) || width < CONSTANTS.PREVIEW.MIN_WIDTH || width > CONSTANTS.PREVIEW.MAX_WIDTH) {
+                return responseHandler.badRequest(response, `Largura inválida! Utilize um valor entre ${CONSTANTS.PREVIEW.MIN_WIDTH} e ${CONSTANTS.PREVIEW.MAX_WIDTH}`);
+            }
+
+            const previewPath = await previewHelper.renderPreview(file.path, page, width);
+
+            response.set('Cache-Control', 'private, max-age=300');
+
+            // As imagens ficam em .previews, que o Express ignora por padrão por começar com ponto
+            return response.type('png').sendFile(previewPath, { dotfiles: 'allow' }, (error) => {
+                if (!error) {
+                    return;
+                }
+
+                console.error(error);
+                Log.error({
+                    entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                    operation: 'Send Preview',
+                    errorMessage: error.message,
+                    errorStack: error.stack
+                });
+
+                if (!response.headersSent) {
+                    response.removeHeader('Cache-Control');
+                    response.removeHeader('Content-Type');
+                    responseHandler.internalServerError(response, 'Ocorreu um erro ao enviar a pré-visualização do arquivo!');
+                }
+            });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Preview',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao gerar a pré-visualização do arquivo!');
+        }
+    },
+    editPages: async (request, response) => {
+        try {
+            const id = request.params.id;
+            const { operations } = request.body;
+
+            const file = await Files.getById(id);
+            if (file.message) {
+                return responseHandler.badRequest(response, file.message);
+            }
+
+            if (!file.id || file.deletedat || !fs.existsSync(file.path)) {
+                return responseHandler.notFound(response, 'Arquivo não encontrado!');
+            }
+
+            if (file.printed) {
+                return responseHandler.badRequest(response, 'O arquivo já foi impresso e não pode ser editado!');
+            }
+
+            const result = await pagesHelper.editPages(file.path, operations);
+            if (result.errors.length > 0) {
+                return responseHandler.badRequest(response, 'Operações de páginas inválidas!', result.errors);
+            }
+
+            // Mantém o original da primeira edição para que todas as edições possam ser desfeitas
+            const updated = await Files.updateEdit(
+                file.id,
+                result.pages,
+                result.originalPath,
+                file.originalpages ?? result.originalPages ?? file.pages
+            );
+
+            if (updated.message) {
+                return responseHandler.badRequest(response, updated.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Edit Pages',
+                beforeData: file,
+                afterData: { ...updated, operations },
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Páginas do arquivo alteradas com sucesso!', updated);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Edit Pages',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao alterar as páginas do arquivo!');
+        }
+    },
+    restorePages: async (request, response) => {
+        try {
+            const id = request.params.id;
+
+            const file = await Files.getById(id);
+            if (file.message) {
+                return responseHandler.badRequest(response, file.message);
+            }
+
+            if (!file.id || file.deletedat || !fs.existsSync(file.path)) {
+                return responseHandler.notFound(response, 'Arquivo não encontrado!');
+            }
+
+            if (!file.originalpath || !fs.existsSync(file.originalpath)) {
+                return responseHandler.badRequest(response, 'O arquivo não possui edições a desfazer!');
+            }
+
+            if (file.printed) {
+                return responseHandler.badRequest(response, 'O arquivo já foi impresso e não pode ser restaurado!');
+            }
+
+            await pagesHelper.restoreOriginal(file.path, file.originalpath);
+
+            const updated = await Files.updateEdit(file.id, file.originalpages || file.pages, null, null);
+
+            if (updated.message) {
+                return responseHandler.badRequest(response, updated.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Restore Pages',
+                beforeData: file,
+                afterData: updated,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Arquivo original restaurado com sucesso!', updated);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Restore Pages',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao restaurar o arquivo original!');
+        }
     }
-}
\ No newline at end of file
+}
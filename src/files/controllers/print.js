@@ -1,10 +1,20 @@
 const fs = require('fs');
+const path = require('path');
+const { v7: uuid } = require('uuid');
 const Log = require('../../../helper/log');
-const execSync = require('child_process').execSync;
 const Files = require('../../monitor/models/files');
 const CONSTANTS = require('../../../helper/constants');
 const Printers = require('../../printers/models/printers');
 const responseHandler = require('../../../helper/responseHandler');
+const { validatePrintOptions } = require('../helpers/printOptions');
+const networkHelper = require('../../printers/helpers/network');
+const { mergePdfs } = require('../helpers/merge');
+const { submitPrintJob, submitMergedJob } = require('../../jobs/helpers/dispatch');
+const { enqueuePrintJob } = require('../../jobs/helpers/queue');
+const { holdPrintJob, validatePin } = require('../../jobs/helpers/secure');
+const { resolveSchedule } = require('../../jobs/helpers/schedule');
+const { selectGroupPrinter } = require('../../printers/helpers/groups');
+const quotaHelper = require('../../quotas/helpers/quota');
 
 const deleteFile = async (filePath) => {
     try {
@@ -22,10 +32,69 @@ const deleteFile = async (filePath) => {
     }
 }
 
+/**
+ * Obtém a impressora informada ou escolhe a melhor impressora do grupo
+ * @param {string} assetId - ID da impressora
+ * @param {string} groupId - ID do grupo de impressoras, usado quando a impressora não é informada
+ * @returns {Promise<{printer: Object|null, reachable: boolean|null, message: string|null}>}
+ * reachable é null quando a conectividade ainda não foi verificada
+ */
+const resolvePrinter = async (assetId, groupId) => {
+    if (!assetId && !groupId) {
+        return { printer: null, reachable: null, message: 'Informe a impressora ou o grupo de impressoras!' };
+    }
+
+    if (groupId && !assetId) {
+        const selection = await selectGroupPrinter(groupId);
+
+        if (selection.printer) {
+            console.log(`Impressora ${selection.printer.name} escolhida no grupo ${groupId}`);
+        }
+
+        return selection;
+    }
+
+    const printer = await Printers.getById(assetId);
+
+    if (!printer || (!printer.id && !printer.message)) {
+        return { printer: null, reachable: null, message: 'Impressora não encontrada!' };
+    }
+
+    if (printer.message) {
+        return { printer: null, reachable: null, message: printer.message };
+    }
+
+    return { printer, reachable: null, message: null };
+}
+
 module.exports = {
     printFile: async (request, response) => {
         try {
-            const { fileId, assetId } = request.body;
+            const { 
+                fileId, 
+                assetId, 
+                groupId, 
+                options = {}, 
+                direct = false, 
+                user: requestUser = null, 
+                pin = null, 
+                notBefore = null, 
+                schedule = null 
+            } = request.body;
+
+            if (requestUser !== null && typeof requestUser !== 'string') {
+                return responseHandler.badRequest(response, 'O usuário deve ser um texto!');
+            }
+
+            const pinError = validatePin(pin);
+            if (pinError) {
+                return responseHandler.badRequest(response, pinError);
+            }
+
+            const deferred = await resolveSchedule({ notBefore, schedule });
+            if (deferred.message) {
+                return responseHandler.badRequest(response, deferred.message);
+            }
 
             const file = await Files.getById(fileId);
 
@@ -37,19 +106,26 @@ module.exports = {
                 return responseHandler.badRequest(response, file.message);
             }
 
-            const printer = await Printers.getById(assetId);
-            console.log("printer", printer);
+            // O dono identificado na captura do arquivo prevalece sobre o usuário informado no pedido
+            const user = file.owner || requestUser;
 
-            if (!printer) {
-                return responseHandler.badRequest(response, 'Impressora não encontrada!');
+            const selection = await resolvePrinter(assetId, groupId);
+            if (!selection.printer) {
+                return responseHandler.badRequest(response, selection.message);
             }
 
-            if (printer.message) {
-                return responseHandler.badRequest(response, printer.message);
-            }
+            const printer = selection.printer;
+            let reachable = selection.reachable;
 
             const printerName = printer.name;
 
+            const validation = validatePrintOptions(options, file.pages);
+            if (validation.errors.length > 0) {
+                return responseHandler.badRequest(response, 'Opções de impressão inválidas!', validation.errors);
+            }
+
+            const printOptions = validation.options;
+
             console.log(`[${fileId}] Imprimindo arquivo ${file.path} para impressora ${printerName}`);
             
             if (!fs.existsSync(file.path)) {
@@ -57,14 +133,79 @@ module.exports = {
                 return responseHandler.badRequest(response, 'Arquivo não encontrado!');
             }
 
-            const result = await Files.updatePrinted(fileId, assetId);
-            if (result.message) {
-                return responseHandler.badRequest(response, 'Ocorreu um erro ao atualizar o arquivo!');
+            const quotaError = await quotaHelper.checkUserQuota(
+                user,
+                quotaHelper.countRequestedPages(printOptions, file.pages),
+                quotaHelper.isColorJob(printOptions)
+            );
+
+            if (quotaError) {
+                console.log(`[${fileId}] Impressão recusada: ${quotaError.message}`);
+                return responseHandler.forbidden(response, quotaError.message, quotaError.balances);
+            }
+
+            // Impressão adiada: o arquivo aguarda na fila até o horário agendado
+            if (deferred.notBefore) {
+                if (printer.secure_release) {
+                    return responseHandler.badRequest(response, 'Impressoras com liberação segura não aceitam impressões agendadas!');
+                }
+
+                const item = await enqueuePrintJob(file, printer, printOptions, {
+                    direct: direct === true,
+                    user,
+                    notBefore: deferred.notBefore,
+                    scheduleId: deferred.scheduleId
+                });
+
+                if (item.message) {
+                    return responseHandler.badRequest(response, item.message);
+                }
+
+                console.log(`[${fileId}] Impressão agendada para ${deferred.notBefore.toISOString()} em ${printerName}`);
+
+                return responseHandler.accepted(response, 'Impressão agendada com sucesso!', item);
             }
 
-            await execSync(`lp -d ${printerName} ${file.path}`);
+            // Liberação segura: o arquivo fica retido no servidor até o dono liberá-lo na impressora
+            if (printer.secure_release) {
+                const held = await holdPrintJob(file, printer, printOptions, { direct: direct === true, user, pin });
+
+                if (held.message) {
+                    return responseHandler.badRequest(response, held.message);
+                }
+
+                console.log(`[${fileId}] Arquivo retido para liberação segura em ${printerName}`);
 
-            responseHandler.success(response, 'Arquivo impresso com sucesso!');
+                return responseHandler.accepted(response, 'Documento retido! Libere-o na impressora com o PIN ou o código informado', held);
+            }
+
+            // Impressora fora do ar: o arquivo fica na fila e é enviado quando ela voltar
+            if (reachable === null) {
+                reachable = await networkHelper.isPrinterReachable(printer, CONSTANTS.QUEUE.CONNECTION_TIMEOUT_MS);
+            }
+
+            if (!reachable) {
+                const item = await enqueuePrintJob(file, printer, printOptions, {
+                    direct: direct === true,
+                    user,
+                    lastError: `Impressora ${printerName} inacessível`
+                });
+
+                if (item.message) {
+                    return responseHandler.badRequest(response, item.message);
+                }
+
+                console.log(`[${fileId}] Impressora ${printerName} inacessível, arquivo colocado na fila`);
+
+                return responseHandler.accepted(response, 'Impressora inacessível, o arquivo foi colocado na fila de impressão!', item);
+            }
+
+            const result = await submitPrintJob(file, printer, printOptions, { direct: direct === true, user });
+            if (!result.success) {
+                return responseHandler.badRequest(response, result.message);
+            }
+
+            responseHandler.success(response, result.warning || 'Arquivo impresso com sucesso!', result.job);
             
             setImmediate(async () => {
                 await deleteFile(file.path);
@@ -80,5 +221,270 @@ module.exports = {
 
             return responseHandler.internalServerError(response, 'Ocorreu um erro ao imprimir o documento!');
         }
+    },
+    printBatch: async (request, response) => {
+        let mergedPath = null;
+
+        try {
+            const { 
+                fileIds, 
+                assetId, 
+                groupId, 
+                options = {}, 
+                direct = false, 
+                mode = 'separate', 
+                user: requestUser = null, 
+                pin = null, 
+                notBefore = null, 
+                schedule = null 
+            } = request.body;
+
+            if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.some(id => typeof id !== 'string' || !id)) {
+                return responseHandler.badRequest(response, 'Informe a lista de arquivos a imprimir!');
+            }
+
+            if (fileIds.length > CONSTANTS.PRINT.MAX_BATCH_FILES) {
+                return responseHandler.badRequest(response, `Informe no máximo ${CONSTANTS.PRINT.MAX_BATCH_FILES} arquivos por lote!`);
+            }
+
+            if (new Set(fileIds).size !== fileIds.length) {
+                return responseHandler.badRequest(response, 'A lista de arquivos possui itens repetidos!');
+            }
+
+            if (requestUser !== null && typeof requestUser !== 'string') {
+                return responseHandler.badRequest(response, 'O usuário deve ser um texto!');
+            }
+
+            const pinError = validatePin(pin);
+            if (pinError) {
+                return responseHandler.badRequest(response, pinError);
+            }
+
+            if (!CONSTANTS.PRINT.BATCH_MODES.includes(mode)) {
+                return responseHandler.badRequest(response, `Modo inválido. Utilize: ${CONSTANTS.PRINT.BATCH_MODES.join(', ')}`);
+            }
+
+            if (mode === 'merge' && options && options.pageRanges) {
+                return responseHandler.badRequest(response, 'Intervalos de páginas não podem ser usados ao unir arquivos!');
+            }
+
+            const deferred = await resolveSchedule({ notBefore, schedule });
+            if (deferred.message) {
+                return responseHandler.badRequest(response, deferred.message);
+            }
+
+            if (deferred.notBefore && mode === 'merge') {
+                return responseHandler.badRequest(response, 'Arquivos unidos não podem ter a impressão agendada!');
+            }
+
+            const selection = await resolvePrinter(assetId, groupId);
+            if (!selection.printer) {
+                return responseHandler.badRequest(response, selection.message);
+            }
+
+            const printer = selection.printer;
+            const batchId = uuid();
+
+            if (printer.secure_release && mode === 'merge') {
+                return responseHandler.badRequest(response, 'Arquivos não podem ser unidos em impressoras com liberação segura!');
+            }
+
+            // Resultado de cada arquivo, na ordem em que foram enviados
+            const results = [];
+            const files = [];
+
+            for (const fileId of fileIds) {
+                const file = await Files.getById(fileId);
+
+                if (!file || file.message || !file.id) {
+                    results.push({ fileId, success: false, message: file && file.message ? file.message : 'Arquivo não encontrado!' });
+                    continue;
+                }
+
+                if (!fs.existsSync(file.path)) {
+                    await Files.delete(fileId);
+                    results.push({ fileId, success: false, message: 'Arquivo não encontrado!' });
+                    continue;
+                }
+
+                const validation = validatePrintOptions(options, file.pages);
+                if (validation.errors.length > 0) {
+                    results.push({ fileId, success: false, message: 'Opções de impressão inválidas!', errors: validation.errors });
+                    continue;
+                }
+
+                files.push({ file, options: validation.options });
+                results.push({ fileId, success: false, message: null });
+            }
+
+            const setResult = (fileId, data) => {
+                Object.assign(results.find(result => result.fileId === fileId), data);
+            };
+
+            if (files.length === 0) {
+                return responseHandler.badRequest(response, 'Nenhum arquivo do lote pode ser impresso!', results);
+            }
+
+            // O lote é cobrado de um único usuário: o dono dos arquivos ou, sem dono, o usuário do pedido
+            const owners = new Set(files.map(item => item.file.owner || requestUser));
+            if (owners.size > 1) {
+                return responseHandler.badRequest(response, 'Os arquivos do lote pertencem a usuários diferentes!');
+            }
+
+            const [user] = owners;
+
+            const quotaError = await quotaHelper.checkUserQuota(
+                user,
+                files.reduce((total, item) => total + quotaHelper.countRequestedPages(item.options, item.file.pages), 0),
+                quotaHelper.isColorJob(files[0].options)
+            );
+
+            if (quotaError) {
+                console.log(`[${batchId}] Lote recusado: ${quotaError.message}`);
+                return responseHandler.forbidden(response, quotaError.message, quotaError.balances);
+            }
+
+            if (deferred.notBefore) {
+                if (printer.secure_release) {
+                    return responseHandler.badRequest(response, 'Impressoras com liberação segura não aceitam impressões agendadas!');
+                }
+
+                for (const { file, options: printOptions } of files) {
+                    const item = await enqueuePrintJob(file, printer, printOptions, {
+                        direct: direct === true,
+                        user,
+                        notBefore: deferred.notBefore,
+                        scheduleId: deferred.scheduleId
+                    });
+
+                    setResult(file.id, item.message
+                        ? { success: false, message: item.message }
+                        : { success: true, queued: true, message: 'Impressão agendada!', queueItem: item });
+                }
+
+                if (!results.some(result => result.success)) {
+                    return responseHandler.badRequest(response, 'Nenhum arquivo do lote foi agendado!', results);
+                }
+
+                console.log(`[${batchId}] Lote agendado para ${deferred.notBefore.toISOString()} em ${printer.name}`);
+
+                return responseHandler.accepted(response, 'Lote agendado com sucesso!', {
+                    batchId, mode, printerId: printer.id, results
+                });
+            }
+
+            if (printer.secure_release) {
+                for (const { file, options: printOptions } of files) {
+                    const held = await holdPrintJob(file, printer, printOptions, { direct: direct === true, user, pin });
+
+                    setResult(file.id, held.message
+                        ? { success: false, message: held.message }
+                        : { success: true, held: true, message: 'Documento retido para liberação segura!', release: held });
+                }
+
+                if (!results.some(result => result.success)) {
+                    return responseHandler.badRequest(response, 'Nenhum arquivo do lote foi retido!', results);
+                }
+
+                console.log(`[${batchId}] Lote retido para liberação segura em ${printer.name}`);
+
+                return responseHandler.accepted(response, 'Documentos retidos! Libere-os na impressora com o PIN ou o código informado', {
+                    batchId, mode, printerId: printer.id, results
+                });
+            }
+
+            const reachable = selection.reachable !== null
+                ? selection.reachable
+                : await networkHelper.isPrinterReachable(printer, CONSTANTS.QUEUE.CONNECTION_TIMEOUT_MS);
+
+            console.log(`[${batchId}] Imprimindo ${files.length} arquivo(s) em ${printer.name} (${mode})`);
+
+            const printed = [];
+
+            // Com a impressora fora do ar, um lote unido vai para a fila arquivo por arquivo, como no modo separado
+            if (mode === 'merge' && reachable) {
+                // Arquivo oculto para que o monitor da pasta não o trate como um novo documento
+                mergedPath = path.join(path.dirname(files[0].file.path), `.lote-${batchId}.pdf`);
+                const merged = await mergePdfs(files.map(item => item.file.path), mergedPath);
+
+                const result = await submitMergedJob(
+                    files.map(item => item.file),
+                    mergedPath,
+                    merged.pages,
+                    printer,
+                    files[0].options,
+                    { direct: direct === true, batchId, user }
+                );
+
+                if (!result.success) {
+                    return responseHandler.badRequest(response, result.message, results);
+                }
+
+                for (const [index, { file }] of files.entries()) {
+                    if (merged.pages[index] !== file.pages) {
+                        await Files.updatePages(file.id, merged.pages[index]);
+                    }
+
+                    const job = result.jobs[index];
+                    setResult(file.id, { success: true, message: job ? 'Arquivo enviado para impressão!' : result.warning, job });
+                    printed.push(file);
+                }
+            } else {
+                for (const { file, options: printOptions } of files) {
+                    if (!reachable) {
+                        const item = await enqueuePrintJob(file, printer, printOptions, {
+                            direct: direct === true,
+                            user,
+                            lastError: `Impressora ${printer.name} inacessível`
+                        });
+
+                        const queuedMessage = mode === 'merge'
+                            ? 'Impressora inacessível, o arquivo foi colocado na fila e será impresso separadamente!'
+                            : 'Impressora inacessível, o arquivo foi colocado na fila de impressão!';
+
+                        setResult(file.id, item.message
+                            ? { success: false, message: item.message }
+                            : { success: true, queued: true, message: queuedMessage, queueItem: item });
+                        continue;
+                    }
+
+                    const result = await submitPrintJob(file, printer, printOptions, { direct: direct === true, batchId, user });
+
+                    setResult(file.id, { success: result.success, message: result.warning || result.message, job: result.job });
+
+                    if (result.success) {
+                        printed.push(file);
+                    }
+                }
+            }
+
+            const data = { batchId, mode, printerId: printer.id, results };
+
+            if (!results.some(result => result.success)) {
+                return responseHandler.badRequest(response, 'Nenhum arquivo do lote foi impresso!', results);
+            }
+
+            responseHandler.success(response, 'Lote enviado para impressão!', data);
+
+            setImmediate(async () => {
+                for (const file of printed) {
+                    await deleteFile(file.path);
+                }
+            });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Print Batch',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao imprimir o lote de documentos!');
+        } finally {
+            if (mergedPath) {
+                await deleteFile(mergedPath);
+            }
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const CONSTANTS = require('../../../helper/constants');
+const { parsePageRanges } = require('./printOptions');
+
+/**
+ * Obtém os índices das páginas selecionadas pelo intervalo informado
+ * @param {string|null} pageRanges - Intervalo no formato "1-3,5"
+ * @param {number} pageCount - Quantidade de páginas do documento
+ * @returns {number[]} Índices das páginas, começando em 0
+ */
+const getSelectedIndices = (pageRanges, pageCount) => {
+    if (!pageRanges) {
+        return [...Array(pageCount).keys()];
+    }
+
+    const indices = [];
+    for (const [start, end] of parsePageRanges(pageRanges) || []) {
+        for (let page = start; page <= Math.min(end, pageCount); page++) {
+            indices.push(page - 1);
+        }
+    }
+
+    return indices;
+}
+
+/**
+ * Ordena as páginas para um livreto dobrado ao meio: cada folha recebe duas páginas de cada lado
+ * @param {number[]} indices - Páginas do documento na ordem de leitura
+ * @returns {Array<number|null>} Páginas na ordem de impressão (null = página em branco)
+ */
+const getBookletOrder = (indices) => {
+    const padded = [...indices];
+    while (padded.length % 4 !== 0) {
+        padded.push(null);
+    }
+
+    const order = [];
+    const last = padded.length - 1;
+
+    for (let sheet = 0; sheet < padded.length / 4; sheet++) {
+        // Frente: última e primeira; verso: segunda e penúltima
+        order.push(padded[last - 2 * sheet], padded[2 * sheet]);
+        order.push(padded[2 * sheet + 1], padded[last - 2 * sheet - 1]);
+    }
+
+    return order;
+}
+
+module.exports = {
+    /**
+     * Calcula quantas páginas o documento terá depois da imposição
+     * @param {string} layout - 2-up, 4-up ou booklet
+     * @param {number} pageCount - Páginas selecionadas do documento
+     * @returns {number} Páginas do documento imposto
+     */
+    countImposedPages: (layout, pageCount) => {
+        if (pageCount <= 0) {
+            return 0;
+        }
+
+        if (layout === 'booklet') {
+            return Math.ceil(pageCount / 4) * 2;
+        }
+
+        return Math.ceil(pageCount / CONSTANTS.PRINT.LAYOUTS[layout]);
+    },
+
+    /**
+     * Gera o PDF com as páginas do arquivo dispostas conforme o layout
+     * - 2-up: duas páginas lado a lado em uma folha deitada
+     * - 4-up: quatro páginas em grade 2x2 na mesma orientação do original
+     * - booklet: duas páginas por lado em folha deitada, na ordem para dobrar e grampear
+     * @param {string} inputPath - PDF original
+     * @param {string} outputPath - PDF gerado
+     * @param {string} layout - 2-up, 4-up ou booklet
+     * @param {string|null} pageRanges - Páginas do original a serem usadas
+     * @returns {Promise<number>} Quantidade de páginas do PDF gerado
+     */
+    imposePdf: async (inputPath, outputPath, layout, pageRanges = null) => {
+        const source = await PDFDocument.load(await fs.promises.readFile(inputPath));
+        const output = await PDFDocument.create();
+
+        const indices = getSelectedIndices(pageRanges, source.getPageCount());
+        if (indices.length === 0) {
+            throw new Error('Nenhuma página selecionada para a imposição!');
+        }
+
+        const order = layout === 'booklet' ? getBookletOrder(indices) : indices;
+        // Páginas sem conteúdo não podem ser incorporadas e ficam em branco na folha
+        const used = [...new Set(order.filter(index => index !== null && source.getPage(index).node.Contents()))];
+        const embedded = await output.embedPdf(source, used);
+        const pages = new Map(used.map((index, position) => [index, embedded[position]]));
+
+        // A folha segue o tamanho da primeira página selecionada
+        const { width, height } = source.getPage(indices[0]).getSize();
+
+        // Posições [x, y, largura, altura] de cada página na folha, na ordem de leitura
+        let sheetSize;
+        let slots;
+
+        if (layout === '4-up') {
+            sheetSize = [width, height];
+            slots = [
+                [0, height / 2, width / 2, height / 2],
+                [width / 2, height / 2, width / 2, height / 2],
+                [0, 0, width / 2, height / 2],
+                [width / 2, 0, width / 2, height / 2]
+            ];
+        } else if (height >= width) {
+            // Páginas em pé ficam lado a lado em uma folha deitada
+            sheetSize = [height, width];
+            slots = [
+                [0, 0, height / 2, width],
+                [height / 2, 0, height / 2, width]
+            ];
+        } else {
+            // Páginas deitadas ficam uma sobre a outra em uma folha em pé
+            sheetSize = [height, width];
+            slots = [
+                [0, width / 2, height, width / 2],
+                [0, 0, height, width / 2]
+            ];
+        }
+
+        for (let start = 0; start < order.length; start += slots.length) {
+            const sheet = output.addPage(sheetSize);
+
+            order.slice(start, start + slots.length).forEach((index, slot) => {
+                const page = pages.get(index);
+                if (!page) {
+                    return;
+                }
+
+                const [x, y, slotWidth, slotHeight] = slots[slot];
+
+                const scale = Math.min(slotWidth / page.width, slotHeight / page.height);
+
+                sheet.drawPage(page, {
+                    x: x + (slotWidth - page.width * scale) / 2,
+                    y: y + (slotHeight - page.height * scale) / 2,
+                    xScale: scale,
+                    yScale: scale
+                });
+            });
+        }
+
+        await fs.promises.writeFile(outputPath, await output.save());
+
+        return output.getPageCount();
+    }
+}
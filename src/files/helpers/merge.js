@@ -0,0 +1,29 @@
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+
+module.exports = {
+    /**
+     * Une vários PDFs, na ordem informada, em um único arquivo
+     * @param {string[]} filePaths - Caminhos dos PDFs
+     * @param {string} outputPath - Caminho do PDF gerado
+     * @returns {Promise<{pages: number[], total: number}>} Páginas de cada arquivo e do PDF gerado
+     */
+    mergePdfs: async (filePaths, outputPath) => {
+        const merged = await PDFDocument.create();
+        const pages = [];
+
+        for (const filePath of filePaths) {
+            const data = await fs.promises.readFile(filePath);
+            const pdf = await PDFDocument.load(data);
+
+            const copied = await merged.copyPages(pdf, pdf.getPageIndices());
+            copied.forEach(page => merged.addPage(page));
+
+            pages.push(copied.length);
+        }
+
+        await fs.promises.writeFile(outputPath, await merged.save());
+
+        return { pages, total: merged.getPageCount() };
+    }
+}
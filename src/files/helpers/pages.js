@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, degrees } = require('pdf-lib');
+const CONSTANTS = require('../../../helper/constants');
+const { parsePageRanges } = require('./printOptions');
+
+/**
+ * Obtém as posições selecionadas por um intervalo de páginas
+ * @param {string} pages - Intervalo no formato "1-3,5"
+ * @param {number} pageCount - Quantidade de páginas atual
+ * @returns {Set<number>|null} Posições (começando em 1) ou null se o intervalo for inválido
+ */
+const getPositions = (pages, pageCount) => {
+    const ranges = parsePageRanges(pages);
+
+    if (!ranges || ranges.some(([, end]) => end > pageCount)) {
+        return null;
+    }
+
+    const positions = new Set();
+    for (const [start, end] of ranges) {
+        for (let page = start; page <= end; page++) {
+            positions.add(page);
+        }
+    }
+
+    return positions;
+}
+
+/**
+ * Aplica as operações, em ordem, sobre a lista de páginas do documento
+ * Cada operação se refere às posições resultantes da operação anterior
+ * @param {Array<Object>} operations - Operações (keep, remove, reorder, rotate)
+ * @param {number} pageCount - Quantidade de páginas do documento
+ * @returns {{errors: string[], pages: Array<{index: number, rotation: number}>}}
+ * Páginas resultantes, com o índice no documento original e a rotação a ser somada
+ */
+const planOperations = (operations, pageCount) => {
+    const errors = [];
+    let pages = [...Array(pageCount).keys()].map(index => ({ index, rotation: 0 }));
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return { errors: ['Informe a lista de operações!'], pages };
+    }
+
+    if (operations.length > CONSTANTS.PAGE_EDIT.MAX_OPERATIONS) {
+        return { errors: [`Informe no máximo ${CONSTANTS.PAGE_EDIT.MAX_OPERATIONS} operações!`], pages };
+    }
+
+    operations.forEach((operation, position) => {
+        const label = `Operação ${position + 1}`;
+
+        if (!operation || !CONSTANTS.PAGE_EDIT.OPERATIONS.includes(operation.type)) {
+            errors.push(`${label}: tipo inválido! Valores aceitos: ${CONSTANTS.PAGE_EDIT.OPERATIONS.join(', ')}`);
+            return;
+        }
+
+        if (operation.type === 'reorder') {
+            const order = operation.order;
+            const isPermutation = Array.isArray(order) &&
+                order.length === pages.length &&
+                order.every(page => Number.isInteger(page) && page >= 1 && page <= pages.length) &&
+                new Set(order).size === order.length;
+
+            if (!isPermutation) {
+                errors.push(`${label}: a nova ordem deve listar cada uma das ${pages.length} páginas uma única vez!`);
+                return;
+            }
+
+            pages = order.map(page => pages[page - 1]);
+            return;
+        }
+
+        const selected = operation.type === 'rotate' && (operation.pages === undefined || operation.pages === null)
+            ? new Set(pages.map((page, index) => index + 1))
+            : getPositions(operation.pages, pages.length);
+
+        if (!selected) {
+            errors.push(`${label}: intervalo de páginas inválido! O documento possui ${pages.length} página(s)`);
+            return;
+        }
+
+        if (operation.type === 'keep') {
+            pages = pages.filter((page, index) => selected.has(index + 1));
+        } else if (operation.type === 'remove') {
+            pages = pages.filter((page, index) => !selected.has(index + 1));
+        } else {
+            const rotation = Number(operation.degrees);
+
+            if (!Number.isInteger(rotation) || rotation % 90 !== 0) {
+                errors.push(`${label}: a rotação deve ser um múltiplo de 90 graus!`);
+                return;
+            }
+
+            pages = pages.map((page, index) => selected.has(index + 1)
+                ? { ...page, rotation: page.rotation + rotation }
+                : page);
+        }
+
+        if (pages.length === 0) {
+            errors.push(`${label}: o documento deve manter ao menos uma página!`);
+        }
+    });
+
+    return { errors, pages };
+}
+
+/**
+ * Obtém o caminho da cópia original de um arquivo, guardada ao lado dele
+ * O diretório começa com ponto para que o monitor da pasta não o processe
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {string} Caminho da cópia original
+ */
+const getOriginalPath = (filePath) => {
+    return path.join(path.dirname(filePath), CONSTANTS.PAGE_EDIT.ORIGINALS_DIR, path.basename(filePath));
+}
+
+/**
+ * Grava o PDF em um nome temporário e o move para o destino, evitando arquivos incompletos
+ * @param {string} filePath - Destino
+ * @param {Uint8Array} data - Conteúdo do PDF
+ */
+const writeAtomic = async (filePath, data) => {
+    const temporaryPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}-${Date.now()}`);
+
+    try {
+        await fs.promises.writeFile(temporaryPath, data);
+        await fs.promises.rename(temporaryPath, filePath);
+    } catch (error) {
+        await fs.promises.unlink(temporaryPath).catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = {
+    getOriginalPath,
+    planOperations,
+
+    /**
+     * Reescreve o PDF aplicando as operações de páginas; na primeira edição guarda uma cópia do original
+     * @param {string} filePath - Caminho do PDF
+     * @param {Array<Object>} operations - Operações (keep, remove, reorder, rotate)
+     * @returns {Promise<{errors: string[], pages: number, originalPath: string|null, originalPages: number|null}>}
+     */
+    editPages: async (filePath, operations) => {
+        const source = await PDFDocument.load(await fs.promises.readFile(filePath));
+        const plan = planOperations(operations, source.getPageCount());
+
+        if (plan.errors.length > 0) {
+            return { errors: plan.errors, pages: source.getPageCount(), originalPath: null, originalPages: null };
+        }
+
+        const originalPath = getOriginalPath(filePath);
+        let originalPages = null;
+
+        if (!fs.existsSync(originalPath)) {
+            await fs.promises.mkdir(path.dirname(originalPath), { recursive: true });
+            await fs.promises.copyFile(filePath, originalPath);
+            originalPages = source.getPageCount();
+        }
+
+        const output = await PDFDocument.create();
+        const copied = await output.copyPages(source, plan.pages.map(page => page.index));
+
+        copied.forEach((page, position) => {
+            const rotation = plan.pages[position].rotation;
+
+            if (rotation !== 0) {
+                const current = page.getRotation().angle;
+                page.setRotation(degrees((((current + rotation) % 360) + 360) % 360));
+            }
+
+            output.addPage(page);
+        });
+
+        await writeAtomic(filePath, await output.save());
+
+        return { errors: [], pages: output.getPageCount(), originalPath, originalPages };
+    },
+
+    /**
+     * Restaura a cópia original do arquivo, desfazendo as edições de páginas
+     * @param {string} filePath - Caminho do PDF
+     * @param {string} originalPath - Caminho da cópia original
+     * @returns {Promise<void>}
+     */
+    restoreOriginal: async (filePath, originalPath) => {
+        await writeAtomic(filePath, await fs.promises.readFile(originalPath));
+        await fs.promises.unlink(originalPath).catch(() => {});
+    },
+
+    /**
+     * Remove as cópias originais antigas ou cujo arquivo editado não existe mais
+     * @param {string} originalsDir - Diretório das cópias originais
+     * @param {Date} cutoffDate - Cópias anteriores a esta data são removidas
+     * @returns {Promise<number>} Quantidade de cópias removidas
+     */
+    cleanOriginals: async (originalsDir, cutoffDate) => {
+        const originals = await fs.promises.readdir(originalsDir).catch(() => []);
+        let removed = 0;
+
+        for (const original of originals) {
+            const originalPath = path.join(originalsDir, original);
+            const stats = await fs.promises.stat(originalPath).catch(() => null);
+            if (!stats) {
+                continue;
+            }
+
+            if (stats.mtime < cutoffDate || !fs.existsSync(path.join(path.dirname(originalsDir), original))) {
+                await fs.promises.unlink(originalPath).catch(() => {});
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+}
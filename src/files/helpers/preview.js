@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const execFileAsync = util.promisify(execFile);
+const CONSTANTS = require('../../../helper/constants');
+
+/**
+ * Obtém o diretório de miniaturas de um arquivo, criado ao lado dele
+ * O nome começa com ponto para que o monitor da pasta não o processe
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {string} Caminho do diretório de miniaturas
+ */
+const getPreviewDir = (filePath) => {
+    return path.join(path.dirname(filePath), CONSTANTS.PREVIEW.DIR_NAME);
+}
+
+/**
+ * Obtém o prefixo dos nomes das miniaturas de um arquivo
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {string} Prefixo (ID do arquivo seguido de hífen)
+ */
+const getPreviewPrefix = (filePath) => {
+    return `${path.basename(filePath, path.extname(filePath))}-`;
+}
+
+module.exports = {
+    getPreviewDir,
+
+    /**
+     * Gera (ou reaproveita do cache) a imagem PNG de uma página do arquivo
+     * @param {string} filePath - Caminho do PDF
+     * @param {number} page - Página, começando em 1
+     * @param {number} width - Largura da imagem em pixels
+     * @returns {Promise<string>} Caminho da imagem gerada
+     */
+    renderPreview: async (filePath, page, width) => {
+        const previewDir = getPreviewDir(filePath);
+        const name = `${getPreviewPrefix(filePath)}p${page}-w${width}`;
+        const previewPath = path.join(previewDir, `${name}.png`);
+
+        const [fileStats, previewStats] = await Promise.all([
+            fs.promises.stat(filePath),
+            fs.promises.stat(previewPath).catch(() => null)
+        ]);
+
+        // O cache só vale se for mais novo que o arquivo (ex.: páginas alteradas depois)
+        if (previewStats && previewStats.mtime >= fileStats.mtime) {
+            return previewPath;
+        }
+
+        await fs.promises.mkdir(previewDir, { recursive: true });
+
+        // Gera em um nome temporário para que requisições simultâneas nunca leiam uma imagem incompleta
+        const tempPrefix = path.join(previewDir, `${name}.${process.pid}-${Date.now()}`);
+
+        try {
+            await execFileAsync('pdftoppm', [
+                '-png',
+                '-f', String(page),
+                '-l', String(page),
+                '-scale-to-x', String(width),
+                '-scale-to-y', '-1',
+                '-singlefile',
+                filePath,
+                tempPrefix
+            ], { timeout: CONSTANTS.PREVIEW.TIMEOUT_MS });
+
+            await fs.promises.rename(`${tempPrefix}.png`, previewPath);
+        } catch (error) {
+            await fs.promises.unlink(`${tempPrefix}.png`).catch(() => {});
+
+            const stderr = (error.stderr || '').toString().trim();
+            throw new Error(`Falha ao gerar a pré-visualização: ${stderr || error.message}`);
+        }
+
+        return previewPath;
+    },
+
+    /**
+     * Remove as miniaturas de um arquivo
+     * @param {string} filePath - Caminho do arquivo
+     * @returns {Promise<void>}
+     */
+    removePreviews: async (filePath) => {
+        const previewDir = getPreviewDir(filePath);
+        const prefix = getPreviewPrefix(filePath);
+
+        const previews = await fs.promises.readdir(previewDir).catch(() => []);
+
+        for (const preview of previews) {
+            if (preview.startsWith(prefix)) {
+                await fs.promises.unlink(path.join(previewDir, preview)).catch(() => {});
+            }
+        }
+    },
+
+    /**
+     * Remove as miniaturas antigas ou cujo arquivo de origem não existe mais
+     * @param {string} previewDir - Diretório de miniaturas
+     * @param {Date} cutoffDate - Miniaturas anteriores a esta data são removidas
+     * @returns {Promise<number>} Quantidade de miniaturas removidas
+     */
+    cleanPreviews: async (previewDir, cutoffDate) => {
+        const previews = await fs.promises.readdir(previewDir).catch(() => []);
+        const sources = new Set(
+            (await fs.promises.readdir(path.dirname(previewDir)).catch(() => []))
+                .map(file => path.basename(file, path.extname(file)))
+        );
+
+        let removed = 0;
+
+        for (const preview of previews) {
+            const previewPath = path.join(previewDir, preview);
+            const stats = await fs.promises.stat(previewPath).catch(() => null);
+            if (!stats) {
+                continue;
+            }
+
+            const source = preview.replace(/-p\d+-w\d+.*$/, '');
+
+            if (stats.mtime < cutoffDate || !sources.has(source)) {
+                await fs.promises.unlink(previewPath).catch(() => {});
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+}
@@ -0,0 +1,243 @@
+const CONSTANTS = require('../../../helper/constants');
+const { TAGS } = require('../../printers/helpers/ipp');
+
+/**
+ * Converte o intervalo de páginas em uma lista de pares [início, fim]
+ * @param {string} pageRanges - Intervalo no formato "1-3,5,8-10"
+ * @returns {Array<Array<number>>|null} Lista de intervalos ou null se inválido
+ */
+const parsePageRanges = (pageRanges) => {
+    const value = String(pageRanges).replace(/\s+/g, '');
+
+    if (!/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(value)) {
+        return null;
+    }
+
+    const ranges = [];
+    for (const part of value.split(',')) {
+        const [start, end = start] = part.split('-').map(number => parseInt(number, 10));
+
+        if (start < 1 || end < start) {
+            return null;
+        }
+
+        ranges.push([start, end]);
+    }
+
+    return ranges;
+}
+
+module.exports = {
+    parsePageRanges,
+
+    /**
+     * Conta quantas páginas do arquivo serão impressas por cópia
+     * @param {Object} options - Opções já validadas
+     * @param {number} totalPages - Quantidade de páginas do arquivo
+     * @returns {number} Páginas selecionadas
+     */
+    countSelectedPages: (options = {}, totalPages = 0) => {
+        if (!options.pageRanges) {
+            return totalPages;
+        }
+
+        const selected = new Set();
+        for (const [start, end] of parsePageRanges(options.pageRanges) || []) {
+            for (let page = start; page <= Math.min(end, totalPages); page++) {
+                selected.add(page);
+            }
+        }
+
+        return selected.size;
+    },
+
+    /**
+     * Valida e normaliza as opções de impressão enviadas no corpo da requisição
+     * @param {Object} options - Opções enviadas pelo cliente
+     * @param {number} totalPages - Quantidade de páginas do arquivo
+     * @returns {{errors: string[], options: Object}} Erros encontrados e opções normalizadas
+     */
+    validatePrintOptions: (options = {}, totalPages = null) => {
+        const errors = [];
+        const normalized = {};
+
+        if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+            return { errors: ['As opções de impressão devem ser um objeto!'], options: normalized };
+        }
+
+        const {
+            copies,
+            sides,
+            pageRanges,
+            colorMode,
+            media,
+            orientation,
+            fitToPage,
+            stampTemplateId,
+            layout
+        } = options;
+
+        if (copies !== undefined && copies !== null) {
+            const value = Number(copies);
+
+            if (!Number.isInteger(value) || value < 1 || value > CONSTANTS.PRINT.MAX_COPIES) {
+                errors.push(`Número de cópias deve ser um inteiro entre 1 e ${CONSTANTS.PRINT.MAX_COPIES}!`);
+            } else {
+                normalized.copies = value;
+            }
+        }
+
+        if (sides !== undefined && sides !== null) {
+            if (!CONSTANTS.PRINT.SIDES.includes(sides)) {
+                errors.push(`Modo de frente e verso inválido! Valores aceitos: ${CONSTANTS.PRINT.SIDES.join(', ')}`);
+            } else {
+                normalized.sides = sides;
+            }
+        }
+
+        if (pageRanges !== undefined && pageRanges !== null && pageRanges !== '') {
+            const ranges = parsePageRanges(pageRanges);
+
+            if (!ranges) {
+                errors.push('Intervalo de páginas inválido! Utilize o formato "1-3,5,8-10"');
+            } else if (totalPages && ranges.some(([, end]) => end > totalPages)) {
+                errors.push(`Intervalo de páginas excede o total de ${totalPages} páginas do arquivo!`);
+            } else {
+                normalized.pageRanges = ranges
+                    .map(([start, end]) => start === end ? `${start}` : `${start}-${end}`)
+                    .join(',');
+            }
+        }
+
+        if (colorMode !== undefined && colorMode !== null) {
+            if (!CONSTANTS.PRINT.COLOR_MODES.includes(colorMode)) {
+                errors.push(`Modo de cor inválido! Valores aceitos: ${CONSTANTS.PRINT.COLOR_MODES.join(', ')}`);
+            } else {
+                normalized.colorMode = colorMode;
+            }
+        }
+
+        if (media !== undefined && media !== null) {
+            const value = CONSTANTS.PRINT.MEDIA.find(item => item.toLowerCase() === String(media).toLowerCase());
+
+            if (!value) {
+                errors.push(`Tamanho de papel inválido! Valores aceitos: ${CONSTANTS.PRINT.MEDIA.join(', ')}`);
+            } else {
+                normalized.media = value;
+            }
+        }
+
+        if (orientation !== undefined && orientation !== null) {
+            if (!Object.keys(CONSTANTS.PRINT.ORIENTATIONS).includes(orientation)) {
+                errors.push(`Orientação inválida! Valores aceitos: ${Object.keys(CONSTANTS.PRINT.ORIENTATIONS).join(', ')}`);
+            } else {
+                normalized.orientation = orientation;
+            }
+        }
+
+        if (fitToPage !== undefined && fitToPage !== null) {
+            if (typeof fitToPage !== 'boolean') {
+                errors.push('O campo fitToPage deve ser verdadeiro ou falso!');
+            } else {
+                normalized.fitToPage = fitToPage;
+            }
+        }
+
+        if (layout !== undefined && layout !== null) {
+            if (!Object.keys(CONSTANTS.PRINT.LAYOUTS).includes(layout)) {
+                errors.push(`Layout inválido! Valores aceitos: ${Object.keys(CONSTANTS.PRINT.LAYOUTS).join(', ')}`);
+            } else {
+                normalized.layout = layout;
+            }
+        }
+
+        // null desativa o carimbo padrão da impressora; ausente mantém o padrão
+        if (stampTemplateId !== undefined) {
+            if (stampTemplateId !== null && (typeof stampTemplateId !== 'string' || !stampTemplateId)) {
+                errors.push('O modelo de carimbo deve ser o ID de um modelo cadastrado ou null!');
+            } else {
+                normalized.stampTemplateId = stampTemplateId;
+            }
+        }
+
+        return { errors, options: normalized };
+    },
+
+    /**
+     * Converte as opções normalizadas em argumentos do comando lp
+     * @param {Object} options - Opções já validadas
+     * @returns {string[]} Argumentos para o lp
+     */
+    buildCupsOptions: (options = {}) => {
+        const args = [];
+
+        if (options.copies) {
+            args.push('-n', String(options.copies));
+        }
+
+        if (options.sides) {
+            args.push('-o', `sides=${options.sides}`);
+        }
+
+        if (options.pageRanges) {
+            args.push('-o', `page-ranges=${options.pageRanges}`);
+        }
+
+        if (options.colorMode) {
+            args.push('-o', `print-color-mode=${options.colorMode}`);
+        }
+
+        if (options.media) {
+            args.push('-o', `media=${options.media}`);
+        }
+
+        if (options.orientation) {
+            args.push('-o', `orientation-requested=${CONSTANTS.PRINT.ORIENTATIONS[options.orientation]}`);
+        }
+
+        if (options.fitToPage) {
+            args.push('-o', 'fit-to-page');
+        }
+
+        return args;
+    },
+
+    /**
+     * Converte as opções normalizadas em atributos de trabalho IPP
+     * @param {Object} options - Opções já validadas
+     * @returns {Array<{name: string, tag: number, value: *}>} Atributos do grupo de trabalho
+     */
+    buildIppAttributes: (options = {}) => {
+        const attributes = [];
+
+        if (options.copies) {
+            attributes.push({ name: 'copies', tag: TAGS.INTEGER, value: options.copies });
+        }
+
+        if (options.sides) {
+            attributes.push({ name: 'sides', tag: TAGS.KEYWORD, value: options.sides });
+        }
+
+        if (options.pageRanges) {
+            attributes.push({ name: 'page-ranges', tag: TAGS.RANGE_OF_INTEGER, value: parsePageRanges(options.pageRanges) });
+        }
+
+        if (options.colorMode) {
+            attributes.push({ name: 'print-color-mode', tag: TAGS.KEYWORD, value: options.colorMode });
+        }
+
+        if (options.media) {
+            attributes.push({ name: 'media', tag: TAGS.KEYWORD, value: CONSTANTS.PRINT.MEDIA_PWG[options.media] });
+        }
+
+        if (options.orientation) {
+            attributes.push({ name: 'orientation-requested', tag: TAGS.ENUM, value: CONSTANTS.PRINT.ORIENTATIONS[options.orientation] });
+        }
+
+        if (options.fitToPage) {
+            attributes.push({ name: 'print-scaling', tag: TAGS.KEYWORD, value: 'fit' });
+        }
+
+        return attributes;
+    }
+}
@@ -23,11 +23,36 @@ module.exports = {
             }
         }
     },
-    getForPrint: async () => {
+    /**
+     * Obtém os arquivos aguardando impressão
+     * @param {Object} filters Filtros opcionais
+     * @param {string|null} filters.owner Somente arquivos deste usuário
+     * @param {boolean} filters.includeUnowned Inclui os arquivos sem dono junto aos do usuário; sem usuário, retorna só os sem dono
+     * @returns {Promise<Array>} Lista de arquivos
+     */
+    getForPrint: async ({ owner = null, includeUnowned = false } = {}) => {
         try {
-            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.files WHERE deletedAt IS NULL AND printed = FALSE;`;
+            const data = [];
+            let ownerCondition = '';
+
+            if (owner) {
+                data.push(owner);
+                ownerCondition = includeUnowned ? 'AND (owner = $1 OR owner IS NULL)' : 'AND owner = $1';
+            } else if (includeUnowned) {
+                ownerCondition = 'AND owner IS NULL';
+            }
 
-            let result = await Core(sql);
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.files 
+                WHERE deletedAt IS NULL AND printed = FALSE
+                ${ownerCondition}
+                AND id NOT IN (
+                    SELECT fileId FROM ${CONSTANTS.DB.DATABASE}.print_queue WHERE status IN ('queued', 'processing')
+                )
+                AND id NOT IN (
+                    SELECT fileId FROM ${CONSTANTS.DB.DATABASE}.secure_releases WHERE status = 'held'
+                );`;
+
+            let result = await Core(sql, data);
 
             if (!Array.isArray(result)) {
                 result = [result];
@@ -112,5 +137,26 @@ module.exports = {
                 message: "Ocorreu um erro ao excluir os dados! Tente novamente mais tarde"
             }
         }
+    },
+    updateEdit: async (id, pages, originalPath, originalPages) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.files SET pages = $2, originalPath = $3, originalPages = $4 WHERE id = $1 RETURNING *;`;
+
+            const result = await Core(sql, [id, pages, originalPath, originalPages]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Edit',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao atualizar as páginas do arquivo! Tente novamente mais tarde"
+            }
+        }
     }
-}
\ No newline at end of file
+}
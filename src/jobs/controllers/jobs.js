@@ -0,0 +1,275 @@
+const Jobs = require('../models/jobs');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const ipp = require('../../printers/helpers/ipp');
+const cupsAdapter = require('../../printers/helpers/cupsAdapter');
+const Printers = require('../../printers/models/printers');
+const responseHandler = require('../../../helper/responseHandler');
+
+/**
+ * Obtém um trabalho que ainda pode ser alterado
+ * @param {string} id ID do trabalho
+ * @param {boolean} allowDirect Aceita trabalhos enviados diretamente por IPP
+ * @returns {Promise<{job: Object|null, message: string|null}>}
+ */
+const getActiveJob = async (id, allowDirect = false) => {
+    const job = await Jobs.getById(id);
+
+    if (job.message) {
+        return { job: null, message: job.message };
+    }
+
+    if (!job.id) {
+        return { job: null, message: 'Trabalho de impressão não encontrado!' };
+    }
+
+    if (!job.cupsrequestid && !(allowDirect && job.ippjobid)) {
+        return { job: null, message: 'Trabalho de impressão não foi enviado ao CUPS!' };
+    }
+
+    if (!['pending', 'held', 'processing'].includes(job.status)) {
+        return { job: null, message: `Trabalho de impressão já finalizado (${job.status})!` };
+    }
+
+    return { job, message: null };
+}
+
+module.exports = {
+    getJobs: async (request, response) => {
+        try {
+            const { status, printerId, fileId, batchId, limit } = request.query;
+
+            const jobs = await Jobs.getAll({
+                status,
+                printerId,
+                fileId,
+                batchId,
+                limit: Math.min(parseInt(limit, 10) || 100, 1000)
+            });
+
+            if (jobs.message) {
+                return responseHandler.badRequest(response, jobs.message);
+            }
+
+            return responseHandler.success(response, 'Trabalhos de impressão encontrados!', jobs);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Print Jobs',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter os trabalhos de impressão!');
+        }
+    },
+    getJob: async (request, response) => {
+        try {
+            const job = await Jobs.getById(request.params.id);
+
+            if (job.message) {
+                return responseHandler.badRequest(response, job.message);
+            }
+
+            if (!job.id) {
+                return responseHandler.notFound(response, 'Trabalho de impressão não encontrado!');
+            }
+
+            return responseHandler.success(response, 'Trabalho de impressão encontrado!', job);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter o trabalho de impressão!');
+        }
+    },
+    cancelJob: async (request, response) => {
+        try {
+            const { job, message } = await getActiveJob(request.params.id, true);
+            if (!job) {
+                return responseHandler.badRequest(response, message);
+            }
+
+            if (job.transport === 'ipp') {
+                await ipp.cancelJob(job.ippprinteruri, job.ippjobid);
+            } else {
+                await cupsAdapter.cancelJob(job.cupsrequestid);
+            }
+
+            const updated = await Jobs.updateStatus(job.id, 'canceled', 'Cancelado pelo cliente');
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Print Job',
+                beforeData: job,
+                afterData: updated,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Trabalho de impressão cancelado!', updated);
+        } catch (error) {
+            if (error instanceof cupsAdapter.CupsError || error instanceof ipp.IppError) {
+                return responseHandler.badRequest(response, error.message);
+            }
+
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao cancelar o trabalho de impressão!');
+        }
+    },
+    holdJob: async (request, response) => {
+        try {
+            const { job, message } = await getActiveJob(request.params.id);
+            if (!job) {
+                return responseHandler.badRequest(response, message);
+            }
+
+            if (job.status !== 'pending') {
+                return responseHandler.badRequest(response, 'Somente trabalhos pendentes podem ser retidos!');
+            }
+
+            await cupsAdapter.holdJob(job.cupsrequestid);
+
+            const updated = await Jobs.updateStatus(job.id, 'held', 'Retido pelo cliente');
+
+            Log.audit({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Hold Print Job',
+                beforeData: job,
+                afterData: updated,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Trabalho de impressão retido!', updated);
+        } catch (error) {
+            if (error instanceof cupsAdapter.CupsError) {
+                return responseHandler.badRequest(response, error.message);
+            }
+
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Hold Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao reter o trabalho de impressão!');
+        }
+    },
+    releaseJob: async (request, response) => {
+        try {
+            const { job, message } = await getActiveJob(request.params.id);
+            if (!job) {
+                return responseHandler.badRequest(response, message);
+            }
+
+            if (job.status !== 'held') {
+                return responseHandler.badRequest(response, 'Somente trabalhos retidos podem ser liberados!');
+            }
+
+            await cupsAdapter.releaseJob(job.cupsrequestid);
+
+            const updated = await Jobs.updateStatus(job.id, 'pending', 'Liberado pelo cliente');
+
+            Log.audit({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Release Print Job',
+                beforeData: job,
+                afterData: updated,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Trabalho de impressão liberado!', updated);
+        } catch (error) {
+            if (error instanceof cupsAdapter.CupsError) {
+                return responseHandler.badRequest(response, error.message);
+            }
+
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Release Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao liberar o trabalho de impressão!');
+        }
+    },
+    moveJob: async (request, response) => {
+        try {
+            const { assetId } = request.body;
+
+            const { job, message } = await getActiveJob(request.params.id);
+            if (!job) {
+                return responseHandler.badRequest(response, message);
+            }
+
+            if (job.status === 'processing') {
+                return responseHandler.badRequest(response, 'Trabalhos em processamento não podem ser movidos!');
+            }
+
+            const printer = await Printers.getById(assetId);
+
+            if (printer.message) {
+                return responseHandler.badRequest(response, printer.message);
+            }
+
+            if (!printer.id) {
+                return responseHandler.badRequest(response, 'Impressora não encontrada!');
+            }
+
+            if (printer.id === job.printerid) {
+                return responseHandler.badRequest(response, 'O trabalho já está nesta impressora!');
+            }
+
+            const requestId = await cupsAdapter.moveJob(job.cupsrequestid, printer.name);
+
+            const updated = await Jobs.updatePrinter(job.id, printer.id, printer.name, requestId);
+
+            Log.audit({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Move Print Job',
+                beforeData: job,
+                afterData: updated,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Trabalho de impressão movido!', updated);
+        } catch (error) {
+            if (error instanceof cupsAdapter.CupsError) {
+                return responseHandler.badRequest(response, error.message);
+            }
+
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Move Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao mover o trabalho de impressão!');
+        }
+    }
+}
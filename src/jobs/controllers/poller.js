@@ -0,0 +1,102 @@
+const Jobs = require('../models/jobs');
+const ipp = require('../../printers/helpers/ipp');
+const cupsAdapter = require('../../printers/helpers/cupsAdapter');
+const { applyJobCost } = require('../../costs/helpers/cost');
+
+let polling = false;
+
+/**
+ * Atualiza o estado do trabalho e calcula o seu custo quando ele é concluído
+ * @param {Object} job - Registro do trabalho
+ * @param {string} state - Novo estado
+ * @param {string|null} message - Mensagem do CUPS ou da impressora
+ */
+const updateJob = async (job, state, message) => {
+    const updated = await Jobs.updateStatus(job.id, state, message);
+
+    if (state === 'completed' && job.status !== 'completed' && updated.id) {
+        await applyJobCost(updated);
+    }
+}
+
+/**
+ * Consulta o CUPS e atualiza o estado dos trabalhos em andamento
+ * @returns {Promise<Object>} Resumo da execução
+ */
+const updateJobStates = async () => {
+    if (polling) {
+        return { skipped: true };
+    }
+
+    polling = true;
+
+    try {
+        const activeJobs = await Jobs.getActive();
+        if (activeJobs.message) {
+            throw new Error(activeJobs.message);
+        }
+
+        const summary = { checked: activeJobs.length, updated: 0, failed: 0 };
+
+        if (activeJobs.length === 0) {
+            return summary;
+        }
+
+        const cupsActiveJobs = activeJobs.filter(job => job.transport !== 'ipp');
+        const ippActiveJobs = activeJobs.filter(job => job.transport === 'ipp');
+
+        const cupsJobs = new Map();
+        if (cupsActiveJobs.length > 0) {
+            for (const which of ['completed', 'not-completed']) {
+                const jobs = await cupsAdapter.getJobs(which);
+
+                for (const job of jobs) {
+                    cupsJobs.set(job.cupsJobId, job);
+                }
+            }
+        }
+
+        for (const job of cupsActiveJobs) {
+            const cupsJob = cupsJobs.get(job.cupsjobid);
+
+            // Trabalho fora do histórico do CUPS, mantém o último estado conhecido
+            if (!cupsJob) {
+                continue;
+            }
+
+            if (cupsJob.state === job.status && cupsJob.message === job.statusmessage) {
+                continue;
+            }
+
+            console.log(`Trabalho ${job.cupsrequestid}: ${job.status} -> ${cupsJob.state}`);
+            await updateJob(job, cupsJob.state, cupsJob.message);
+            summary.updated++;
+        }
+
+        // Trabalhos enviados diretamente à impressora são consultados por IPP
+        for (const job of ippActiveJobs) {
+            try {
+                const ippJob = await ipp.getJobAttributes(job.ippprinteruri, job.ippjobid);
+
+                if (ippJob.state === job.status && ippJob.message === job.statusmessage) {
+                    continue;
+                }
+
+                console.log(`Trabalho IPP ${job.ippjobid} em ${job.ippprinteruri}: ${job.status} -> ${ippJob.state}`);
+                await updateJob(job, ippJob.state, ippJob.message);
+                summary.updated++;
+            } catch (error) {
+                summary.failed++;
+                console.warn(`Não foi possível consultar o trabalho IPP ${job.ippjobid}: ${error.message}`);
+            }
+        }
+
+        return summary;
+    } finally {
+        polling = false;
+    }
+}
+
+module.exports = {
+    updateJobStates
+}
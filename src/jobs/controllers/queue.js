@@ -0,0 +1,257 @@
+const fs = require('fs');
+const Queue = require('../models/queue');
+const Log = require('../../../helper/log');
+const { submitPrintJob } = require('../helpers/dispatch');
+const CONSTANTS = require('../../../helper/constants');
+const Files = require('../../monitor/models/files');
+const Printers = require('../../printers/models/printers');
+const networkHelper = require('../../printers/helpers/network');
+const responseHandler = require('../../../helper/responseHandler');
+const quotaHelper = require('../../quotas/helpers/quota');
+
+let processing = false;
+
+const deleteFile = async (filePath) => {
+    try {
+        if (fs.existsSync(filePath)) {
+            await fs.promises.unlink(filePath);
+        }
+    } catch (error) {
+        console.error(error);
+        Log.error({
+            entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+            operation: 'Delete File',
+            errorMessage: error.message,
+            errorStack: error.stack
+        });
+    }
+}
+
+/**
+ * Calcula o intervalo até a próxima tentativa (backoff exponencial)
+ * @param {number} attempts - Tentativas já realizadas
+ * @returns {number} Intervalo em milissegundos
+ */
+const getBackoffDelay = (attempts) => {
+    const delay = CONSTANTS.QUEUE.BASE_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0));
+
+    return Math.min(delay, CONSTANTS.QUEUE.MAX_DELAY_MS);
+}
+
+/**
+ * Registra a falha de uma tentativa, aplicando a troca para a impressora reserva quando configurada
+ * @param {Object} item - Item da fila
+ * @param {string} reason - Motivo da falha
+ */
+const registerFailure = async (item, reason) => {
+    const attempts = item.attempts + 1;
+    let printerId = item.printerid;
+    let nextAttemptAt = new Date(Date.now() + getBackoffDelay(attempts));
+    let status = 'queued';
+
+    const original = await Printers.getById(item.originalprinterid);
+    const canFailover = original && original.id && original.fallback_printer_id &&
+        original.failover_after && original.fallback_printer_id !== original.id;
+
+    if (canFailover && printerId === original.id && attempts >= original.failover_after) {
+        const fallback = await Printers.getById(original.fallback_printer_id);
+
+        if (fallback && fallback.id) {
+            console.log(`Fila ${item.id}: ${attempts} falhas em ${original.name}, direcionando para ${fallback.name}`);
+
+            printerId = fallback.id;
+            nextAttemptAt = new Date();
+        }
+    }
+
+    if (attempts >= CONSTANTS.QUEUE.MAX_ATTEMPTS && printerId === item.printerid) {
+        status = 'failed';
+        console.warn(`Fila ${item.id}: desistindo após ${attempts} tentativas (${reason})`);
+    }
+
+    await Queue.updateAttempt(item.id, { status, attempts, nextAttemptAt, printerId, lastError: reason });
+}
+
+/**
+ * Tenta enviar um item da fila para impressão
+ * @param {Object} item - Item da fila
+ * @returns {Promise<boolean>} Se o arquivo foi enviado à impressora
+ */
+const processItem = async (item) => {
+    const file = await Files.getById(item.fileid);
+    if (!file || !file.id || file.message || !fs.existsSync(file.path)) {
+        await Queue.updateAttempt(item.id, {
+            status: 'failed',
+            attempts: item.attempts,
+            nextAttemptAt: new Date(),
+            printerId: item.printerid,
+            lastError: 'Arquivo não encontrado'
+        });
+        return false;
+    }
+
+    const printer = await Printers.getById(item.printerid);
+    if (!printer || !printer.id || printer.message) {
+        await registerFailure(item, 'Impressora não encontrada');
+        return false;
+    }
+
+    // Itens da fila só contam no uso da cota depois de enviados, então a cota é conferida de novo aqui
+    const options = item.options || {};
+    const quotaError = await quotaHelper.checkUserQuota(
+        item.username,
+        quotaHelper.countRequestedPages(options, file.pages),
+        quotaHelper.isColorJob(options)
+    );
+
+    if (quotaError) {
+        console.log(`Fila ${item.id}: envio recusado: ${quotaError.message}`);
+        await Queue.updateAttempt(item.id, {
+            status: 'failed',
+            attempts: item.attempts,
+            nextAttemptAt: new Date(),
+            printerId: item.printerid,
+            lastError: quotaError.message
+        });
+        return false;
+    }
+
+    const reachable = await networkHelper.isPrinterReachable(printer, CONSTANTS.QUEUE.CONNECTION_TIMEOUT_MS);
+    if (!reachable) {
+        await registerFailure(item, `Impressora ${printer.name} inacessível`);
+        return false;
+    }
+
+    const result = await submitPrintJob(file, printer, options, { direct: item.direct, user: item.username });
+    if (!result.success) {
+        await registerFailure(item, result.message);
+        return false;
+    }
+
+    await Queue.markDispatched(item.id, result.job ? result.job.id : null);
+    console.log(`Fila ${item.id}: arquivo ${file.id} enviado para ${printer.name}`);
+
+    if (result.warning) {
+        console.warn(`Fila ${item.id}: ${result.warning}`);
+    }
+
+    await deleteFile(file.path);
+
+    return true;
+}
+
+/**
+ * Processa os itens da fila cuja próxima tentativa já venceu
+ * @returns {Promise<Object>} Resumo da execução
+ */
+const processQueue = async () => {
+    if (processing) {
+        return { skipped: true };
+    }
+
+    processing = true;
+
+    try {
+        const items = await Queue.claimDue();
+        if (items.message) {
+            throw new Error(items.message);
+        }
+
+        const summary = { processed: items.length, dispatched: 0, failed: 0 };
+
+        for (const item of items) {
+            try {
+                if (await processItem(item)) {
+                    summary.dispatched++;
+                } else {
+                    summary.failed++;
+                }
+            } catch (error) {
+                console.error(error);
+                summary.failed++;
+                await registerFailure(item, error.message);
+            }
+        }
+
+        return summary;
+    } finally {
+        processing = false;
+    }
+}
+
+module.exports = {
+    processQueue,
+    queueStart: async () => {
+        // Itens que estavam em processamento quando o servidor parou voltam para a fila
+        await Queue.requeueStale();
+
+        console.log("Fila de impressão iniciada com sucesso");
+    },
+    getQueue: async (request, response) => {
+        try {
+            const items = await Queue.getAll(request.query.status || null);
+
+            if (items.message) {
+                return responseHandler.badRequest(response, items.message);
+            }
+
+            return responseHandler.success(response, 'Fila de impressão encontrada!', items);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Queue',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter a fila de impressão!');
+        }
+    },
+    cancelQueueItem: async (request, response) => {
+        try {
+            const item = await Queue.getById(request.params.id);
+
+            if (item.message) {
+                return responseHandler.badRequest(response, item.message);
+            }
+
+            if (!item.id) {
+                return responseHandler.notFound(response, 'Item da fila não encontrado!');
+            }
+
+            const canceled = await Queue.cancel(item.id);
+
+            if (canceled.message) {
+                return responseHandler.badRequest(response, canceled.message);
+            }
+
+            if (!canceled.id) {
+                return responseHandler.badRequest(response, `Item da fila não pode ser cancelado (${item.status})!`);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Queue Item',
+                beforeData: item,
+                afterData: canceled,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Item da fila cancelado!', canceled);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Queue Item',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao cancelar o item da fila!');
+        }
+    }
+}
@@ -0,0 +1,271 @@
+const { v7: uuid } = require('uuid');
+const Queue = require('../models/queue');
+const Schedules = require('../models/schedules');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const { getNextRun, resolveSchedule } = require('../helpers/schedule');
+const responseHandler = require('../../../helper/responseHandler');
+
+/**
+ * Valida os dados de um agendamento nomeado
+ * @param {Object} data - Dados informados (name, cron, description)
+ * @returns {string[]} Erros encontrados
+ */
+const validateSchedule = ({ name, cron, description }) => {
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.length > 50) {
+        errors.push('O nome do agendamento é obrigatório e deve ter até 50 caracteres!');
+    }
+
+    if (!getNextRun(cron)) {
+        errors.push('Expressão cron inválida! Use 5 campos (ou 6, com os segundos). Exemplo: 0 22 * * 1-5 (dias úteis às 22h)');
+    }
+
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        errors.push('A descrição deve ser um texto!');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    getSchedules: async (request, response) => {
+        try {
+            const schedules = await Schedules.getAll();
+
+            if (schedules.message) {
+                return responseHandler.badRequest(response, schedules.message);
+            }
+
+            return responseHandler.success(response, 'Agendamentos encontrados!', schedules.map(schedule => ({
+                ...schedule,
+                nextRun: getNextRun(schedule.cron)
+            })));
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Print Schedules',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter os agendamentos!');
+        }
+    },
+
+    createSchedule: async (request, response) => {
+        try {
+            const { name, cron, description = null } = request.body;
+
+            const errors = validateSchedule({ name, cron, description });
+            if (errors.length > 0) {
+                return responseHandler.badRequest(response, 'Agendamento inválido!', errors);
+            }
+
+            const now = new Date();
+            const schedule = await Schedules.insert([uuid(), name, cron.trim(), description, now, now]);
+
+            if (schedule.message) {
+                return responseHandler.badRequest(response, schedule.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.CREATE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Create Print Schedule',
+                afterData: schedule,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.created(response, 'Agendamento criado com sucesso!', schedule);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Create Print Schedule',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao criar o agendamento! Tente novamente mais tarde');
+        }
+    },
+
+    updateSchedule: async (request, response) => {
+        try {
+            const current = await Schedules.getById(request.params.id);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.id) {
+                return responseHandler.notFound(response, 'Agendamento não encontrado!');
+            }
+
+            const data = {
+                name: request.body.name !== undefined ? request.body.name : current.name,
+                cron: request.body.cron !== undefined ? request.body.cron : current.cron,
+                description: request.body.description !== undefined ? request.body.description : current.description
+            };
+
+            const errors = validateSchedule(data);
+            if (errors.length > 0) {
+                return responseHandler.badRequest(response, 'Agendamento inválido!', errors);
+            }
+
+            const schedule = await Schedules.update([data.name, data.cron.trim(), data.description, new Date(), current.id]);
+
+            if (schedule.message) {
+                return responseHandler.badRequest(response, schedule.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Print Schedule',
+                beforeData: current,
+                afterData: schedule,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Agendamento alterado com sucesso!', schedule);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Print Schedule',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao atualizar o agendamento! Tente novamente mais tarde');
+        }
+    },
+
+    deleteSchedule: async (request, response) => {
+        try {
+            const current = await Schedules.getById(request.params.id);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.id) {
+                return responseHandler.notFound(response, 'Agendamento não encontrado!');
+            }
+
+            const deleted = await Schedules.delete(current.id);
+
+            if (deleted.message) {
+                return responseHandler.badRequest(response, deleted.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Delete Print Schedule',
+                beforeData: current,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Agendamento excluído com sucesso!');
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Delete Print Schedule',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao excluir o agendamento! Tente novamente mais tarde');
+        }
+    },
+
+    getScheduledJobs: async (request, response) => {
+        try {
+            const items = await Queue.getScheduled(request.query.user || null);
+
+            if (items.message) {
+                return responseHandler.badRequest(response, items.message);
+            }
+
+            return responseHandler.success(response, 'Envios agendados encontrados!', items);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Scheduled Jobs',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter os envios agendados!');
+        }
+    },
+
+    rescheduleJob: async (request, response) => {
+        try {
+            const { notBefore = null, schedule = null } = request.body;
+
+            const item = await Queue.getById(request.params.id);
+
+            if (item.message) {
+                return responseHandler.badRequest(response, item.message);
+            }
+
+            if (!item.id) {
+                return responseHandler.notFound(response, 'Item da fila não encontrado!');
+            }
+
+            if (!notBefore && !schedule) {
+                return responseHandler.badRequest(response, 'Informe a nova data ou o agendamento!');
+            }
+
+            const resolved = await resolveSchedule({ notBefore, schedule });
+            if (resolved.message) {
+                return responseHandler.badRequest(response, resolved.message);
+            }
+
+            const updated = await Queue.reschedule(item.id, resolved.notBefore, resolved.scheduleId);
+
+            if (updated.message) {
+                return responseHandler.badRequest(response, updated.message);
+            }
+
+            if (!updated.id) {
+                return responseHandler.badRequest(response, `Item da fila não pode ser reagendado (${item.status})!`);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Reschedule Print Job',
+                beforeData: item,
+                afterData: updated,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Envio reagendado!', updated);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Reschedule Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao reagendar o envio!');
+        }
+    }
+}
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const Secure = require('../models/secure');
+const Log = require('../../../helper/log');
+const { verifySecret } = require('../helpers/secure');
+const { submitPrintJob } = require('../helpers/dispatch');
+const CONSTANTS = require('../../../helper/constants');
+const Files = require('../../monitor/models/files');
+const Printers = require('../../printers/models/printers');
+const responseHandler = require('../../../helper/responseHandler');
+const quotaHelper = require('../../quotas/helpers/quota');
+
+let purging = false;
+
+const deleteFile = async (filePath) => {
+    try {
+        if (fs.existsSync(filePath)) {
+            await fs.promises.unlink(filePath);
+        }
+    } catch (error) {
+        console.error(error);
+        Log.error({
+            entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+            operation: 'Delete File',
+            errorMessage: error.message,
+            errorStack: error.stack
+        });
+    }
+}
+
+/**
+ * Remove o arquivo de uma retenção que não será mais impressa
+ * @param {Object} item - Retenção
+ */
+const discardFile = async (item) => {
+    const file = await Files.getById(item.fileid);
+
+    if (file && file.id) {
+        await Files.delete(file.id);
+        await deleteFile(file.path);
+    }
+}
+
+/**
+ * Expira as retenções que passaram do prazo, removendo os arquivos
+ * @returns {Promise<Object>} Resumo da execução
+ */
+const purgeExpired = async () => {
+    if (purging) {
+        return { skipped: true };
+    }
+
+    purging = true;
+
+    try {
+        const items = await Secure.expireDue();
+        if (items.message) {
+            throw new Error(items.message);
+        }
+
+        for (const item of items) {
+            await discardFile(item);
+
+            console.log(`Documento retido ${item.id} expirou sem ser liberado`);
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Expire Secure Release',
+                afterData: item
+            });
+        }
+
+        return { expired: items.length };
+    } finally {
+        purging = false;
+    }
+}
+
+module.exports = {
+    purgeExpired,
+    getSecureJobs: async (request, response) => {
+        try {
+            const items = await Secure.getAll({
+                status: request.query.status || null,
+                user: request.query.user || null
+            });
+
+            if (items.message) {
+                return responseHandler.badRequest(response, items.message);
+            }
+
+            return responseHandler.success(response, 'Documentos retidos encontrados!', items);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Secure Releases',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter os documentos retidos!');
+        }
+    },
+    releaseSecureJob: async (request, response) => {
+        try {
+            const { pin = null, code = null } = request.body;
+
+            if (!pin && !code) {
+                return responseHandler.badRequest(response, 'Informe o PIN ou o código de liberação!');
+            }
+
+            const item = await Secure.getById(request.params.id);
+
+            if (item.message) {
+                return responseHandler.badRequest(response, item.message);
+            }
+
+            if (!item.id) {
+                return responseHandler.notFound(response, 'Documento retido não encontrado!');
+            }
+
+            if (item.status !== 'held' || item.expiresat <= new Date()) {
+                return responseHandler.badRequest(response, `Documento não pode ser liberado (${item.status === 'held' ? 'expired' : item.status})!`);
+            }
+
+            const valid = (pin && verifySecret(pin, item.pinhash)) || (code && verifySecret(code, item.codehash));
+
+            if (!valid) {
+                const lock = item.failedattempts + 1 >= CONSTANTS.SECURE_RELEASE.MAX_FAILED_ATTEMPTS;
+                const failed = await Secure.recordFailure(item.id, lock);
+
+                if (lock) {
+                    await discardFile(item);
+                }
+
+                Log.audit({
+                    logType: lock ? CONSTANTS.LOG.DELETE : CONSTANTS.LOG.UPDATE,
+                    entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                    operation: lock ? 'Lock Secure Release' : 'Deny Secure Release',
+                    afterData: failed.id ? failed : null,
+                    userInfo: request.user.userInfo
+                });
+
+                return responseHandler.forbidden(response, lock
+                    ? 'PIN ou código incorreto! O documento foi descartado após muitas tentativas'
+                    : 'PIN ou código incorreto!');
+            }
+
+            const claimed = await Secure.claim(item.id);
+
+            if (claimed.message) {
+                return responseHandler.badRequest(response, claimed.message);
+            }
+
+            if (!claimed.id) {
+                return responseHandler.badRequest(response, 'Documento já liberado ou expirado!');
+            }
+
+            const file = await Files.getById(item.fileid);
+            const printer = await Printers.getById(item.printerid);
+
+            if (!file || !file.id || file.message || !fs.existsSync(file.path)) {
+                await Secure.unclaim(item.id);
+                await Secure.cancel(item.id);
+                return responseHandler.badRequest(response, 'Arquivo não encontrado!');
+            }
+
+            if (!printer || !printer.id || printer.message) {
+                await Secure.unclaim(item.id);
+                return responseHandler.badRequest(response, 'Impressora não encontrada!');
+            }
+
+            // Documentos retidos só contam no uso da cota depois de liberados, então a cota é conferida de novo aqui
+            const options = item.options || {};
+            const quotaError = await quotaHelper.checkUserQuota(
+                item.username,
+                quotaHelper.countRequestedPages(options, file.pages),
+                quotaHelper.isColorJob(options)
+            );
+
+            if (quotaError) {
+                await Secure.unclaim(item.id);
+                return responseHandler.forbidden(response, quotaError.message, quotaError.balances);
+            }
+
+            const result = await submitPrintJob(file, printer, options, { direct: item.direct, user: item.username });
+
+            if (!result.success) {
+                await Secure.unclaim(item.id);
+                return responseHandler.badRequest(response, result.message);
+            }
+
+            const released = await Secure.updateJob(item.id, result.job ? result.job.id : null);
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Release Secure Job',
+                beforeData: claimed,
+                afterData: { ...released, releasedWith: pin ? 'pin' : 'code' },
+                userInfo: request.user.userInfo
+            });
+
+            responseHandler.success(response, result.warning || 'Documento liberado para impressão!', { release: released, job: result.job });
+
+            setImmediate(async () => {
+                await deleteFile(file.path);
+            });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Release Secure Job',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao liberar o documento!');
+        }
+    },
+    cancelSecureJob: async (request, response) => {
+        try {
+            const item = await Secure.getById(request.params.id);
+
+            if (item.message) {
+                return responseHandler.badRequest(response, item.message);
+            }
+
+            if (!item.id) {
+                return responseHandler.notFound(response, 'Documento retido não encontrado!');
+            }
+
+            const canceled = await Secure.cancel(item.id);
+
+            if (canceled.message) {
+                return responseHandler.badRequest(response, canceled.message);
+            }
+
+            if (!canceled.id) {
+                return responseHandler.badRequest(response, `Documento não pode ser cancelado (${item.status})!`);
+            }
+
+            await discardFile(item);
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Secure Release',
+                afterData: canceled,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Documento retido cancelado!', canceled);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Secure Release',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao cancelar o documento retido!');
+        }
+    }
+}
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const { v7: uuid } = require('uuid');
+const Jobs = require('../models/jobs');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const ipp = require('../../printers/helpers/ipp');
+const Files = require('../../monitor/models/files');
+const Stamps = require('../../stamps/models/stamps');
+const { applyStamp } = require('../../stamps/helpers/stamp');
+const { imposePdf, countImposedPages } = require('../../files/helpers/imposition');
+const { getUserDepartment } = require('../../quotas/helpers/quota');
+const cupsHelper = require('../../printers/helpers/cups');
+const cupsAdapter = require('../../printers/helpers/cupsAdapter');
+const { buildCupsOptions, buildIppAttributes, countSelectedPages } = require('../../files/helpers/printOptions');
+
+// Aviso devolvido quando o trabalho foi aceito, mas o registro em print_jobs falhou
+const UNRECORDED_WARNING = 'O trabalho foi enviado, mas não pôde ser registrado; o status e o custo não serão acompanhados';
+
+/**
+ * Obtém a URI IPP de uma impressora para envio direto, sem o CUPS
+ * @param {Object} printer - Registro da impressora
+ * @returns {string|null} URI ipp:// ou ipps://, ou null se a impressora não usa IPP
+ */
+const getIppUri = (printer) => {
+    if (printer.uri && /^ipps?:\/\//i.test(printer.uri)) {
+        return printer.uri;
+    }
+
+    if (['ipp', 'ipps'].includes(printer.protocol?.toLowerCase()) && printer.ip_address) {
+        return cupsHelper.buildPrinterUri(printer.protocol, printer.ip_address, printer.port);
+    }
+
+    return null;
+}
+
+/**
+ * Envia o arquivo diretamente à impressora por IPP
+ * @param {Object} file - Registro do arquivo
+ * @param {string} uri - URI IPP da impressora
+ * @param {Object} options - Opções de impressão já validadas
+ * @returns {Promise<{jobId: number, state: string}>}
+ */
+const submitDirect = async (file, uri, options) => {
+    const job = {
+        jobName: file.filename || path.basename(file.path),
+        attributes: buildIppAttributes(options)
+    };
+
+    const validation = await ipp.validateJob(uri, job);
+    if (!validation.valid) {
+        const unsupported = Object.keys(validation.unsupported || {});
+        throw new ipp.IppError(`Impressora recusou o trabalho: ${validation.status}${unsupported.length > 0 ? ` (não suportado: ${unsupported.join(', ')})` : ''}`);
+    }
+
+    const data = await fs.promises.readFile(file.path);
+
+    return ipp.printJob(uri, data, job);
+}
+
+/**
+ * Envia um documento para a fila do CUPS ou diretamente à impressora por IPP
+ * @param {Object} document - Documento a ser impresso (id, path e filename)
+ * @param {Object} printer - Registro da impressora
+ * @param {Object} options - Opções de impressão já validadas
+ * @param {boolean} direct - Envia diretamente à impressora por IPP, sem o CUPS
+ * @returns {Promise<{cups: Object, ippJob: Object}>} Identificadores do trabalho criado
+ */
+const sendToPrinter = async (document, printer, options, direct) => {
+    let cups = { requestId: null, cupsJobId: null };
+    let ippJob = { jobId: null, uri: null };
+
+    if (direct) {
+        const uri = getIppUri(printer);
+        if (!uri) {
+            throw new ipp.IppError('A impressora não possui um endereço IPP para envio direto!');
+        }
+
+        const result = await submitDirect(document, uri, options);
+        ippJob = { jobId: result.jobId, uri };
+
+        console.log(`[${document.id}] Trabalho ${result.jobId} criado diretamente em ${uri}`);
+    } else {
+        cups = await cupsAdapter.submitJob(printer.name, document.path, buildCupsOptions(options));
+
+        console.log(`[${document.id}] Trabalho ${cups.requestId} criado no CUPS`);
+    }
+
+    return { cups, ippJob };
+}
+
+/**
+ * Obtém o modelo de carimbo do envio: o da requisição ou, se não informado, o padrão da impressora
+ * @param {Object} printer - Registro da impressora
+ * @param {Object} options - Opções de impressão já validadas
+ * @returns {Promise<Object|null>} Modelo de carimbo ou null se o envio não usa carimbo
+ */
+const resolveStampTemplate = async (printer, options) => {
+    const templateId = options.stampTemplateId !== undefined ? options.stampTemplateId : printer.stamp_template_id;
+
+    if (!templateId) {
+        return null;
+    }
+
+    const template = await Stamps.getById(templateId);
+
+    if (template.message) {
+        throw new Error(template.message);
+    }
+
+    if (!template.id) {
+        throw new Error('Modelo de carimbo não encontrado!');
+    }
+
+    return template;
+}
+
+/**
+ * Envia o documento para impressão, gerando cópias temporárias com o carimbo e a imposição quando necessário
+ * @param {Object} document - Documento a ser impresso (id, path e filename)
+ * @param {Object} printer - Registro da impressora
+ * @param {Object} options - Opções de impressão já validadas
+ * @param {Object} settings - Configurações do envio
+ * @param {boolean} settings.direct - Envia diretamente à impressora por IPP, sem o CUPS
+ * @param {string} settings.jobId - ID do trabalho, usado no marcador {jobId}
+ * @param {string|null} settings.user - Usuário que solicitou a impressão, usado no marcador {user}
+ * @returns {Promise<{cups: Object, ippJob: Object, pages: number|null}>} Identificadores do trabalho criado
+ * e páginas do documento imposto (null se não houve imposição)
+ */
+const sendDocument = async (document, printer, options, { direct, jobId, user }) => {
+    const temporaryFiles = [];
+    let current = document;
+    let sendOptions = options;
+    let pages = null;
+
+    // Cópias ocultas para que o monitor da pasta não as trate como novos documentos
+    const getTemporaryPath = (step) => {
+        const temporaryPath = path.join(path.dirname(document.path), `.${step}-${jobId}.pdf`);
+        temporaryFiles.push(temporaryPath);
+        return temporaryPath;
+    };
+
+    try {
+        const template = await resolveStampTemplate(printer, options);
+
+        if (template) {
+            const stampedPath = getTemporaryPath('carimbo');
+
+            await applyStamp(current.path, stampedPath, template, {
+                user,
+                date: new Date().toLocaleString('pt-BR'),
+                printer: printer.name,
+                jobId
+            });
+
+            current = { ...current, path: stampedPath };
+            console.log(`[${document.id}] Carimbo "${template.name}" aplicado`);
+        }
+
+        if (options.layout) {
+            const imposedPath = getTemporaryPath('imposicao');
+
+            pages = await imposePdf(current.path, imposedPath, options.layout, options.pageRanges);
+
+            // As páginas já foram selecionadas na imposição; o livreto precisa de frente e verso na borda curta
+            sendOptions = { ...options, pageRanges: undefined };
+            if (options.layout === 'booklet' && !options.sides) {
+                sendOptions.sides = 'two-sided-short-edge';
+            }
+
+            current = { ...current, path: imposedPath };
+            console.log(`[${document.id}] Imposição ${options.layout} gerada com ${pages} página(s)`);
+        }
+
+        const submission = await sendToPrinter(current, printer, sendOptions, direct);
+
+        return { ...submission, pages };
+    } finally {
+        for (const temporaryPath of temporaryFiles) {
+            await fs.promises.unlink(temporaryPath).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Registra o trabalho de um arquivo e marca o arquivo como impresso
+ * @param {Object} file - Registro do arquivo
+ * @param {Object} printer - Registro da impressora
+ * @param {Object} options - Opções de impressão já validadas
+ * @param {Object} submission - Identificadores retornados por sendDocument
+ * @param {Object} settings - Dados adicionais do registro
+ * @param {string} settings.id - ID do trabalho
+ * @param {number} settings.pages - Páginas impressas do arquivo
+ * @param {string|null} settings.batchId - Lote ao qual o trabalho pertence
+ * @param {string|null} settings.user - Usuário que solicitou a impressão
+ * @param {string|null} settings.department - Departamento do usuário no momento do envio
+ * @returns {Promise<Object>} Trabalho registrado ou objeto com message em caso de erro
+ */
+const recordJob = async (file, printer, options, { cups, ippJob }, { id, pages, batchId = null, user = null, department = null }) => {
+    const now = new Date();
+    const data = [
+        id,
+        cups.cupsJobId,
+        cups.requestId,
+        file.id,
+        printer.id,
+        printer.name,
+        options,
+        pages,
+        options.copies || 1,
+        'pending',
+        now,
+        now,
+        ippJob.jobId ? 'ipp' : 'cups',
+        ippJob.jobId,
+        ippJob.uri,
+        batchId,
+        user,
+        department
+    ];
+
+    // O trabalho já foi aceito, então o registro é repetido antes de desistir
+    let job = await Jobs.insert(data);
+    for (let attempt = 2; job.message && attempt <= CONSTANTS.PRINT_JOB.RECORD_ATTEMPTS; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, CONSTANTS.PRINT_JOB.RECORD_RETRY_DELAY_MS));
+        job = await Jobs.insert(data);
+    }
+
+    if (job.message) {
+        // Sem o registro o trabalho não é acompanhado, então os identificadores ficam no log para a conciliação
+        const reference = ippJob.jobId
+            ? `trabalho IPP ${ippJob.jobId} em ${ippJob.uri}`
+            : `trabalho ${cups.cupsJobId} (${cups.requestId}) do CUPS`;
+
+        Log.error({
+            entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+            operation: 'Record Print Job',
+            errorMessage: `Arquivo ${file.id} enviado para ${printer.name} como ${reference}, mas não registrado: ${job.message}`
+        });
+    }
+
+    // O trabalho já foi aceito, então o arquivo é marcado como impresso mesmo se o registro falhar
+    const result = await Files.updatePrinted(file.id, printer.id, options);
+    if (result && result.message) {
+        console.error(`[${file.id}] ${result.message}`);
+    }
+
+    return job;
+}
+
+module.exports = {
+    getIppUri,
+
+    /**
+     * Envia um arquivo para impressão, registra o trabalho e marca o arquivo como impresso
+     * @param {Object} file - Registro do arquivo
+     * @param {Object} printer - Registro da impressora
+     * @param {Object} options - Opções de impressão já validadas
+     * @param {Object} settings - Configurações do envio
+     * @param {boolean} settings.direct - Envia diretamente à impressora por IPP, sem o CUPS
+     * @param {string|null} settings.batchId - Lote ao qual o trabalho pertence
+     * @param {string|null} settings.user - Usuário que solicitou a impressão
+     * @returns {Promise<{success: boolean, message: string, job: Object|null, warning: string|null}>}
+     * job é null com warning quando o trabalho foi enviado, mas não pôde ser registrado
+     */
+    submitPrintJob: async (file, printer, options = {}, { direct = false, batchId = null, user = null } = {}) => {
+        try {
+            const id = uuid();
+            const submission = await sendDocument(file, printer, options, { direct, jobId: id, user });
+
+            const job = await recordJob(file, printer, options, submission, {
+                id,
+                pages: submission.pages ?? countSelectedPages(options, file.pages),
+                batchId,
+                user,
+                department: await getUserDepartment(user)
+            });
+
+            if (job.message) {
+                return { success: true, message: 'Arquivo enviado para impressão!', job: null, warning: UNRECORDED_WARNING };
+            }
+
+            return { success: true, message: 'Arquivo enviado para impressão!', job, warning: null };
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Submit Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return { success: false, message: `Erro ao enviar o arquivo para impressão: ${error.message}`, job: null };
+        }
+    },
+
+    /**
+     * Envia um PDF unido a partir de vários arquivos como um único trabalho,
+     * registrando um trabalho por arquivo original com o mesmo identificador de envio
+     * @param {Array<Object>} files - Registros dos arquivos, na ordem em que foram unidos
+     * @param {string} mergedPath - Caminho do PDF unido
+     * @param {number[]} pages - Páginas de cada arquivo no PDF unido
+     * @param {Object} printer - Registro da impressora
+     * @param {Object} options - Opções de impressão já validadas
+     * @param {Object} settings - Configurações do envio
+     * @param {boolean} settings.direct - Envia diretamente à impressora por IPP, sem o CUPS
+     * @param {string} settings.batchId - Lote ao qual os trabalhos pertencem
+     * @param {string|null} settings.user - Usuário que solicitou a impressão
+     * @returns {Promise<{success: boolean, message: string, jobs: Array<Object|null>, warning: string|null}>}
+     * Trabalhos na ordem dos arquivos, com null para os que não puderam ser registrados
+     */
+    submitMergedJob: async (files, mergedPath, pages, printer, options = {}, { direct = false, batchId, user = null }) => {
+        try {
+            const document = { id: batchId, path: mergedPath, filename: `Lote ${batchId}` };
+            const submission = await sendDocument(document, printer, options, { direct, jobId: batchId, user });
+
+            // Com imposição, cada arquivo recebe a parte proporcional das páginas impostas e o último, o restante
+            let printedPages = pages;
+            if (submission.pages !== null) {
+                printedPages = pages.map(count => countImposedPages(options.layout, count));
+                const others = printedPages.slice(0, -1).reduce((total, count) => total + count, 0);
+                printedPages[printedPages.length - 1] = Math.max(submission.pages - others, 0);
+            }
+
+            const department = await getUserDepartment(user);
+
+            const jobs = [];
+            for (const [index, file] of files.entries()) {
+                const job = await recordJob(file, printer, options, submission, { id: uuid(), pages: printedPages[index], batchId, user, department });
+                jobs.push(job.message ? null : job);
+            }
+
+            const warning = jobs.includes(null) ? UNRECORDED_WARNING : null;
+
+            return { success: true, message: 'Arquivos enviados para impressão!', jobs, warning };
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Submit Merged Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return { success: false, message: `Erro ao enviar os arquivos para impressão: ${error.message}`, jobs: [] };
+        }
+    }
+}
@@ -0,0 +1,44 @@
+const { v7: uuid } = require('uuid');
+const Queue = require('../models/queue');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Coloca um arquivo na fila de impressão para envio posterior
+     * @param {Object} file - Registro do arquivo
+     * @param {Object} printer - Registro da impressora
+     * @param {Object} options - Opções de impressão já validadas
+     * @param {Object} settings - Configurações do envio
+     * @param {boolean} settings.direct - Envia diretamente à impressora por IPP, sem o CUPS
+     * @param {string|null} settings.lastError - Motivo de o arquivo não ter sido impresso imediatamente
+     * @param {string|null} settings.user - Usuário que solicitou a impressão
+     * @param {Date|null} settings.notBefore - Horário agendado para a impressão
+     * @param {string|null} settings.scheduleId - Agendamento nomeado usado no cálculo do horário
+     * @returns {Promise<Object>} Item criado na fila
+     */
+    enqueuePrintJob: async (file, printer, options = {}, { direct = false, lastError = null, user = null, notBefore = null, scheduleId = null } = {}) => {
+        const now = new Date();
+
+        // Se o envio imediato já falhou, ele conta como a primeira tentativa
+        const attempts = lastError ? 1 : 0;
+        const nextAttemptAt = notBefore || new Date(now.getTime() + (lastError ? CONSTANTS.QUEUE.BASE_DELAY_MS : 0));
+
+        return Queue.insert([
+            uuid(),
+            file.id,
+            printer.id,
+            printer.id,
+            options,
+            direct,
+            'queued',
+            attempts,
+            nextAttemptAt,
+            lastError,
+            now,
+            now,
+            user,
+            notBefore,
+            scheduleId
+        ]);
+    }
+}
@@ -0,0 +1,88 @@
+const cronParser = require('cron-parser');
+const Schedules = require('../models/schedules');
+const CONSTANTS = require('../../../helper/constants');
+
+/**
+ * Calcula a próxima execução de uma expressão cron
+ * @param {string} cron - Expressão cron (ex.: 0 22 * * 1-5)
+ * @returns {Date|null} Próxima execução ou null se a expressão for inválida
+ */
+const getNextRun = (cron) => {
+    if (typeof cron !== 'string') {
+        return null;
+    }
+
+    // Aceita apenas 5 campos (minuto a dia da semana) ou 6 (com segundos)
+    const fields = cron.trim().split(/\s+/);
+    if (fields.length < 5 || fields.length > 6) {
+        return null;
+    }
+
+    // O cron-parser é o mesmo usado pelo node-schedule, mas não aceita datas soltas como expressão
+    try {
+        return cronParser.parseExpression(fields.join(' ')).next().toDate();
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    getNextRun,
+
+    /**
+     * Resolve o horário de um envio adiado a partir de uma data ou de um agendamento nomeado
+     * @param {Object} data - Dados do envio
+     * @param {string|null} data.notBefore - Data a partir da qual o arquivo pode ser impresso
+     * @param {string|null} data.schedule - Nome do agendamento
+     * @returns {Promise<{notBefore: Date|null, scheduleId: string|null, message: string|null}>}
+     * notBefore é null quando o envio é imediato
+     */
+    resolveSchedule: async ({ notBefore = null, schedule = null } = {}) => {
+        if (!notBefore && !schedule) {
+            return { notBefore: null, scheduleId: null, message: null };
+        }
+
+        if (notBefore && schedule) {
+            return { notBefore: null, scheduleId: null, message: 'Informe a data ou o agendamento, não ambos!' };
+        }
+
+        let date = null;
+        let scheduleId = null;
+
+        if (schedule) {
+            const found = await Schedules.getByName(schedule);
+
+            if (found.message) {
+                return { notBefore: null, scheduleId: null, message: found.message };
+            }
+
+            if (!found.id) {
+                return { notBefore: null, scheduleId: null, message: `Agendamento ${schedule} não encontrado!` };
+            }
+
+            date = getNextRun(found.cron);
+            scheduleId = found.id;
+
+            if (!date) {
+                return { notBefore: null, scheduleId: null, message: `Agendamento ${schedule} não possui próxima execução!` };
+            }
+        } else {
+            date = new Date(notBefore);
+
+            if (Number.isNaN(date.getTime())) {
+                return { notBefore: null, scheduleId: null, message: 'A data de impressão é inválida!' };
+            }
+
+            if (date <= new Date()) {
+                return { notBefore: null, scheduleId: null, message: 'A data de impressão deve ser futura!' };
+            }
+        }
+
+        const limit = new Date(Date.now() + CONSTANTS.SCHEDULE.MAX_DAYS * 24 * 60 * 60 * 1000);
+        if (date > limit) {
+            return { notBefore: null, scheduleId: null, message: `A impressão pode ser agendada para no máximo ${CONSTANTS.SCHEDULE.MAX_DAYS} dias!` };
+        }
+
+        return { notBefore: date, scheduleId, message: null };
+    }
+}
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { v7: uuid } = require('uuid');
+const Secure = require('../models/secure');
+const CONSTANTS = require('../../../helper/constants');
+
+/**
+ * Gera o hash de um PIN ou código de liberação
+ * @param {string} secret - PIN ou código
+ * @returns {string} Hash no formato salt:hash
+ */
+const hashSecret = (secret) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(secret, salt, 32).toString('hex');
+
+    return `${salt}:${hash}`;
+}
+
+/**
+ * Confere um PIN ou código com o hash armazenado
+ * @param {string} secret - PIN ou código informado
+ * @param {string|null} stored - Hash no formato salt:hash
+ * @returns {boolean}
+ */
+const verifySecret = (secret, stored) => {
+    if (!secret || !stored) {
+        return false;
+    }
+
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(secret), salt, expected.length);
+
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Gera um código numérico de uso único
+ * @returns {string}
+ */
+const generateCode = () => {
+    const max = Math.pow(10, CONSTANTS.SECURE_RELEASE.CODE_LENGTH);
+
+    return String(crypto.randomInt(0, max)).padStart(CONSTANTS.SECURE_RELEASE.CODE_LENGTH, '0');
+}
+
+module.exports = {
+    verifySecret,
+
+    /**
+     * Valida o PIN informado no envio
+     * @param {*} pin - PIN informado (opcional)
+     * @returns {string|null} Mensagem de erro ou null se válido
+     */
+    validatePin: (pin) => {
+        if (pin === null || pin === undefined) {
+            return null;
+        }
+
+        const { MIN_PIN_LENGTH, MAX_PIN_LENGTH } = CONSTANTS.SECURE_RELEASE;
+
+        if (typeof pin !== 'string' || !/^\d+$/.test(pin) || pin.length < MIN_PIN_LENGTH || pin.length > MAX_PIN_LENGTH) {
+            return `O PIN deve ter de ${MIN_PIN_LENGTH} a ${MAX_PIN_LENGTH} dígitos!`;
+        }
+
+        return null;
+    },
+
+    /**
+     * Retém um arquivo destinado a uma impressora com liberação segura
+     * @param {Object} file - Registro do arquivo
+     * @param {Object} printer - Registro da impressora
+     * @param {Object} options - Opções de impressão já validadas
+     * @param {Object} settings - Configurações do envio
+     * @param {boolean} settings.direct - Envia diretamente à impressora por IPP, sem o CUPS
+     * @param {string|null} settings.user - Usuário que solicitou a impressão
+     * @param {string|null} settings.pin - PIN definido pelo usuário
+     * @returns {Promise<Object>} Retenção criada, com o código de uso único em texto (exibido somente agora)
+     */
+    holdPrintJob: async (file, printer, options = {}, { direct = false, user = null, pin = null } = {}) => {
+        const now = new Date();
+        const hours = printer.secure_release_hours || CONSTANTS.SECURE_RELEASE.DEFAULT_HOURS;
+        const code = generateCode();
+
+        const item = await Secure.insert([
+            uuid(),
+            file.id,
+            printer.id,
+            options,
+            direct,
+            user,
+            pin ? hashSecret(pin) : null,
+            hashSecret(code),
+            'held',
+            new Date(now.getTime() + hours * 60 * 60 * 1000),
+            now,
+            now
+        ]);
+
+        if (item.message) {
+            return item;
+        }
+
+        return { ...item, code };
+    }
+}
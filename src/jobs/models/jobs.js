@@ -0,0 +1,259 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Registra um trabalho de impressão enviado ao CUPS
+     * @param {Array} data Dados do trabalho
+     * @returns {Promise<Object>} Trabalho inserido
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.print_jobs (
+                id, cupsJobId, cupsRequestId, fileId, printerId,
+                printerName, options, pages, copies, status,
+                createdAt, updatedAt, transport, ippJobId, ippPrinterUri,
+                batchId, username, department
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18
+            ) RETURNING *;`;
+
+            const job = await Core(sql, data);
+
+            return job;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Insert Print Job',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar o trabalho de impressão! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém um trabalho de impressão pelo ID
+     * @param {string} id ID do trabalho
+     * @returns {Promise<Object>} Dados do trabalho
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_jobs WHERE id = $1;`;
+
+            const job = await Core(sql, [id]);
+
+            return job;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Print Job By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o trabalho de impressão! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Lista os trabalhos de impressão, com filtros opcionais
+     * @param {Object} filters Filtros (status, printerId, fileId, batchId, limit)
+     * @returns {Promise<Array>} Lista de trabalhos
+     */
+    getAll: async (filters = {}) => {
+        try {
+            const conditions = [];
+            const data = [];
+
+            if (filters.status) {
+                data.push(filters.status);
+                conditions.push(`status = $${data.length}`);
+            }
+
+            if (filters.printerId) {
+                data.push(filters.printerId);
+                conditions.push(`printerId = $${data.length}`);
+            }
+
+            if (filters.fileId) {
+                data.push(filters.fileId);
+                conditions.push(`fileId = $${data.length}`);
+            }
+
+            if (filters.batchId) {
+                data.push(filters.batchId);
+                conditions.push(`batchId = $${data.length}`);
+            }
+
+            data.push(filters.limit || 100);
+
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_jobs
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ORDER BY createdAt DESC
+                LIMIT $${data.length};`;
+
+            let jobs = await Core(sql, data);
+
+            if (!Array.isArray(jobs)) {
+                jobs = [jobs];
+            }
+
+            return jobs;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Print Jobs',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os trabalhos de impressão! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém os trabalhos que ainda não foram finalizados no CUPS ou na impressora
+     * @returns {Promise<Array>} Lista de trabalhos em andamento
+     */
+    getActive: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_jobs
+                WHERE status IN ('pending', 'held', 'processing') AND (cupsJobId IS NOT NULL OR ippJobId IS NOT NULL);`;
+
+            let jobs = await Core(sql);
+
+            if (!Array.isArray(jobs)) {
+                jobs = [jobs];
+            }
+
+            return jobs;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Active Print Jobs',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os trabalhos em andamento! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza o estado de um trabalho de impressão
+     * @param {string} id ID do trabalho
+     * @param {string} status Novo estado
+     * @param {string|null} statusMessage Mensagem informada pelo CUPS
+     * @returns {Promise<Object>} Trabalho atualizado
+     */
+    updateStatus: async (id, status, statusMessage = null) => {
+        try {
+            const now = new Date();
+            const finished = ['completed', 'aborted', 'canceled'].includes(status);
+
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_jobs SET
+                status = $1,
+                statusMessage = $2,
+                updatedAt = $3,
+                completedAt = $4
+            WHERE id = $5 RETURNING *;`;
+
+            const job = await Core(sql, [status, statusMessage, now, finished ? now : null, id]);
+
+            return job;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Print Job Status',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao atualizar o trabalho de impressão! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza a impressora de um trabalho movido para outra fila
+     * @param {string} id ID do trabalho
+     * @param {string} printerId ID da nova impressora
+     * @param {string} printerName Nome da nova fila
+     * @param {string} cupsRequestId Novo identificador no CUPS
+     * @returns {Promise<Object>} Trabalho atualizado
+     */
+    updatePrinter: async (id, printerId, printerName, cupsRequestId) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_jobs SET
+                printerId = $1,
+                printerName = $2,
+                cupsRequestId = $3,
+                updatedAt = $4
+            WHERE id = $5 RETURNING *;`;
+
+            const job = await Core(sql, [printerId, printerName, cupsRequestId, new Date(), id]);
+
+            return job;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Print Job Printer',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao mover o trabalho de impressão! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Registra o custo calculado de um trabalho concluído
+     * @param {string} id ID do trabalho
+     * @param {number} cost Custo do trabalho
+     * @returns {Promise<Object>} Trabalho atualizado
+     */
+    updateCost: async (id, cost) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_jobs SET
+                cost = $1,
+                updatedAt = $2
+            WHERE id = $3 RETURNING *;`;
+
+            const job = await Core(sql, [cost, new Date(), id]);
+
+            return job;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.COSTS,
+                operation: 'Update Print Job Cost',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar o custo do trabalho! Tente novamente mais tarde"
+            };
+        }
+    }
+}
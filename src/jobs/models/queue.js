@@ -0,0 +1,339 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Insere um arquivo na fila de impressão
+     * @param {Array} data Dados do item da fila
+     * @returns {Promise<Object>} Item inserido
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.print_queue (
+                id, fileId, printerId, originalPrinterId, options,
+                direct, status, attempts, nextAttemptAt, lastError,
+                createdAt, updatedAt, username, scheduledFor, scheduleId
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
+            ) RETURNING *;`;
+
+            const item = await Core(sql, data);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Insert Queue Item',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao colocar o arquivo na fila! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém um item da fila pelo ID
+     * @param {string} id ID do item
+     * @returns {Promise<Object>} Item da fila
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_queue WHERE id = $1;`;
+
+            const item = await Core(sql, [id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Queue Item By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o item da fila! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Lista os itens da fila, com filtro opcional de estado
+     * @param {string|null} status Estado dos itens
+     * @returns {Promise<Array>} Itens da fila
+     */
+    getAll: async (status = null) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_queue
+                ${status ? 'WHERE status = $1' : ''}
+                ORDER BY createdAt DESC
+                LIMIT 500;`;
+
+            let items = await Core(sql, status ? [status] : []);
+
+            if (!Array.isArray(items)) {
+                items = [items];
+            }
+
+            return items;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Queue Items',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter a fila de impressão! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Lista os envios agendados que ainda aguardam o horário de impressão
+     * @param {string|null} user Filtra pelo usuário que agendou
+     * @returns {Promise<Array>} Itens agendados
+     */
+    getScheduled: async (user = null) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_queue
+                WHERE scheduledFor IS NOT NULL AND status = 'queued'
+                ${user ? 'AND username = $1' : ''}
+                ORDER BY nextAttemptAt
+                LIMIT 500;`;
+
+            let items = await Core(sql, user ? [user] : []);
+
+            if (!Array.isArray(items)) {
+                items = [items];
+            }
+
+            return items;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Scheduled Items',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os envios agendados! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Altera o horário de um envio agendado que ainda não foi impresso
+     * @param {string} id ID do item
+     * @param {Date} scheduledFor Novo horário
+     * @param {string|null} scheduleId Agendamento nomeado usado no cálculo do horário
+     * @returns {Promise<Object>} Item atualizado (vazio se não está mais aguardando)
+     */
+    reschedule: async (id, scheduledFor, scheduleId = null) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_queue SET
+                scheduledFor = $1,
+                nextAttemptAt = $1,
+                scheduleId = $2,
+                updatedAt = $3
+            WHERE id = $4 AND status = 'queued' RETURNING *;`;
+
+            const item = await Core(sql, [scheduledFor, scheduleId, new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Reschedule Queue Item',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao reagendar o envio! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Reserva os itens cuja próxima tentativa já venceu, marcando-os como em processamento
+     * @returns {Promise<Array>} Itens reservados
+     */
+    claimDue: async () => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_queue SET
+                status = 'processing',
+                updatedAt = $1
+            WHERE id IN (
+                SELECT id FROM ${CONSTANTS.DB.DATABASE}.print_queue
+                WHERE status = 'queued' AND nextAttemptAt <= $1
+                ORDER BY nextAttemptAt
+                LIMIT 20
+                FOR UPDATE SKIP LOCKED
+            ) RETURNING *;`;
+
+            let items = await Core(sql, [new Date()]);
+
+            if (!Array.isArray(items)) {
+                items = [items];
+            }
+
+            return items;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Claim Queue Items',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os itens pendentes da fila! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Devolve para a fila os itens que ficaram em processamento (ex.: reinício do servidor)
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    requeueStale: async () => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_queue SET
+                status = 'queued',
+                updatedAt = $1
+            WHERE status = 'processing';`;
+
+            const result = await Core(sql, [new Date()]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Requeue Stale Items',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao restaurar a fila de impressão! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Registra uma tentativa sem sucesso e agenda a próxima
+     * @param {string} id ID do item
+     * @param {Object} data Dados da tentativa
+     * @param {string} data.status Novo estado (queued ou failed)
+     * @param {number} data.attempts Quantidade de tentativas
+     * @param {Date} data.nextAttemptAt Data da próxima tentativa
+     * @param {string} data.printerId Impressora da próxima tentativa
+     * @param {string} data.lastError Motivo da falha
+     * @returns {Promise<Object>} Item atualizado
+     */
+    updateAttempt: async (id, { status, attempts, nextAttemptAt, printerId, lastError }) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_queue SET
+                status = $1,
+                attempts = $2,
+                nextAttemptAt = $3,
+                printerId = $4,
+                lastError = $5,
+                updatedAt = $6
+            WHERE id = $7 RETURNING *;`;
+
+            const item = await Core(sql, [status, attempts, nextAttemptAt, printerId, lastError, new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Queue Attempt',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao atualizar o item da fila! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Marca o item como enviado para impressão
+     * @param {string} id ID do item
+     * @param {string|null} jobId ID do trabalho criado
+     * @returns {Promise<Object>} Item atualizado
+     */
+    markDispatched: async (id, jobId) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_queue SET
+                status = 'dispatched',
+                jobId = $1,
+                lastError = NULL,
+                updatedAt = $2
+            WHERE id = $3 RETURNING *;`;
+
+            const item = await Core(sql, [jobId, new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Mark Queue Item Dispatched',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao atualizar o item da fila! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Cancela um item que ainda aguarda na fila
+     * @param {string} id ID do item
+     * @returns {Promise<Object>} Item cancelado
+     */
+    cancel: async (id) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_queue SET
+                status = 'canceled',
+                updatedAt = $1
+            WHERE id = $2 AND status = 'queued' RETURNING *;`;
+
+            const item = await Core(sql, [new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Queue Item',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao cancelar o item da fila! Tente novamente mais tarde"
+            };
+        }
+    }
+}
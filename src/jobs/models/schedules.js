@@ -0,0 +1,186 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Obtém todos os agendamentos nomeados
+     * @returns {Promise<Array>} Lista de agendamentos
+     */
+    getAll: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_schedules WHERE deletedAt IS NULL ORDER BY name;`;
+
+            let schedules = await Core(sql);
+
+            if (!Array.isArray(schedules)) {
+                schedules = [schedules];
+            }
+
+            return schedules;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get All Print Schedules',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os agendamentos! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém um agendamento pelo ID
+     * @param {string} id ID do agendamento
+     * @returns {Promise<Object>} Dados do agendamento
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_schedules WHERE id = $1 AND deletedAt IS NULL;`;
+
+            const schedule = await Core(sql, [id]);
+
+            return schedule;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Print Schedule By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o agendamento! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém um agendamento pelo nome
+     * @param {string} name Nome do agendamento
+     * @returns {Promise<Object>} Dados do agendamento
+     */
+    getByName: async (name) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.print_schedules WHERE name = $1 AND deletedAt IS NULL;`;
+
+            const schedule = await Core(sql, [name]);
+
+            return schedule;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Print Schedule By Name',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o agendamento! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Insere um novo agendamento
+     * @param {Array} data Dados do agendamento (id, name, cron, description, createdAt, updatedAt)
+     * @returns {Promise<Object>} Agendamento inserido
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.print_schedules (
+                id, name, cron, description, createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6
+            ) RETURNING *;`;
+
+            const schedule = await Core(sql, data);
+
+            return schedule;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Insert Print Schedule',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: error.code === '23505'
+                    ? "Já existe um agendamento com este nome!"
+                    : "Ocorreu um erro ao cadastrar o agendamento! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza um agendamento
+     * @param {Array} data Dados do agendamento (name, cron, description, updatedAt, id)
+     * @returns {Promise<Object>} Agendamento atualizado
+     */
+    update: async (data) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_schedules SET 
+                name = $1, 
+                cron = $2, 
+                description = $3,
+                updatedAt = $4
+            WHERE id = $5 RETURNING *;`;
+
+            const schedule = await Core(sql, data);
+
+            return schedule;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Print Schedule',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: error.code === '23505'
+                    ? "Já existe um agendamento com este nome!"
+                    : "Ocorreu um erro ao alterar o agendamento! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Marca um agendamento como excluído
+     * Os trabalhos já agendados mantêm a data calculada
+     * @param {string} id ID do agendamento
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    delete: async (id) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.print_schedules SET 
+                deletedAt = $1 
+            WHERE id = $2 RETURNING *;`;
+
+            const schedule = await Core(sql, [new Date(), id]);
+
+            return schedule;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Delete Print Schedule',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao excluir o agendamento! Tente novamente mais tarde"
+            };
+        }
+    }
+}
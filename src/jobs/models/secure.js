@@ -0,0 +1,304 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+// Colunas retornadas nas listagens, sem os hashes do PIN e do código
+const PUBLIC_COLUMNS = `id, fileId, printerId, options, direct, username, status, failedAttempts,
+    expiresAt, releasedAt, jobId, createdAt, updatedAt, pinHash IS NOT NULL AS hasPin`;
+
+module.exports = {
+    /**
+     * Retém um arquivo até a liberação pelo dono
+     * @param {Array} data Dados da retenção
+     * @returns {Promise<Object>} Retenção criada
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.secure_releases (
+                id, fileId, printerId, options, direct,
+                username, pinHash, codeHash, status, expiresAt,
+                createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12
+            ) RETURNING ${PUBLIC_COLUMNS};`;
+
+            const item = await Core(sql, data);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Insert Secure Release',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao reter o documento! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém uma retenção pelo ID, incluindo os hashes para validação
+     * @param {string} id ID da retenção
+     * @returns {Promise<Object>} Retenção
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.secure_releases WHERE id = $1;`;
+
+            const item = await Core(sql, [id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Secure Release By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o documento retido! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Lista as retenções, com filtros opcionais
+     * @param {Object} filters Filtros (status, user)
+     * @returns {Promise<Array>} Retenções
+     */
+    getAll: async ({ status = null, user = null } = {}) => {
+        try {
+            const conditions = [];
+            const data = [];
+
+            if (status) {
+                data.push(status);
+                conditions.push(`status = $${data.length}`);
+            }
+
+            if (user) {
+                data.push(user);
+                conditions.push(`username = $${data.length}`);
+            }
+
+            const sql = `SELECT ${PUBLIC_COLUMNS} FROM ${CONSTANTS.DB.DATABASE}.secure_releases
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ORDER BY createdAt DESC
+                LIMIT 500;`;
+
+            let items = await Core(sql, data);
+
+            if (!Array.isArray(items)) {
+                items = [items];
+            }
+
+            return items;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Get Secure Releases',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os documentos retidos! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Registra uma tentativa de liberação com PIN ou código incorreto
+     * @param {string} id ID da retenção
+     * @param {boolean} lock Cancela a retenção por excesso de tentativas
+     * @returns {Promise<Object>} Retenção atualizada
+     */
+    recordFailure: async (id, lock = false) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.secure_releases SET
+                failedAttempts = failedAttempts + 1,
+                status = CASE WHEN $1 THEN 'canceled'::${CONSTANTS.DB.DATABASE}.secure_release_status ELSE status END,
+                updatedAt = $2
+            WHERE id = $3 AND status = 'held' RETURNING ${PUBLIC_COLUMNS};`;
+
+            const item = await Core(sql, [lock, new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Record Secure Release Failure',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao atualizar o documento retido! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Reserva a retenção para liberação, impedindo que seja liberada duas vezes
+     * @param {string} id ID da retenção
+     * @returns {Promise<Object>} Retenção reservada (vazia se já liberada ou expirada)
+     */
+    claim: async (id) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.secure_releases SET
+                status = 'released',
+                releasedAt = $1,
+                updatedAt = $1
+            WHERE id = $2 AND status = 'held' AND expiresAt > $1 RETURNING ${PUBLIC_COLUMNS};`;
+
+            const item = await Core(sql, [new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Claim Secure Release',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao liberar o documento! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Devolve a retenção ao estado retido quando o envio para a impressora falha
+     * @param {string} id ID da retenção
+     * @returns {Promise<Object>} Retenção atualizada
+     */
+    unclaim: async (id) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.secure_releases SET
+                status = 'held',
+                releasedAt = NULL,
+                updatedAt = $1
+            WHERE id = $2 AND status = 'released' AND jobId IS NULL RETURNING ${PUBLIC_COLUMNS};`;
+
+            const item = await Core(sql, [new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Unclaim Secure Release',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao atualizar o documento retido! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Vincula o trabalho criado na liberação
+     * @param {string} id ID da retenção
+     * @param {string|null} jobId ID do trabalho
+     * @returns {Promise<Object>} Retenção atualizada
+     */
+    updateJob: async (id, jobId) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.secure_releases SET
+                jobId = $1,
+                updatedAt = $2
+            WHERE id = $3 RETURNING ${PUBLIC_COLUMNS};`;
+
+            const item = await Core(sql, [jobId, new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Secure Release Job',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao atualizar o documento retido! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Cancela uma retenção que ainda aguarda liberação
+     * @param {string} id ID da retenção
+     * @returns {Promise<Object>} Retenção cancelada
+     */
+    cancel: async (id) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.secure_releases SET
+                status = 'canceled',
+                updatedAt = $1
+            WHERE id = $2 AND status = 'held' RETURNING ${PUBLIC_COLUMNS};`;
+
+            const item = await Core(sql, [new Date(), id]);
+
+            return item;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Cancel Secure Release',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao cancelar o documento retido! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Marca como expiradas as retenções que passaram do prazo de liberação
+     * @returns {Promise<Array>} Retenções expiradas
+     */
+    expireDue: async () => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.secure_releases SET
+                status = 'expired',
+                updatedAt = $1
+            WHERE status = 'held' AND expiresAt <= $1 RETURNING ${PUBLIC_COLUMNS};`;
+
+            let items = await Core(sql, [new Date()]);
+
+            if (!Array.isArray(items)) {
+                items = [items];
+            }
+
+            return items;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Expire Secure Releases',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao expirar os documentos retidos! Tente novamente mais tarde"
+            };
+        }
+    }
+}
@@ -8,6 +8,8 @@ const { exec } = require('child_process');
 const { PDFDocument } = require('pdf-lib');
 const Log = require('../../../helper/log');
 const FilesModel = require('../models/files');
+const previewHelper = require('../../files/helpers/preview');
+const pagesHelper = require('../../files/helpers/pages');
 const CONSTANTS = require('../../../helper/constants');
 const { v7: uuid, validate: uuidValidate } = require('uuid');
 
@@ -385,42 +387,83 @@ const deleteFile = async (filePath) => {
     }
 }
 
-const deleteOldFiles = async (dirPath) => {
+/**
+ * Lê os dados de um caminho, ignorando o que foi removido depois da listagem do diretório
+ * @param {string} fullPath - Caminho
+ * @returns {Promise<fs.Stats|null>}
+ */
+const statIfExists = async (fullPath) => {
     try {
-        dotenv.config();
-        const daysThreshold = parseInt(process.env.FILES_OLD_THRESHOLD_DAYS) || 1;
-        const files = await fs.promises.readdir(dirPath);
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - daysThreshold);
-
-        for (const file of files) {
-            const fullPath = path.join(dirPath, file);
-            const stats = await fs.promises.stat(fullPath);
-
-            if (stats.isDirectory()) {
-                await deleteOldFiles(fullPath);
+        return await fs.promises.stat(fullPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Remove os arquivos mais antigos que FILES_OLD_THRESHOLD_DAYS, com as miniaturas e os originais
+ * @param {string} dirPath - Diretório a limpar
+ * @param {Object} summary - Resumo acumulado nos subdiretórios
+ * @returns {Promise<{deleted: number}>} Resumo da execução
+ */
+const deleteOldFiles = async (dirPath, summary = { deleted: 0 }) => {
+    dotenv.config();
+    const daysThreshold = parseInt(process.env.FILES_OLD_THRESHOLD_DAYS) || 1;
+    const files = await fs.promises.readdir(dirPath);
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysThreshold);
+
+    for (const file of files) {
+        const fullPath = path.join(dirPath, file);
+        const stats = await statIfExists(fullPath);
+
+        if (!stats) {
+            continue;
+        }
+
+        // Miniaturas antigas ou de arquivos que já foram removidos
+        if (stats.isDirectory() && file === CONSTANTS.PREVIEW.DIR_NAME) {
+            await previewHelper.cleanPreviews(fullPath, cutoffDate);
+            continue;
+        }
+
+        // Cópias originais de documentos editados que já expiraram ou foram removidos
+        if (stats.isDirectory() && file === CONSTANTS.PAGE_EDIT.ORIGINALS_DIR) {
+            await pagesHelper.cleanOriginals(fullPath, cutoffDate);
+            continue;
+        }
+
+        if (stats.isDirectory()) {
+            await deleteOldFiles(fullPath, summary);
+            continue;
+        }
+
+        if (stats.isFile() && stats.mtime < cutoffDate) {
+            const id = file.replace(path.extname(file), '');
+
+            // Arquivos agendados ou retidos para liberação segura ainda serão impressos
+            if (await FilesModel.isPending(id)) {
                 continue;
             }
 
-            if (stats.isFile() && stats.mtime < cutoffDate) {
-                const id = file.replace(path.extname(file), '');
-                await FilesModel.delete(id);
-
-                console.log(`Deletando arquivo ${fullPath} devido a data de criação ${stats.birthtime}`);
-                await deleteFile(fullPath);
+            const deleted = await FilesModel.delete(id);
+            if (deleted && deleted.message) {
+                throw new Error(deleted.message);
             }
-        }
-    } catch (error) {
-        console.error(error);
-        Log.error({
-            entity: CONSTANTS.LOG.MODULE.MONITOR,
-            operation: 'Delete Old Files',
-            errorMessage: error.message,
-            errorStack: error.stack
-        });
 
-        return;
+            console.log(`Deletando arquivo ${fullPath} devido a data de criação ${stats.birthtime}`);
+            await deleteFile(fullPath);
+            await previewHelper.removePreviews(fullPath);
+            await deleteFile(pagesHelper.getOriginalPath(fullPath));
+            summary.deleted++;
+        }
     }
+
+    return summary;
 }
 
 const cleanFileName = (fileName) => {
@@ -469,6 +512,28 @@ const cleanFileName = (fileName) => {
     }
 };
 
+/**
+ * Identifica o dono e a máquina de origem pelo caminho do arquivo na pasta compartilhada
+ * Os arquivos ficam em <usuário>/<máquina>/arquivo.pdf, sendo a pasta da máquina opcional;
+ * arquivos na raiz (ex.: gerados pelo cups-pdf) não possuem dono
+ * @param {string} filePath - Caminho completo do arquivo
+ * @returns {{owner: string|null, sourceHost: string|null}}
+ */
+const extractOwner = (filePath) => {
+    const relativePath = path.relative(CONSTANTS.SAMBA.BASE_PATH_FILES, path.dirname(filePath));
+
+    if (!relativePath || relativePath.startsWith('..')) {
+        return { owner: null, sourceHost: null };
+    }
+
+    const [owner, sourceHost = null] = relativePath.split(path.sep);
+
+    return {
+        owner: owner.slice(0, 100),
+        sourceHost: sourceHost ? sourceHost.slice(0, 255) : null
+    };
+};
+
 const copyFile = async (source, destination) => {
     try {
         const fileData = await fs.promises.readFile(source);
@@ -511,16 +576,9 @@ const processNewFile = async (filePath) => {
 
         const id = uuid();
 
-        const relativePath = path.relative(CONSTANTS.SAMBA.BASE_PATH_FILES, path.dirname(filePath));
-        const parts = relativePath.split(path.sep);
-        if (!parts || parts.length === 0) {
-            Log.error({
-                entity: CONSTANTS.LOG.MODULE.MONITOR,
-                operation: 'Extract User',
-                errorMessage: `Não foi possível extrair o usuário a partir do caminho: ${filePath}`,
-                errorStack: ''
-            });
-            return;
+        const { owner, sourceHost } = extractOwner(filePath);
+        if (!owner) {
+            console.log(`Não foi possível identificar o usuário do arquivo ${filePath}, ele ficará visível para todos`);
         }
 
         const pages = await getPages(filePath);
@@ -533,7 +591,7 @@ const processNewFile = async (filePath) => {
 
         fileNameSave = await cleanFileName(fileNameSave);
 
-        const data = [id, null, fileNameSave, pages, newFilePath, new Date()];
+        const data = [id, null, fileNameSave, pages, newFilePath, new Date(), owner, sourceHost];
         await FilesModel.insert(data);
 
         const copied = await copyFile(filePath, newFilePath);
@@ -565,57 +623,72 @@ const processNewFile = async (filePath) => {
     }
 };
 
-const checkAllFiles = async (dirPath) => {
-    try {
-        // console.log(`Verificando todos os arquivos em: ${dirPath}`);
-        const items = await fs.promises.readdir(dirPath);
+/**
+ * Procura na pasta os arquivos que o watcher não detectou
+ * @param {string} dirPath - Diretório a verificar
+ * @param {Object} summary - Resumo acumulado nos subdiretórios
+ * @returns {Promise<{checked: number, processed: number}>} Resumo da execução
+ */
+const checkAllFiles = async (dirPath, summary = { checked: 0, processed: 0 }) => {
+    const items = await fs.promises.readdir(dirPath);
+
+    for (const item of items) {
+        // Arquivos e diretórios ocultos (miniaturas, arquivos temporários) são ignorados, assim como no watcher
+        if (item.startsWith('.')) {
+            continue;
+        }
+
+        const fullPath = path.join(dirPath, item);
+        const stats = await statIfExists(fullPath);
+
+        if (!stats) {
+            continue;
+        }
 
-        for (const item of items) {
-            const fullPath = path.join(dirPath, item);
-            const stats = await fs.promises.stat(fullPath);
+        if (stats.isDirectory()) {
+            await checkAllFiles(fullPath, summary);
+            continue;
+        }
 
-            if (stats.isDirectory()) {
-                await checkAllFiles(fullPath);
+        if (stats.isFile()) {
+            const ext = path.extname(fullPath).toLowerCase();
+            if (ext !== '.pdf') {
                 continue;
             }
 
-            if (stats.isFile()) {
-                const ext = path.extname(fullPath).toLowerCase();
-                if (ext !== '.pdf') {
-                    continue;
-                }
+            summary.checked++;
 
-                const fileName = path.basename(fullPath);
-                const fileNameWithoutExt = fileName.replace(ext, '');
+            const fileName = path.basename(fullPath);
+            const fileNameWithoutExt = fileName.replace(ext, '');
 
-                if (uuidValidate(fileNameWithoutExt)) {
-                    const existingFile = await FilesModel.getById(fileNameWithoutExt);
-                    if (!existingFile || !existingFile.id) {
-                        console.log(`Arquivo com UUID ${fileNameWithoutExt} encontrado no disco mas não no banco. Verificando integridade...`);
-                        await processNewFile(fullPath);
-                    }
-                    continue;
+            if (uuidValidate(fileNameWithoutExt)) {
+                const existingFile = await FilesModel.getById(fileNameWithoutExt);
+                if (existingFile && existingFile.message) {
+                    throw new Error(existingFile.message);
                 }
 
-                console.log(`Verificando arquivo não processado: ${fullPath}`);
-                await processNewFile(fullPath);
+                if (!existingFile || !existingFile.id) {
+                    console.log(`Arquivo com UUID ${fileNameWithoutExt} encontrado no disco mas não no banco. Verificando integridade...`);
+                    await processNewFile(fullPath);
+                    summary.processed++;
+                }
+                continue;
             }
+
+            console.log(`Verificando arquivo não processado: ${fullPath}`);
+            await processNewFile(fullPath);
+            summary.processed++;
         }
-        // console.log(`Verificação completa em: ${dirPath}`);
-    } catch (error) {
-        console.error(`Erro ao verificar todos os arquivos em ${dirPath}:`, error);
-        Log.error({
-            entity: CONSTANTS.LOG.MODULE.MONITOR,
-            operation: 'Check All Files',
-            errorMessage: error.message,
-            errorStack: error.stack
-        });
     }
+
+    return summary;
 };
 
 const processedFiles = new Set();
 
 module.exports = {
+    checkAllFiles,
+    deleteOldFiles,
     monitorStart: async () => {
 
         if (!fs.existsSync(CONSTANTS.SAMBA.BASE_PATH_FILES)) {
@@ -625,7 +698,17 @@ module.exports = {
 
         await refreshActiveIPs();
 
-        await checkAllFiles(CONSTANTS.SAMBA.BASE_PATH_FILES);
+        try {
+            await checkAllFiles(CONSTANTS.SAMBA.BASE_PATH_FILES);
+        } catch (error) {
+            console.error(`Erro ao verificar todos os arquivos em ${CONSTANTS.SAMBA.BASE_PATH_FILES}:`, error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.MONITOR,
+                operation: 'Check All Files',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+        }
 
         const watcher = chokidar.watch(CONSTANTS.SAMBA.BASE_PATH_FILES, {
             // eslint-disable-next-line no-useless-escape
@@ -701,14 +784,7 @@ module.exports = {
             });
         });
 
-        setInterval(() => {
-            checkAllFiles(CONSTANTS.SAMBA.BASE_PATH_FILES);
-        }, 1000 * 5); // 5 segundos
-
-        setInterval(() => {
-            console.log("Executando limpeza de arquivos antigos");
-            deleteOldFiles(CONSTANTS.SAMBA.BASE_PATH_FILES);
-        }, 1000 * 60 * 60); // 1 hora
+        // A nova verificação da pasta e a limpeza de arquivos antigos são tarefas do agendador (src/task)
 
         console.log("Monitor iniciado com sucesso");
     }
@@ -23,9 +23,38 @@ module.exports = {
             }
         }
     },
+    /**
+     * Verifica se o arquivo aguarda impressão na fila (incluindo agendamentos) ou uma liberação segura
+     * @param {string} id ID do arquivo
+     * @returns {Promise<boolean>}
+     */
+    isPending: async (id) => {
+        try {
+            const sql = `SELECT EXISTS (
+                SELECT 1 FROM ${CONSTANTS.DB.DATABASE}.print_queue WHERE fileId = $1 AND status IN ('queued', 'processing')
+            ) OR EXISTS (
+                SELECT 1 FROM ${CONSTANTS.DB.DATABASE}.secure_releases WHERE fileId = $1 AND status = 'held'
+            ) AS pending;`;
+
+            const result = await Core(sql, [id]);
+
+            return result.pending === true;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.MONITOR,
+                operation: 'Is Pending',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            // Na dúvida, o arquivo é mantido
+            return true;
+        }
+    },
     insert: async (data) => {
         try {
-            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.files (id, assetId, fileName, pages, path, createdAt) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`;
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.files (id, assetId, fileName, pages, path, createdAt, owner, sourceHost) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`;
             
             const result = await Core(sql, data);
             return result;
@@ -43,11 +72,11 @@ module.exports = {
             }
         }
     },
-    updatePrinted: async (id, assetId) => {
+    updatePrinted: async (id, assetId, printOptions = null) => {
         try {
-            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.files SET printed = TRUE, assetId = $2 WHERE id = $1;`;
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.files SET printed = TRUE, assetId = $2, printOptions = $3 WHERE id = $1;`;
 
-            const result = await Core(sql, [id, assetId]);
+            const result = await Core(sql, [id, assetId, printOptions]);
 
             return result;
         } catch (error) {
@@ -64,6 +93,27 @@ module.exports = {
             }
         }
     },
+    updatePages: async (id, pages) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.files SET pages = $2 WHERE id = $1;`;
+
+            const result = await Core(sql, [id, pages]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINT_JOBS,
+                operation: 'Update Pages',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao atualizar as páginas do arquivo! Tente novamente mais tarde"
+            }
+        }
+    },
     delete: async (id) => {
         try {
             const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.files SET deletedAt = $1 WHERE id = $2;`;
@@ -0,0 +1,234 @@
+const { v7: uuid } = require('uuid');
+const Log = require('../../../helper/log');
+const Groups = require('../models/groups');
+const Printer = require('../models/printers');
+const CONSTANTS = require('../../../helper/constants');
+const responseHandler = require('../../../helper/responseHandler');
+
+/**
+ * Valida a lista de impressoras de um grupo
+ * @param {Array} printers - IDs das impressoras
+ * @returns {Promise<string|null>} Mensagem de erro ou null se válido
+ */
+const validateMembers = async (printers) => {
+    if (!Array.isArray(printers) || printers.some(id => typeof id !== 'string' || !id)) {
+        return 'As impressoras do grupo devem ser uma lista de IDs!';
+    }
+
+    for (const id of printers) {
+        const printer = await Printer.getById(id);
+        if (!printer || !printer.id) {
+            return `Impressora ${id} não encontrada!`;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    getGroups: async (request, response) => {
+        try {
+            const groups = await Groups.getAll();
+
+            if (groups.message) {
+                return responseHandler.badRequest(response, groups.message);
+            }
+
+            return responseHandler.success(response, 'Grupos de impressoras encontrados!', groups);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Groups',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter os grupos de impressoras!');
+        }
+    },
+
+    getGroup: async (request, response) => {
+        try {
+            const group = await Groups.getById(request.params.id);
+
+            if (group.message) {
+                return responseHandler.badRequest(response, group.message);
+            }
+
+            if (!group.id) {
+                return responseHandler.notFound(response, 'Grupo de impressoras não encontrado!');
+            }
+
+            return responseHandler.success(response, 'Grupo de impressoras encontrado!', group);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Group',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter o grupo de impressoras!');
+        }
+    },
+
+    createGroup: async (request, response) => {
+        try {
+            const { name, description = null, printers = [] } = request.body;
+
+            if (!name) {
+                return responseHandler.badRequest(response, { message: 'Nome do grupo é obrigatório!' });
+            }
+
+            const membersError = await validateMembers(printers);
+            if (membersError) {
+                return responseHandler.badRequest(response, { message: membersError });
+            }
+
+            const now = new Date();
+            const group = await Groups.insert([uuid(), name, description, now, now]);
+
+            if (group.message) {
+                return responseHandler.badRequest(response, { message: group.message });
+            }
+
+            const members = await Groups.setMembers(group.id, [...new Set(printers)]);
+            if (members.message) {
+                return responseHandler.badRequest(response, { message: members.message });
+            }
+
+            const created = await Groups.getById(group.id);
+
+            Log.audit({
+                logType: CONSTANTS.LOG.CREATE,
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Create Printer Group',
+                afterData: created,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.created(response, 'Grupo de impressoras criado com sucesso!', created);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Create Printer Group',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, { message: 'Ocorreu um erro ao criar o grupo de impressoras! Tente novamente mais tarde' });
+        }
+    },
+
+    updateGroup: async (request, response) => {
+        try {
+            const { name, description, printers } = request.body;
+
+            const group = await Groups.getById(request.params.id);
+
+            if (group.message) {
+                return responseHandler.badRequest(response, { message: group.message });
+            }
+
+            if (!group.id) {
+                return responseHandler.notFound(response, { message: 'Grupo de impressoras não encontrado!' });
+            }
+
+            if (printers !== undefined) {
+                const membersError = await validateMembers(printers);
+                if (membersError) {
+                    return responseHandler.badRequest(response, { message: membersError });
+                }
+            }
+
+            const updated = await Groups.update([
+                name || group.name,
+                description !== undefined ? description : group.description,
+                new Date(),
+                group.id
+            ]);
+
+            if (updated.message) {
+                return responseHandler.badRequest(response, { message: updated.message });
+            }
+
+            if (printers !== undefined) {
+                const members = await Groups.setMembers(group.id, [...new Set(printers)]);
+                if (members.message) {
+                    return responseHandler.badRequest(response, { message: members.message });
+                }
+            }
+
+            const result = await Groups.getById(group.id);
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Update Printer Group',
+                beforeData: group,
+                afterData: result,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Grupo de impressoras alterado com sucesso!', result);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Update Printer Group',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, { message: 'Ocorreu um erro ao atualizar o grupo de impressoras! Tente novamente mais tarde' });
+        }
+    },
+
+    deleteGroup: async (request, response) => {
+        try {
+            const group = await Groups.getById(request.params.id);
+
+            if (group.message) {
+                return responseHandler.badRequest(response, { message: group.message });
+            }
+
+            if (!group.id) {
+                return responseHandler.notFound(response, { message: 'Grupo de impressoras não encontrado!' });
+            }
+
+            const deleted = await Groups.delete(group.id);
+
+            if (deleted.message) {
+                return responseHandler.badRequest(response, { message: deleted.message });
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Delete Printer Group',
+                beforeData: group,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Grupo de impressoras excluído com sucesso!');
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Delete Printer Group',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, { message: 'Ocorreu um erro ao excluir o grupo de impressoras! Tente novamente mais tarde' });
+        }
+    }
+}
@@ -1,9 +1,178 @@
 const Log = require('../../../helper/log');
 const cupsHelper = require('../helpers/cups');
+const { scanSubnets, discoverMdns, DiscoveryError } = require('../helpers/discovery');
+const { loadCatalog, rankDrivers, getPrinterMakeAndModel } = require('../helpers/drivers');
 const Printer = require('../models/printers');
+const Health = require('../models/health');
+const Supplies = require('../models/supplies');
+const Counters = require('../models/counters');
+const { pollPrinterHealth } = require('../helpers/health');
+const Stamps = require('../../stamps/models/stamps');
 const CONSTANTS = require('../../../helper/constants');
 const responseHandler = require('../../../helper/responseHandler');
 
+/**
+ * Valida a impressora reserva informada no cadastro
+ * @param {string} id - ID da impressora
+ * @param {string|null} fallbackPrinterId - ID da impressora reserva
+ * @param {number|null} failoverAfter - Quantidade de falhas antes de usar a reserva
+ * @returns {Promise<string|null>} Mensagem de erro ou null se válido
+ */
+const validateFailover = async (id, fallbackPrinterId, failoverAfter) => {
+    if (fallbackPrinterId) {
+        if (fallbackPrinterId === id) {
+            return 'A impressora reserva deve ser diferente da própria impressora!';
+        }
+
+        const fallback = await Printer.getById(fallbackPrinterId);
+        if (!fallback || !fallback.id) {
+            return 'Impressora reserva não encontrada!';
+        }
+    }
+
+    if (failoverAfter !== undefined && failoverAfter !== null) {
+        if (!Number.isInteger(failoverAfter) || failoverAfter < 1) {
+            return 'A quantidade de falhas antes de usar a impressora reserva deve ser um número inteiro maior que zero!';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Valida o modelo de carimbo padrão informado no cadastro
+ * @param {string|null} stampTemplateId - ID do modelo de carimbo
+ * @returns {Promise<string|null>} Mensagem de erro ou null se válido
+ */
+const validateStampTemplate = async (stampTemplateId) => {
+    if (!stampTemplateId) {
+        return null;
+    }
+
+    const template = await Stamps.getById(stampTemplateId);
+    if (!template || !template.id) {
+        return 'Modelo de carimbo não encontrado!';
+    }
+
+    return null;
+}
+
+/**
+ * Valida a configuração de liberação segura
+ * @param {boolean|undefined} secureRelease - Retém os documentos até a liberação pelo dono
+ * @param {number|null|undefined} secureReleaseHours - Prazo para liberação, em horas
+ * @returns {string|null} Mensagem de erro ou null se válido
+ */
+const validateSecureRelease = (secureRelease, secureReleaseHours) => {
+    if (secureRelease !== undefined && typeof secureRelease !== 'boolean') {
+        return 'A liberação segura deve ser verdadeira ou falsa!';
+    }
+
+    if (secureReleaseHours === undefined || secureReleaseHours === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(secureReleaseHours) || secureReleaseHours < 1 || secureReleaseHours > CONSTANTS.SECURE_RELEASE.MAX_HOURS) {
+        return `O prazo de liberação deve ser de 1 a ${CONSTANTS.SECURE_RELEASE.MAX_HOURS} horas!`;
+    }
+
+    return null;
+}
+
+/**
+ * Valida o percentual de alerta de consumível baixo
+ * @param {number|null|undefined} threshold - Percentual informado
+ * @returns {string|null} Mensagem de erro ou null se válido
+ */
+const validateSupplyAlertThreshold = (threshold) => {
+    if (threshold === undefined || threshold === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 0 || threshold > 100) {
+        return 'O percentual de alerta de consumível deve ser um número inteiro de 0 a 100!';
+    }
+
+    return null;
+}
+
+/**
+ * Valida o driver forçado na impressora (nome do PPD, everywhere ou raw)
+ * @param {string|null|undefined} driverOverride - Driver informado
+ * @returns {string|null} Mensagem de erro ou null se válido
+ */
+const validateDriverOverride = (driverOverride) => {
+    if (driverOverride === undefined || driverOverride === null) {
+        return null;
+    }
+
+    if (typeof driverOverride !== 'string' || !driverOverride.trim() || driverOverride.length > 255) {
+        return 'O driver forçado deve ser um texto de até 255 caracteres!';
+    }
+
+    return null;
+}
+
+/**
+ * Agrupa os registros pelo ID da impressora
+ * @param {Array} rows - Registros com a coluna printerid
+ * @returns {Object} Registros indexados pelo ID da impressora
+ */
+const groupByPrinter = (rows) => {
+    return rows.reduce((groups, row) => {
+        (groups[row.printerid] = groups[row.printerid] || []).push(row);
+        return groups;
+    }, {});
+}
+
+/**
+ * Calcula a diferença entre o contador da impressora e as páginas registradas nos trabalhos
+ * @param {Object} row - Linha do relatório
+ * @returns {Object} Linha com a variação do contador, a diferença e a situação
+ */
+const reconcileCounter = (row) => {
+    const result = {
+        printerId: row.printerid,
+        name: row.name,
+        unit: row.unit,
+        startAt: row.startat,
+        endAt: row.endat,
+        startCount: row.startcount,
+        endCount: row.endcount,
+        jobs: row.jobs,
+        jobPages: row.jobpages,
+        counterPages: null,
+        difference: null,
+        status: 'noData'
+    };
+
+    // São necessárias duas leituras distintas para calcular a variação
+    if (row.startcount === null || row.endcount === null || row.startat >= row.endat) {
+        return result;
+    }
+
+    // O contador só diminui quando a placa da impressora é trocada ou reiniciada de fábrica
+    if (row.endcount < row.startcount) {
+        result.status = 'counterReset';
+        return result;
+    }
+
+    result.counterPages = row.endcount - row.startcount;
+    result.difference = result.counterPages - row.jobpages;
+
+    if (result.difference > 0) {
+        // Cópias feitas no painel ou impressões que não passaram pelo servidor
+        result.status = 'unaccounted';
+    } else if (result.difference < 0) {
+        // Trabalhos registrados como concluídos que a impressora não imprimiu
+        result.status = 'missing';
+    } else {
+        result.status = 'match';
+    }
+
+    return result;
+}
+
 module.exports = {
     getPrinters: async (request, response) => {
         try {
@@ -13,7 +182,25 @@ module.exports = {
                 return responseHandler.badRequest(response, printers.message);
             }
 
-            return responseHandler.success(response, 'Impressoras encontradas!', printers);
+            // Os níveis são os da última leitura da tarefa de consumíveis
+            const [supplies, trays, alerts] = await Promise.all([
+                Supplies.getSupplies(),
+                Supplies.getTrays(),
+                Supplies.getOpenAlerts()
+            ]);
+
+            const suppliesByPrinter = supplies.message ? {} : groupByPrinter(supplies);
+            const traysByPrinter = trays.message ? {} : groupByPrinter(trays);
+            const alertsByPrinter = alerts.message ? {} : groupByPrinter(alerts);
+
+            const result = printers.map((printer) => ({
+                ...printer,
+                supplies: suppliesByPrinter[printer.id] || [],
+                trays: traysByPrinter[printer.id] || [],
+                supplyAlerts: alertsByPrinter[printer.id] || []
+            }));
+
+            return responseHandler.success(response, 'Impressoras encontradas!', result);
         } catch (error) {
             console.error(error);
             Log.error({
@@ -42,7 +229,14 @@ module.exports = {
                 description,
                 location,
                 ip_address,
-                port = 9100
+                port = 9100,
+                fallback_printer_id,
+                failover_after,
+                stamp_template_id,
+                secure_release,
+                secure_release_hours,
+                supply_alert_threshold,
+                driver_override
             } = request.body;
 
             console.log("request.body", request.body);
@@ -60,6 +254,31 @@ module.exports = {
                 return responseHandler.badRequest(response, { message: 'Impressora já existente!' });
             }
 
+            const failoverError = await validateFailover(id, fallback_printer_id, failover_after);
+            if (failoverError) {
+                return responseHandler.badRequest(response, { message: failoverError });
+            }
+
+            const stampError = await validateStampTemplate(stamp_template_id);
+            if (stampError) {
+                return responseHandler.badRequest(response, { message: stampError });
+            }
+
+            const secureError = validateSecureRelease(secure_release, secure_release_hours);
+            if (secureError) {
+                return responseHandler.badRequest(response, { message: secureError });
+            }
+
+            const thresholdError = validateSupplyAlertThreshold(supply_alert_threshold);
+            if (thresholdError) {
+                return responseHandler.badRequest(response, { message: thresholdError });
+            }
+
+            const overrideError = validateDriverOverride(driver_override);
+            if (overrideError) {
+                return responseHandler.badRequest(response, { message: overrideError });
+            }
+
             const cupsResult = await cupsHelper.setupPrinter({
                 name,
                 protocol,
@@ -68,7 +287,8 @@ module.exports = {
                 description,
                 location,
                 ip_address,
-                port
+                port,
+                driverOverride: driver_override || null
             });
 
             if (!cupsResult.success) {
@@ -96,7 +316,51 @@ module.exports = {
                 return responseHandler.badRequest(response, { message: printer.message });
             }
 
-            return responseHandler.created(response, { message: 'Impressora criada com sucesso!' });
+            if (fallback_printer_id || failover_after) {
+                const failover = await Printer.updateFailover(id, fallback_printer_id || null, failover_after || null);
+                if (failover && failover.message) {
+                    return responseHandler.badRequest(response, { message: failover.message });
+                }
+            }
+
+            if (stamp_template_id) {
+                const stamp = await Printer.updateStampTemplate(id, stamp_template_id);
+                if (stamp && stamp.message) {
+                    return responseHandler.badRequest(response, { message: stamp.message });
+                }
+            }
+
+            if (secure_release || secure_release_hours) {
+                const secure = await Printer.updateSecureRelease(id, secure_release === true, secure_release_hours || null);
+                if (secure && secure.message) {
+                    return responseHandler.badRequest(response, { message: secure.message });
+                }
+            }
+
+            if (supply_alert_threshold !== undefined && supply_alert_threshold !== null) {
+                const threshold = await Printer.updateSupplyAlertThreshold(id, supply_alert_threshold);
+                if (threshold && threshold.message) {
+                    return responseHandler.badRequest(response, { message: threshold.message });
+                }
+            }
+
+            if (driver_override) {
+                const override = await Printer.updateDriverOverride(id, driver_override);
+                if (override && override.message) {
+                    return responseHandler.badRequest(response, { message: override.message });
+                }
+            }
+
+            const driverResult = await Printer.updateDriverResult(id, cupsResult.model, cupsResult.driverSelection, cupsResult.driverWarning);
+            if (driverResult && driverResult.message) {
+                return responseHandler.badRequest(response, { message: driverResult.message });
+            }
+
+            return responseHandler.created(response, {
+                message: 'Impressora criada com sucesso!',
+                driverSelection: cupsResult.driverSelection,
+                driverWarning: cupsResult.driverWarning
+            });
         } catch (error) {
             console.error(error);
             Log.error({
@@ -124,7 +388,14 @@ module.exports = {
                 description,
                 location,
                 ip_address,
-                port
+                port,
+                fallback_printer_id,
+                failover_after,
+                stamp_template_id,
+                secure_release,
+                secure_release_hours,
+                supply_alert_threshold,
+                driver_override
             } = request.body;
 
             if (!name) {
@@ -137,6 +408,34 @@ module.exports = {
                 return responseHandler.badRequest(response, { message: 'Impressora não encontrada!' });
             }
 
+            const failoverError = await validateFailover(id, fallback_printer_id, failover_after);
+            if (failoverError) {
+                return responseHandler.badRequest(response, { message: failoverError });
+            }
+
+            const stampError = await validateStampTemplate(stamp_template_id);
+            if (stampError) {
+                return responseHandler.badRequest(response, { message: stampError });
+            }
+
+            const secureError = validateSecureRelease(secure_release, secure_release_hours);
+            if (secureError) {
+                return responseHandler.badRequest(response, { message: secureError });
+            }
+
+            const thresholdError = validateSupplyAlertThreshold(supply_alert_threshold);
+            if (thresholdError) {
+                return responseHandler.badRequest(response, { message: thresholdError });
+            }
+
+            const overrideError = validateDriverOverride(driver_override);
+            if (overrideError) {
+                return responseHandler.badRequest(response, { message: overrideError });
+            }
+
+            // null volta à escolha automática; ausente mantém o driver forçado atual
+            const driverOverride = driver_override !== undefined ? driver_override : result.driver_override;
+
             const nameChanged = result.name !== name;
             
             if (nameChanged) {
@@ -151,7 +450,8 @@ module.exports = {
                 description: description || result.description,
                 location: location || result.location,
                 ip_address: ip_address || result.ip_address,
-                port: port || result.port
+                port: port || result.port,
+                driverOverride
             });
 
             if (!cupsResult.success) {
@@ -164,7 +464,8 @@ module.exports = {
                         description: result.description,
                         location: result.location,
                         ip_address: result.ip_address,
-                        port: result.port
+                        port: result.port,
+                        driverOverride: result.driver_override
                     });
                 }
                 return responseHandler.badRequest(response, { message: cupsResult.message });
@@ -189,7 +490,65 @@ module.exports = {
                 return responseHandler.badRequest(response, { message: printer.message });
             }
 
-            return responseHandler.success(response, { message: 'Impressora alterada com sucesso!' });
+            // null remove a impressora reserva; ausente mantém a configuração atual
+            if (fallback_printer_id !== undefined || failover_after !== undefined) {
+                const failover = await Printer.updateFailover(
+                    id,
+                    fallback_printer_id !== undefined ? fallback_printer_id : result.fallback_printer_id,
+                    failover_after !== undefined ? failover_after : result.failover_after
+                );
+
+                if (failover && failover.message) {
+                    return responseHandler.badRequest(response, { message: failover.message });
+                }
+            }
+
+            // null remove o carimbo padrão; ausente mantém o atual
+            if (stamp_template_id !== undefined) {
+                const stamp = await Printer.updateStampTemplate(id, stamp_template_id || null);
+                if (stamp && stamp.message) {
+                    return responseHandler.badRequest(response, { message: stamp.message });
+                }
+            }
+
+            // Campos ausentes mantêm a configuração atual de liberação segura
+            if (secure_release !== undefined || secure_release_hours !== undefined) {
+                const secure = await Printer.updateSecureRelease(
+                    id,
+                    secure_release !== undefined ? secure_release : result.secure_release,
+                    secure_release_hours !== undefined ? secure_release_hours : result.secure_release_hours
+                );
+
+                if (secure && secure.message) {
+                    return responseHandler.badRequest(response, { message: secure.message });
+                }
+            }
+
+            // null volta a usar o percentual padrão; ausente mantém o atual
+            if (supply_alert_threshold !== undefined) {
+                const threshold = await Printer.updateSupplyAlertThreshold(id, supply_alert_threshold);
+                if (threshold && threshold.message) {
+                    return responseHandler.badRequest(response, { message: threshold.message });
+                }
+            }
+
+            if (driver_override !== undefined) {
+                const override = await Printer.updateDriverOverride(id, driver_override);
+                if (override && override.message) {
+                    return responseHandler.badRequest(response, { message: override.message });
+                }
+            }
+
+            const driverResult = await Printer.updateDriverResult(id, cupsResult.model, cupsResult.driverSelection, cupsResult.driverWarning);
+            if (driverResult && driverResult.message) {
+                return responseHandler.badRequest(response, { message: driverResult.message });
+            }
+
+            return responseHandler.success(response, {
+                message: 'Impressora alterada com sucesso!',
+                driverSelection: cupsResult.driverSelection,
+                driverWarning: cupsResult.driverWarning
+            });
         } catch (error) {
             console.error(error);
             Log.error({
@@ -203,12 +562,33 @@ module.exports = {
             return responseHandler.internalServerError(response, { message: 'Ocorreu um erro ao atualizar a impressora! Tente novamente mais tarde' });
         }
     },
+    /**
+     * Lista os dispositivos encontrados pelo CUPS (lpinfo -v)
+     * Com ?mode=scan, varre as sub-redes de DISCOVERY_SUBNETS e identifica modelo, MAC e protocolos de cada impressora
+     * Com ?mode=mdns, lista as impressoras anunciadas por Bonjour/AirPrint com a URI dnssd para o cadastro
+     */
     discoverPrinters: async (request, response) => {
         try {
+            if (request.query.mode === 'scan') {
+                const result = await scanSubnets();
+
+                return responseHandler.success(response, 'Impressoras descobertas!', result);
+            }
+
+            if (request.query.mode === 'mdns') {
+                const result = await discoverMdns();
+
+                return responseHandler.success(response, 'Impressoras descobertas!', result);
+            }
+
             const printers = await cupsHelper.discoverPrinters();
             
             return responseHandler.success(response, 'Impressoras descobertas!', printers);
         } catch (error) {
+            if (error instanceof DiscoveryError) {
+                return responseHandler.badRequest(response, error.message);
+            }
+
             console.error(error);
             Log.error({
                 entity: CONSTANTS.LOG.MODULE.PRINTERS,
@@ -221,6 +601,150 @@ module.exports = {
             return responseHandler.internalServerError(response, { message: 'Ocorreu um erro ao descobrir impressoras!' });
         }
     },
+    /**
+     * Retorna o estado atual da impressora e o histórico recente
+     * Com ?refresh=true a impressora é consultada na hora, em vez de usar a última leitura do agendador
+     */
+    getPrinterHealth: async (request, response) => {
+        try {
+            const { id } = request.params;
+            const refresh = request.query.refresh === 'true';
+
+            const printer = await Printer.getById(id);
+
+            if (printer.message) {
+                return responseHandler.badRequest(response, printer.message);
+            }
+
+            if (!printer || !printer.id) {
+                return responseHandler.notFound(response, 'Impressora não encontrada!');
+            }
+
+            if (refresh) {
+                const reading = await pollPrinterHealth(printer);
+
+                if (!reading) {
+                    return responseHandler.badRequest(response, 'A impressora não possui endereço de rede para consulta!');
+                }
+            }
+
+            const history = await Health.getHistory(id);
+
+            if (history.message) {
+                return responseHandler.badRequest(response, history.message);
+            }
+
+            return responseHandler.success(response, 'Estado da impressora encontrado!', {
+                printerId: id,
+                current: history[0] || null,
+                history
+            });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Health',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter o estado da impressora!');
+        }
+    },
+    /**
+     * Compara a variação do contador de páginas de cada impressora com as páginas dos trabalhos concluídos
+     * Sem intervalo informado, o relatório cobre o mês atual
+     */
+    getCounterReport: async (request, response) => {
+        try {
+            const { printerId = null } = request.query;
+
+            const now = new Date();
+            const from = request.query.from ? new Date(request.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+            const to = request.query.to ? new Date(request.query.to) : now;
+
+            if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+                return responseHandler.badRequest(response, 'As datas do intervalo são inválidas!');
+            }
+
+            if (from >= to) {
+                return responseHandler.badRequest(response, 'A data inicial deve ser anterior à data final!');
+            }
+
+            const rows = await Counters.getReconciliation({ from, to, printerId });
+
+            if (rows.message) {
+                return responseHandler.badRequest(response, rows.message);
+            }
+
+            return responseHandler.success(response, 'Relatório de contadores gerado!', {
+                from,
+                to,
+                rows: rows.map(reconcileCounter)
+            });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Counter Report',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao gerar o relatório de contadores!');
+        }
+    },
+    /**
+     * Sugere drivers do catálogo do CUPS, ordenados pela semelhança com o fabricante/modelo
+     * Com ?printerId=, o modelo é consultado na própria impressora; com ?makeAndModel=, usa o texto informado
+     */
+    getDriverSuggestions: async (request, response) => {
+        try {
+            const { printerId = null } = request.query;
+            let { makeAndModel = null } = request.query;
+            let printer = null;
+
+            if (printerId) {
+                printer = await Printer.getById(printerId);
+
+                if (printer.message) {
+                    return responseHandler.badRequest(response, printer.message);
+                }
+
+                if (!printer || !printer.id) {
+                    return responseHandler.notFound(response, 'Impressora não encontrada!');
+                }
+
+                makeAndModel = makeAndModel || await getPrinterMakeAndModel(printer) || printer.description;
+            }
+
+            if (!makeAndModel) {
+                return responseHandler.badRequest(response, 'Informe o fabricante e modelo ou uma impressora que responda por IPP ou SNMP!');
+            }
+
+            const catalog = await loadCatalog(request.query.refresh === 'true');
+
+            return responseHandler.success(response, 'Drivers sugeridos!', {
+                makeAndModel,
+                ippEverywhere: catalog.ippEverywhere,
+                currentDriver: printer ? { driver: printer.driver, model: printer.driver_model, warning: printer.driver_warning } : null,
+                suggestions: rankDrivers(catalog, makeAndModel)
+            });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Driver Suggestions',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao sugerir drivers!');
+        }
+    },
     getAvailableDrivers: async (request, response) => {
         try {
             const drivers = await cupsHelper.getAvailableDrivers();
@@ -0,0 +1,106 @@
+const { v7: uuid } = require('uuid');
+const Log = require('../../../helper/log');
+const Counters = require('../models/counters');
+const Printer = require('../models/printers');
+const CONSTANTS = require('../../../helper/constants');
+const { getValues } = require('./snmp');
+const { getPrinterAddress } = require('./network');
+
+/**
+ * prtMarkerLifeCount e prtMarkerCounterUnit do primeiro marcador do primeiro dispositivo (Printer-MIB)
+ */
+const OIDS = {
+    LIFE_COUNT: '1.3.6.1.2.1.43.10.2.1.4.1.1',
+    COUNTER_UNIT: '1.3.6.1.2.1.43.10.2.1.3.1.1'
+};
+
+const COUNTER_UNITS = {
+    3: 'tenThousandthsOfInches',
+    4: 'micrometers',
+    5: 'characters',
+    6: 'lines',
+    7: 'impressions',
+    8: 'sheets',
+    9: 'dotRow',
+    11: 'hours',
+    16: 'feet',
+    17: 'meters'
+};
+
+module.exports = {
+    /**
+     * Lê o contador de páginas da impressora por SNMP e registra a leitura
+     * @param {Object} printer - Registro da impressora
+     * @returns {Promise<Object|null>} Leitura registrada, ou null se a impressora não tem endereço de rede
+     */
+    pollPageCounter: async (printer) => {
+        const { host } = getPrinterAddress(printer);
+
+        if (!host) {
+            return null;
+        }
+
+        const values = await getValues(host, [OIDS.LIFE_COUNT, OIDS.COUNTER_UNIT]);
+        const lifeCount = values[OIDS.LIFE_COUNT];
+
+        if (!Number.isInteger(lifeCount)) {
+            throw new Error(`A impressora ${printer.name} não informou o contador de páginas`);
+        }
+
+        const counter = await Counters.insert([
+            uuid(),
+            printer.id,
+            lifeCount,
+            COUNTER_UNITS[values[OIDS.COUNTER_UNIT]] || null,
+            new Date()
+        ]);
+
+        if (counter.message) {
+            throw new Error(counter.message);
+        }
+
+        return counter;
+    },
+
+    /**
+     * Lê o contador de todas as impressoras cadastradas e remove as leituras antigas
+     * @returns {Promise<Object>} Resumo da execução
+     */
+    pollAllCounters: async () => {
+        const printers = await Printer.getAll();
+
+        if (printers.message) {
+            throw new Error(printers.message);
+        }
+
+        const summary = { polled: 0, skipped: 0, failed: 0 };
+
+        for (const printer of printers) {
+            try {
+                const counter = await module.exports.pollPageCounter(printer);
+
+                if (!counter) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                summary.polled++;
+            } catch (error) {
+                summary.failed++;
+                Log.error({
+                    entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                    operation: 'Poll Page Counter',
+                    errorMessage: error.message,
+                    errorStack: error.stack
+                });
+            }
+        }
+
+        const before = new Date(Date.now() - CONSTANTS.PAGE_COUNTER.HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const pruned = await Counters.deleteBefore(before);
+
+        summary.pruned = pruned.deleted || 0;
+
+        return summary;
+    }
+}
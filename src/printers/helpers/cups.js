@@ -1,16 +1,15 @@
-const { exec } = require('child_process');
-const util = require('util');
-const execAsync = util.promisify(exec);
 const Log = require('../../../helper/log');
 const CONSTANTS = require('../../../helper/constants');
-const http = require('http');
-const https = require('https');
+const cupsAdapter = require('./cupsAdapter');
+const ipp = require('./ipp');
+const { chooseDriver } = require('./drivers');
 
 module.exports = {
     /**
      * Instala ou atualiza uma impressora no CUPS
      * @param {Object} printerData - Dados da impressora
-     * @returns {Promise<{success: boolean, message: string}>}
+     * @param {string|null} printerData.driverOverride - Driver forçado na impressora (nome do PPD, everywhere ou raw)
+     * @returns {Promise<{success: boolean, message: string, model: string, driverSelection: string, driverWarning: string|null}>} model é o driver instalado
      */
     setupPrinter: async (printerData) => {
         try {
@@ -23,9 +22,12 @@ module.exports = {
                 location,
                 ip_address,
                 port = 9100,
-                path
+                path,
+                driverOverride = null
             } = printerData;
 
+            cupsAdapter.validateQueueName(name);
+
             // Se não tiver URI, construir baseado no protocolo
             let printerUri = uri;
             if (!printerUri) {
@@ -45,65 +47,64 @@ module.exports = {
 
             // Remover impressora se já existir
             try {
-                await execAsync(`lpadmin -x "${name}"`);
+                await cupsAdapter.removePrinter(name);
                 console.log(`Impressora ${name} removida para reconfiguração`);
             } catch {
                 // Ignorar erro se a impressora não existir
                 console.log(`Impressora ${name} não existia previamente`);
             }
 
-            // Comando base para adicionar ou modificar a impressora
-            let command = `lpadmin -p "${name}" -E -v "${printerUri}"`;
-
-            // Adicionar driver
-            if (driver) {
-                if (driver.toLowerCase() === 'generic') {
-                    command += ' -m raw';
-                } else {
-                    // Tentar usar um PPD específico primeiro
-                    try {
-                        const { stdout } = await execAsync(`lpinfo -m | grep -i "${driver}"`);
-                        if (stdout) {
-                            const firstDriver = stdout.split('\n')[0].split(' ')[0];
-                            command += ` -m "${firstDriver}"`;
-                        } else {
-                            // Se não encontrar PPD específico, usar raw
-                            command += ' -m raw';
-                        }
-                    } catch {
-                        // Se falhar, usar raw como fallback
-                        command += ' -m raw';
-                    }
+            // Escolhe o driver: o forçado na impressora, a fila sem driver quando suportada ou o PPD
+            // mais próximo do modelo reportado pela impressora
+            const address = { uri: printerUri, ip_address, port };
+            let { model, selection: driverSelection, matched, warning: driverWarning } = await chooseDriver({
+                driver,
+                driverOverride,
+                printer: address
+            });
+
+            const addPrinter = () => {
+                if (driverWarning) {
+                    console.warn(`Impressora ${name}: ${driverWarning}`);
+                } else if (matched) {
+                    console.log(`Driver escolhido para ${name}: ${matched.makeAndModel} (confiança ${matched.confidence})`);
                 }
-            } else {
-                command += ' -m raw'; // Use raw como padrão
-            }
 
-            // Adicionar descrição
-            if (description) {
-                command += ` -D "${description}"`;
-            }
+                console.log(`Configurando impressora ${name} com URI ${printerUri} e driver ${model}`);
 
-            // Adicionar localização
-            if (location) {
-                command += ` -L "${location}"`;
+                // Adicionar ou modificar a impressora, compartilhando-a para aceitar trabalhos
+                return cupsAdapter.addPrinter({
+                    name,
+                    uri: printerUri,
+                    model,
+                    description,
+                    location,
+                    options: { 'printer-is-shared': 'true' }
+                });
             }
 
-            // Habilitar a impressora para aceitar trabalhos
-            command += ' -o printer-is-shared=true';
+            try {
+                await addPrinter();
+            } catch (error) {
+                // Sem driver forçado, uma fila sem driver recusada pelo CUPS volta para o PPD ou raw
+                if (model !== 'everywhere' || driverOverride) {
+                    throw error;
+                }
+
+                const fallback = await chooseDriver({ driver, printer: address, driverless: false });
 
-            console.log(`Executando comando: ${command}`);
+                ({ model, matched, selection: driverSelection } = fallback);
+                driverWarning = [`Fila sem driver recusada pelo CUPS (${error.message})`, fallback.warning]
+                    .filter(Boolean)
+                    .join('; ');
 
-            // Executa o comando para adicionar/modificar a impressora
-            await execAsync(command);
+                await addPrinter();
+            }
 
-            // Habilita a impressora
-            await execAsync(`cupsenable "${name}"`);
-            
-            // Aceita trabalhos de impressão
-            await execAsync(`cupsaccept "${name}"`);
+            // Habilita a impressora e aceita trabalhos de impressão
+            await cupsAdapter.enablePrinter(name);
 
-            return { success: true, message: 'Impressora configurada com sucesso no CUPS' };
+            return { success: true, message: 'Impressora configurada com sucesso no CUPS', model, driverSelection, driverWarning };
         } catch (error) {
             console.error(error);
             Log.error({
@@ -124,7 +125,7 @@ module.exports = {
      */
     removePrinter: async (printerName) => {
         try {
-            await execAsync(`lpadmin -x "${printerName}"`);
+            await cupsAdapter.removePrinter(printerName);
             return { success: true, message: 'Impressora removida com sucesso do CUPS' };
         } catch (error) {
             console.error(error);
@@ -145,16 +146,9 @@ module.exports = {
      */
     getAvailableDrivers: async () => {
         try {
-            const { stdout } = await execAsync('lpinfo -m');
-            const drivers = stdout.split('\n')
-                .filter(line => line.trim())
-                .map(line => {
-                    const parts = line.split(' ');
-                    return parts[0] || '';
-                })
-                .filter(driver => driver);
-            
-            return drivers;
+            const models = await cupsAdapter.listModels();
+
+            return models.map(model => model.name);
         } catch (error) {
             console.error(error);
             Log.error({
@@ -174,20 +168,7 @@ module.exports = {
      */
     discoverPrinters: async () => {
         try {
-            const { stdout } = await execAsync('lpinfo -v');
-            const printers = stdout.split('\n')
-                .filter(line => line.trim())
-                .map(line => {
-                    const match = line.match(/^(\S+)\s+(\S+)/);
-                    if (match) {
-                        const [, type, uri] = match;
-                        return { type, uri };
-                    }
-                    return null;
-                })
-                .filter(printer => printer);
-            
-            return printers;
+            return await cupsAdapter.listDevices();
         } catch (error) {
             console.error(error);
             Log.error({
@@ -206,11 +187,13 @@ module.exports = {
      * @param {string} protocol - Protocolo (ipp ou ipps)
      * @param {string} ip - Endereço IP
      * @param {number} port - Porta
-     * @returns {Promise<{valid: boolean, path: string|null, error: string|null}>}
+     * @returns {Promise<{valid: boolean, path: string|null, uri: string|null, attributes: Object|null, error: string|null}>}
      */
     testIppEndpoint: async (protocol, ip, port = 631) => {
-        return discoverIppPath(protocol, ip, port);
-    }
+        return findIppPath(protocol, ip, port);
+    },
+
+    buildPrinterUri
 };
 
 /**
@@ -243,7 +226,8 @@ function buildPrinterUri(protocol, ip, port, path = null) {
         case 'smb':
             return `smb://${ip}/printer`;
         case 'dnssd':
-            return `dnssd://${ip}/`;
+            // A URI dnssd identifica o serviço anunciado, não o IP, e vem da descoberta por mDNS
+            throw new Error('Impressoras dnssd devem ser cadastradas com a URI retornada pela descoberta mDNS');
         case 'http':
             if (path) {
                 return `http://${ip}:${port || 80}${path.startsWith('/') ? path : '/' + path}`;
@@ -261,14 +245,14 @@ function buildPrinterUri(protocol, ip, port, path = null) {
 }
 
 /**
- * Tenta descobrir o caminho para o endpoint IPP correto
+ * Procura o caminho de um endpoint IPP que responda a Get-Printer-Attributes
  * @param {string} protocol - Protocolo (ipp ou ipps)
  * @param {string} ip - Endereço IP
  * @param {number} port - Porta
  * @param {string} suggestedPath - Caminho sugerido (opcional)
- * @returns {Promise<string>} URI completa para a impressora
+ * @returns {Promise<{valid: boolean, path: string|null, uri: string|null, attributes: Object|null, error: string|null}>}
  */
-async function discoverIppPath(protocol, ip, port = 631, suggestedPath = null) {
+async function findIppPath(protocol, ip, port = 631, suggestedPath = null) {
     // Lista de caminhos comuns para endpoints IPP
     const commonPaths = [
         '/ipp/print',
@@ -281,77 +265,59 @@ async function discoverIppPath(protocol, ip, port = 631, suggestedPath = null) {
     
     // Se um caminho foi sugerido, priorizá-lo
     if (suggestedPath && typeof suggestedPath === 'string') {
-        commonPaths.unshift(suggestedPath);
+        commonPaths.unshift(suggestedPath.startsWith('/') ? suggestedPath : `/${suggestedPath}`);
     }
     
     // Remover duplicatas
     const uniquePaths = [...new Set(commonPaths)];
     
     console.log(`Tentando descobrir endpoint ${protocol} para ${ip}:${port}`);
+
+    let lastError = null;
     
     // Testar cada caminho
     for (const path of uniquePaths) {
         const fullPath = path || '/';
-        const testUrl = `${protocol === 'ipps' ? 'https' : 'http'}://${ip}:${port}${fullPath}`;
+        const uri = `${protocol}://${ip}:${port}${fullPath}`;
         
         try {
-            console.log(`Testando endpoint: ${testUrl}`);
-            const isValid = await testEndpoint(ip, port, fullPath, protocol === 'ipps');
-            
-            if (isValid) {
-                console.log(`Endpoint válido encontrado: ${testUrl}`);
-                return `${protocol}://${ip}:${port}${fullPath}`;
-            }
+            console.log(`Testando endpoint: ${uri}`);
+
+            // Somente uma resposta IPP válida confirma o endpoint; páginas web da impressora não servem
+            const attributes = await ipp.getPrinterAttributes(uri, [
+                'printer-make-and-model',
+                'printer-state',
+                'ipp-versions-supported',
+                'document-format-supported'
+            ], 3000);
+
+            console.log(`Endpoint válido encontrado: ${uri}`);
+            return { valid: true, path: fullPath, uri, attributes, error: null };
         } catch (error) {
-            console.warn(`Falha ao testar ${testUrl}: ${error.message}`);
+            lastError = error.message;
+            console.warn(`Falha ao testar ${uri}: ${error.message}`);
         }
     }
-    
-    // Se não encontrou um caminho válido, usar o padrão
-    console.warn(`Nenhum endpoint válido encontrado para ${ip}:${port}, usando caminho padrão`);
-    return `${protocol}://${ip}:${port}/ipp/print`;
+
+    return { valid: false, path: null, uri: null, attributes: null, error: lastError };
 }
 
 /**
- * Testa se um endpoint HTTP/HTTPS está respondendo
- * @param {string} host - Endereço IP ou hostname
+ * Tenta descobrir o caminho para o endpoint IPP correto
+ * @param {string} protocol - Protocolo (ipp ou ipps)
+ * @param {string} ip - Endereço IP
  * @param {number} port - Porta
- * @param {string} path - Caminho para testar
- * @param {boolean} secure - Usar HTTPS em vez de HTTP
- * @returns {Promise<boolean>} true se o endpoint estiver respondendo
+ * @param {string} suggestedPath - Caminho sugerido (opcional)
+ * @returns {Promise<string>} URI completa para a impressora
  */
-function testEndpoint(host, port, path, secure = false) {
-    return new Promise((resolve) => {
-        const options = {
-            hostname: host,
-            port: port,
-            path: path,
-            method: 'GET',
-            timeout: 3000,
-            rejectUnauthorized: false // Aceitar certificados autoassinados
-        };
-        
-        const client = secure ? https : http;
-        
-        const req = client.request(options, (res) => {
-            // Alguns servidores IPP retornam códigos diferentes, mas ainda são válidos
-            // 200 OK, 400 Bad Request (mas respondendo), etc.
-            if (res.statusCode < 500) {
-                resolve(true);
-            } else {
-                resolve(false);
-            }
-        });
-        
-        req.on('error', () => {
-            resolve(false);
-        });
-        
-        req.on('timeout', () => {
-            req.destroy();
-            resolve(false);
-        });
-        
-        req.end();
-    });
-}
\ No newline at end of file
+async function discoverIppPath(protocol, ip, port = 631, suggestedPath = null) {
+    const result = await findIppPath(protocol, ip, port, suggestedPath);
+
+    if (result.valid) {
+        return result.uri;
+    }
+    
+    // Se não encontrou um caminho válido, usar o padrão
+    console.warn(`Nenhum endpoint válido encontrado para ${ip}:${port}, usando caminho padrão`);
+    return `${protocol}://${ip}:${port}/ipp/print`;
+}
@@ -0,0 +1,429 @@
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const execFileAsync = util.promisify(execFile);
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Erro retornado por um comando do CUPS
+ */
+class CupsError extends Error {
+    /**
+     * @param {string} message - Mensagem do erro
+     * @param {Object} details - Detalhes do comando executado
+     * @param {string} details.command - Comando executado
+     * @param {string[]} details.args - Argumentos do comando
+     * @param {number|string|null} details.code - Código de saída ou do sistema
+     * @param {string} details.stderr - Saída de erro do comando
+     */
+    constructor(message, { command = null, args = [], code = null, stderr = '' } = {}) {
+        super(message);
+        this.name = 'CupsError';
+        this.command = command;
+        this.args = args;
+        this.code = code;
+        this.stderr = stderr;
+    }
+}
+
+/**
+ * Verifica se o texto possui caracteres de controle
+ * @param {string} value - Texto
+ * @returns {boolean}
+ */
+const hasControlChars = (value) => {
+    return [...value].some(char => char.charCodeAt(0) < 32 || char.charCodeAt(0) === 127);
+}
+
+/**
+ * Valida o nome de uma fila do CUPS
+ * O CUPS não aceita espaços, "/", "#", "\", aspas e vírgulas; o hífen inicial é
+ * rejeitado para que o nome nunca seja interpretado como opção de um comando
+ * @param {string} name - Nome da fila
+ * @returns {string} Nome validado
+ */
+const validateQueueName = (name) => {
+    if (typeof name !== 'string' || !/^[^\s/#\\'",-][^\s/#\\'",]{0,126}$/.test(name) || hasControlChars(name)) {
+        throw new CupsError(`Nome de fila inválido: "${name}". Utilize até 127 caracteres, sem espaços, "/", "#", "\\", aspas ou vírgulas`);
+    }
+
+    return name;
+}
+
+/**
+ * Valida o identificador de um trabalho do CUPS (Fila-42)
+ * @param {string} requestId - Identificador do trabalho
+ * @returns {string} Identificador validado
+ */
+const validateRequestId = (requestId) => {
+    const match = typeof requestId === 'string' && requestId.match(/^(.+)-(\d+)$/);
+
+    if (!match) {
+        throw new CupsError(`Identificador de trabalho inválido: "${requestId}"`);
+    }
+
+    validateQueueName(match[1]);
+
+    return requestId;
+}
+
+/**
+ * Valida valores livres (descrição, localização, URI) enviados como argumento
+ * @param {string} field - Nome do campo
+ * @param {string} value - Valor do campo
+ * @returns {string} Valor validado
+ */
+const validateArgument = (field, value) => {
+    if (typeof value !== 'string' || hasControlChars(value)) {
+        throw new CupsError(`Valor inválido para ${field}`);
+    }
+
+    return value;
+}
+
+/**
+ * Executa uma ferramenta do CUPS sem shell, com os argumentos em lista
+ * @param {string} command - Ferramenta (lp, lpstat, lpadmin...)
+ * @param {string[]} args - Argumentos
+ * @param {number} timeout - Tempo limite em milissegundos
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+const run = async (command, args = [], timeout = DEFAULT_TIMEOUT) => {
+    try {
+        // As saídas são interpretadas em inglês, então o idioma do servidor não pode ser herdado
+        const { stdout, stderr } = await execFileAsync(command, args, {
+            timeout,
+            maxBuffer: 1024 * 1024 * 20,
+            env: { ...process.env, LC_ALL: 'C', LANG: 'C' }
+        });
+
+        return { stdout, stderr };
+    } catch (error) {
+        const stderr = (error.stderr || '').toString().trim();
+
+        throw new CupsError(
+            `Falha ao executar ${command}: ${stderr || error.message}`,
+            { command, args, code: error.code ?? null, stderr }
+        );
+    }
+}
+
+/**
+ * Interpreta a saída do comando "lpstat -l -o"
+ * @param {string} output - Saída do lpstat
+ * @param {boolean} completed - Se a listagem é de trabalhos finalizados
+ * @returns {Array<Object>} Trabalhos encontrados
+ */
+function parseJobList(output, completed) {
+    const jobs = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+
+        // Linha principal: "Impressora-42   usuario   1024   Seg 19 Out 2026 10:00:00"
+        if (!/^\s/.test(line)) {
+            const match = line.match(/^(\S+)-(\d+)\s+(\S+)/);
+            if (!match) {
+                current = null;
+                continue;
+            }
+
+            current = {
+                requestId: `${match[1]}-${match[2]}`,
+                cupsJobId: parseInt(match[2], 10),
+                printerName: match[1],
+                user: match[3],
+                reasons: [],
+                message: null
+            };
+            jobs.push(current);
+            continue;
+        }
+
+        if (!current) {
+            continue;
+        }
+
+        const detail = line.trim();
+        if (detail.startsWith('Status:')) {
+            current.message = detail.replace('Status:', '').trim() || null;
+        } else if (detail.startsWith('Alerts:')) {
+            current.reasons = detail.replace('Alerts:', '').trim().split(/\s+/).filter(reason => reason);
+        }
+    }
+
+    for (const job of jobs) {
+        job.state = getJobState(job.reasons, completed);
+    }
+
+    return jobs;
+}
+
+/**
+ * Converte os motivos de estado do CUPS (job-state-reasons) no estado do trabalho
+ * @param {string[]} reasons - Motivos informados pelo CUPS
+ * @param {boolean} completed - Se o trabalho já foi finalizado
+ * @returns {string} pending, held, processing, completed, aborted ou canceled
+ */
+function getJobState(reasons, completed) {
+    if (completed) {
+        if (reasons.some(reason => reason.startsWith('job-canceled'))) {
+            return 'canceled';
+        }
+
+        if (reasons.some(reason => reason.includes('aborted') || reason === 'job-completed-with-errors')) {
+            return 'aborted';
+        }
+
+        return 'completed';
+    }
+
+    if (reasons.some(reason => reason.startsWith('job-hold') || reason === 'job-held')) {
+        return 'held';
+    }
+
+    if (reasons.some(reason => ['job-printing', 'job-transforming', 'job-queued-for-marker'].includes(reason))) {
+        return 'processing';
+    }
+
+    return 'pending';
+}
+
+/**
+ * Interpreta a saída do comando "lpinfo -l -m"
+ * @param {string} output - Saída do lpinfo
+ * @returns {Array<{name: string, makeAndModel: string, language: string|null, deviceId: string|null}>}
+ */
+function parseModelList(output) {
+    const models = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+        const start = line.match(/^Model:\s+name = (.*)$/);
+
+        if (start) {
+            current = { name: start[1].trim(), makeAndModel: '', language: null, deviceId: null };
+            models.push(current);
+            continue;
+        }
+
+        const detail = current && line.match(/^\s+([\w-]+) = (.*)$/);
+        if (!detail) {
+            continue;
+        }
+
+        const [, key, value] = detail;
+
+        if (key === 'make-and-model') {
+            current.makeAndModel = value.trim();
+        } else if (key === 'natural_language') {
+            current.language = value.trim() || null;
+        } else if (key === 'device-id') {
+            current.deviceId = value.trim() || null;
+        }
+    }
+
+    return models.filter(model => model.name);
+}
+
+module.exports = {
+    CupsError,
+    validateQueueName,
+    run,
+    parseModelList,
+
+    /**
+     * Envia um arquivo para uma fila do CUPS
+     * @param {string} printerName - Nome da fila
+     * @param {string} filePath - Caminho do arquivo
+     * @param {string[]} optionArgs - Argumentos de opções do lp
+     * @returns {Promise<{requestId: string, cupsJobId: number}>}
+     */
+    submitJob: async (printerName, filePath, optionArgs = []) => {
+        validateQueueName(printerName);
+
+        // Caminho absoluto garante que o arquivo nunca seja interpretado como opção
+        if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) {
+            throw new CupsError(`Caminho de arquivo inválido: "${filePath}"`);
+        }
+
+        const { stdout } = await run('lp', ['-d', printerName, ...optionArgs, filePath]);
+
+        // Exemplo de saída: "request id is Impressora-42 (1 file(s))"
+        const match = stdout.match(/request id is (\S+)-(\d+)/);
+        if (!match) {
+            throw new CupsError(`Não foi possível identificar o trabalho criado pelo CUPS: ${stdout.trim()}`, { command: 'lp' });
+        }
+
+        return {
+            requestId: `${match[1]}-${match[2]}`,
+            cupsJobId: parseInt(match[2], 10)
+        };
+    },
+
+    /**
+     * Lista os trabalhos do CUPS com os motivos de estado de cada um
+     * @param {string} which - 'not-completed' ou 'completed'
+     * @param {string|null} printerName - Restringe a listagem a uma fila
+     * @returns {Promise<Array<{requestId: string, cupsJobId: number, printerName: string, user: string, reasons: string[], message: string|null, state: string}>>}
+     */
+    getJobs: async (which = 'not-completed', printerName = null) => {
+        if (!['not-completed', 'completed'].includes(which)) {
+            throw new CupsError(`Tipo de listagem inválido: ${which}`);
+        }
+
+        const args = ['-l', '-W', which, '-o'];
+        if (printerName) {
+            args.push(validateQueueName(printerName));
+        }
+
+        const { stdout } = await run('lpstat', args);
+
+        return parseJobList(stdout, which === 'completed');
+    },
+
+    /**
+     * Cancela um trabalho no CUPS
+     * @param {string} requestId - Identificador do trabalho (Fila-42)
+     * @returns {Promise<void>}
+     */
+    cancelJob: async (requestId) => {
+        await run('cancel', [validateRequestId(requestId)]);
+    },
+
+    /**
+     * Retém um trabalho na fila do CUPS até que seja liberado
+     * @param {string} requestId - Identificador do trabalho (Fila-42)
+     * @returns {Promise<void>}
+     */
+    holdJob: async (requestId) => {
+        await run('lp', ['-i', validateRequestId(requestId), '-H', 'hold']);
+    },
+
+    /**
+     * Libera um trabalho retido no CUPS
+     * @param {string} requestId - Identificador do trabalho (Fila-42)
+     * @returns {Promise<void>}
+     */
+    releaseJob: async (requestId) => {
+        await run('lp', ['-i', validateRequestId(requestId), '-H', 'resume']);
+    },
+
+    /**
+     * Move um trabalho para outra fila do CUPS
+     * @param {string} requestId - Identificador do trabalho (Fila-42)
+     * @param {string} destination - Nome da fila de destino
+     * @returns {Promise<string>} Novo identificador do trabalho
+     */
+    moveJob: async (requestId, destination) => {
+        await run('lpmove', [validateRequestId(requestId), validateQueueName(destination)]);
+
+        const cupsJobId = requestId.split('-').pop();
+        return `${destination}-${cupsJobId}`;
+    },
+
+    /**
+     * Cria ou altera uma fila no CUPS
+     * @param {Object} queue - Dados da fila
+     * @param {string} queue.name - Nome da fila
+     * @param {string} queue.uri - URI do dispositivo
+     * @param {string} queue.model - Driver (PPD) ou "raw"
+     * @param {string} queue.description - Descrição
+     * @param {string} queue.location - Localização
+     * @param {Object} queue.options - Opções adicionais (-o chave=valor)
+     * @returns {Promise<void>}
+     */
+    addPrinter: async ({ name, uri, model = 'raw', description, location, options = {} }) => {
+        const args = [
+            '-p', validateQueueName(name),
+            '-E',
+            '-v', validateArgument('URI', uri),
+            '-m', validateArgument('driver', model)
+        ];
+
+        if (description) {
+            args.push('-D', validateArgument('descrição', description));
+        }
+
+        if (location) {
+            args.push('-L', validateArgument('localização', location));
+        }
+
+        for (const [key, value] of Object.entries(options)) {
+            args.push('-o', `${validateArgument('opção', key)}=${validateArgument('opção', String(value))}`);
+        }
+
+        await run('lpadmin', args);
+    },
+
+    /**
+     * Remove uma fila do CUPS
+     * @param {string} name - Nome da fila
+     * @returns {Promise<void>}
+     */
+    removePrinter: async (name) => {
+        await run('lpadmin', ['-x', validateQueueName(name)]);
+    },
+
+    /**
+     * Habilita uma fila e passa a aceitar trabalhos nela
+     * @param {string} name - Nome da fila
+     * @returns {Promise<void>}
+     */
+    enablePrinter: async (name) => {
+        validateQueueName(name);
+
+        await run('cupsenable', [name]);
+        await run('cupsaccept', [name]);
+    },
+
+    /**
+     * Lista os drivers (PPDs) conhecidos pelo CUPS
+     * @returns {Promise<Array<{name: string, description: string}>>}
+     */
+    listModels: async () => {
+        const { stdout } = await run('lpinfo', ['-m'], 1000 * 60);
+
+        return stdout.split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                const [name, ...description] = line.split(' ');
+                return { name, description: description.join(' ').trim() };
+            })
+            .filter(model => model.name);
+    },
+
+    /**
+     * Lista os drivers do CUPS com os detalhes de cada um (lpinfo -l -m)
+     * @returns {Promise<Array<{name: string, makeAndModel: string, language: string|null, deviceId: string|null}>>}
+     */
+    listModelsDetailed: async () => {
+        const { stdout } = await run('lpinfo', ['-l', '-m'], 1000 * 60);
+
+        return parseModelList(stdout);
+    },
+
+    /**
+     * Lista os dispositivos encontrados pelos backends do CUPS
+     * @returns {Promise<Array<{type: string, uri: string}>>}
+     */
+    listDevices: async () => {
+        const { stdout } = await run('lpinfo', ['-v'], 1000 * 60);
+
+        return stdout.split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                const match = line.match(/^(\S+)\s+(\S+)/);
+                if (match) {
+                    const [, type, uri] = match;
+                    return { type, uri };
+                }
+                return null;
+            })
+            .filter(device => device);
+    }
+}
@@ -0,0 +1,412 @@
+const os = require('os');
+const fs = require('fs');
+const net = require('net');
+const dotenv = require('dotenv');
+const Printer = require('../models/printers');
+const CONSTANTS = require('../../../helper/constants');
+const { getValues, toText } = require('./snmp');
+const { browse, buildDnssdUri } = require('./mdns');
+const { testIppEndpoint, buildPrinterUri } = require('./cups');
+const { testPrinterConnection, getPrinterAddress } = require('./network');
+
+/**
+ * OIDs usados para identificar o equipamento (SNMPv2-MIB e HOST-RESOURCES-MIB)
+ */
+const OIDS = {
+    SYS_DESCR: '1.3.6.1.2.1.1.1.0',
+    SYS_NAME: '1.3.6.1.2.1.1.5.0',
+    HR_DEVICE_DESCR: '1.3.6.1.2.1.25.3.2.1.3.1'
+};
+
+/**
+ * Erro de configuração da varredura
+ */
+class DiscoveryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiscoveryError';
+    }
+}
+
+const ipToInt = (ip) => ip.split('.').reduce((value, octet) => ((value << 8) + parseInt(octet, 10)) >>> 0, 0);
+
+const intToIp = (value) => [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join('.');
+
+/**
+ * Lista os endereços de uma sub-rede IPv4, sem os endereços de rede e de broadcast
+ * @param {string} cidr - Sub-rede no formato 192.168.0.0/24
+ * @returns {string[]} Endereços dos hosts
+ */
+const expandSubnet = (cidr) => {
+    const [address, prefixText] = String(cidr).trim().split('/');
+    const prefix = prefixText === undefined ? 32 : parseInt(prefixText, 10);
+
+    if (!net.isIPv4(address) || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+        throw new DiscoveryError(`Sub-rede inválida: "${cidr}". Utilize o formato 192.168.0.0/24`);
+    }
+
+    const size = 2 ** (32 - prefix);
+
+    if (size - 2 > CONSTANTS.DISCOVERY.MAX_HOSTS) {
+        throw new DiscoveryError(`A sub-rede ${cidr} é grande demais para a varredura (máximo de ${CONSTANTS.DISCOVERY.MAX_HOSTS} endereços)`);
+    }
+
+    const network = (ipToInt(address) & ~(size - 1)) >>> 0;
+
+    // Em /31 e /32 todos os endereços são hosts
+    const first = size > 2 ? network + 1 : network;
+    const last = size > 2 ? network + size - 2 : network + size - 1;
+
+    const hosts = [];
+    for (let value = first; value <= last; value++) {
+        hosts.push(intToIp(value));
+    }
+
+    return hosts;
+}
+
+/**
+ * Obtém as sub-redes a varrer, de DISCOVERY_SUBNETS ou das interfaces de rede locais
+ * @returns {string[]} Sub-redes no formato CIDR
+ */
+const getSubnets = () => {
+    dotenv.config();
+
+    const configured = (process.env.DISCOVERY_SUBNETS || '')
+        .split(',')
+        .map((subnet) => subnet.trim())
+        .filter((subnet) => subnet);
+
+    if (configured.length > 0) {
+        return configured;
+    }
+
+    const subnets = [];
+
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        for (const address of addresses || []) {
+            if (address.family !== 'IPv4' || address.internal) {
+                continue;
+            }
+
+            // Redes maiores que o prefixo padrão são limitadas à faixa do próprio servidor
+            const prefix = Math.max(parseInt(address.cidr.split('/')[1], 10), CONSTANTS.DISCOVERY.DEFAULT_PREFIX);
+            subnets.push(`${address.address}/${prefix}`);
+        }
+    }
+
+    return subnets;
+}
+
+/**
+ * Lê a tabela ARP do sistema para obter o MAC dos hosts que responderam
+ * Disponível apenas no Linux; nos demais sistemas o MAC fica em branco
+ * @returns {Object} MAC indexado pelo IP
+ */
+const readArpTable = () => {
+    try {
+        const lines = fs.readFileSync('/proc/net/arp', 'utf8').split('\n').slice(1);
+        const table = {};
+
+        for (const line of lines) {
+            const [ip, , flags, mac] = line.trim().split(/\s+/);
+
+            // Flag 0x0 indica uma entrada incompleta
+            if (ip && mac && flags !== '0x0' && mac !== '00:00:00:00:00:00') {
+                table[ip] = mac.toUpperCase();
+            }
+        }
+
+        return table;
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Executa as tarefas com um limite de execuções simultâneas
+ * @param {Array} items - Itens a processar
+ * @param {number} limit - Execuções simultâneas
+ * @param {Function} callback - Recebe o item e retorna uma Promise
+ * @returns {Promise<Array>} Resultados, na ordem dos itens
+ */
+const mapWithLimit = async (items, limit, callback) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await callback(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+
+    return results;
+}
+
+/**
+ * Testa as portas de impressão de um host
+ * @param {string} ip - Endereço IP
+ * @returns {Promise<Object|null>} Protocolos com porta aberta, ou null se nenhuma respondeu
+ */
+const probeHost = async (ip) => {
+    const entries = Object.entries(CONSTANTS.DISCOVERY.PORTS);
+    const open = await Promise.all(entries.map(([, port]) => testPrinterConnection(ip, port, CONSTANTS.DISCOVERY.CONNECT_TIMEOUT_MS)));
+
+    const protocols = entries.filter((entry, index) => open[index]).map(([protocol]) => protocol);
+
+    return protocols.length > 0 ? { ip, protocols } : null;
+}
+
+/**
+ * Identifica o modelo do equipamento por SNMP e IPP
+ * @param {Object} host - Host com as portas abertas
+ * @returns {Promise<Object|null>} Dados da impressora, ou null se o host não parece ser uma impressora
+ */
+const identifyHost = async ({ ip, protocols }) => {
+    let snmp = {};
+    try {
+        snmp = await getValues(ip, [OIDS.SYS_DESCR, OIDS.SYS_NAME, OIDS.HR_DEVICE_DESCR]);
+    } catch {
+        // Equipamentos sem SNMP ainda podem ser identificados por IPP
+    }
+
+    let ipp = null;
+    if (protocols.includes('ipp')) {
+        const endpoint = await testIppEndpoint('ipp', ip, CONSTANTS.DISCOVERY.PORTS.ipp);
+        ipp = endpoint.valid ? endpoint : null;
+    }
+
+    const makeAndModel = ipp && ipp.attributes ? ipp.attributes['printer-make-and-model'] : null;
+    const deviceDescription = toText(snmp[OIDS.HR_DEVICE_DESCR]);
+
+    const endpoints = protocols
+        .filter((protocol) => protocol !== 'ipp' || ipp)
+        .map((protocol) => ({
+            protocol,
+            port: CONSTANTS.DISCOVERY.PORTS[protocol],
+            uri: protocol === 'ipp' ? ipp.uri : buildPrinterUri(protocol, ip, CONSTANTS.DISCOVERY.PORTS[protocol])
+        }));
+
+    // A porta 631 sozinha também é usada por servidores CUPS; só conta com resposta IPP de impressora
+    if (endpoints.length === 0) {
+        return null;
+    }
+
+    return {
+        ip,
+        mac: null,
+        hostname: toText(snmp[OIDS.SYS_NAME]) || null,
+        model: (Array.isArray(makeAndModel) ? makeAndModel[0] : makeAndModel) || deviceDescription || null,
+        description: toText(snmp[OIDS.SYS_DESCR]) || null,
+        protocols: endpoints,
+        addresses: [ip]
+    };
+}
+
+/**
+ * Converte um texto em nome de fila válido para o CUPS
+ * @param {string} value - Nome de origem (hostname, modelo ou instância)
+ * @param {string} fallback - Nome usado se nada sobrar após a limpeza
+ * @returns {string}
+ */
+const toQueueName = (value, fallback) => {
+    return String(value).replace(/[\s/#\\'",]+/g, '_').replace(/^[-_]+/, '').slice(0, 127) || fallback;
+}
+
+/**
+ * Obtém as impressoras cadastradas para marcar as já registradas
+ * @returns {Promise<Array>} Impressoras, ou lista vazia se o banco não responder
+ */
+const getRegisteredPrinters = async () => {
+    const printers = await Printer.getAll();
+
+    return printers.message ? [] : printers;
+}
+
+/**
+ * Lê uma chave do TXT sem diferenciar maiúsculas (RFC 6763, seção 6.4)
+ * @param {Object} txt - Valores do TXT
+ * @param {string} key - Chave desejada
+ * @returns {string|null}
+ */
+const txtValue = (txt, key) => {
+    const found = Object.keys(txt).find((name) => name.toLowerCase() === key.toLowerCase());
+
+    return found && typeof txt[found] === 'string' ? txt[found] : null;
+}
+
+/**
+ * Converte T/F do TXT em booleano
+ * @param {string|null} value - Valor lido
+ * @returns {boolean|null} null quando a chave não foi anunciada
+ */
+const txtBoolean = (value) => value === null ? null : value.toUpperCase() === 'T';
+
+/**
+ * Ordem de preferência dos serviços para a URI do cadastro
+ */
+const MDNS_SERVICE_ORDER = ['_ipp._tcp', '_ipps._tcp', '_pdl-datastream._tcp'];
+
+/**
+ * Monta o corpo sugerido para POST /printers, priorizando IPP, depois socket e LPD
+ * @param {Object} device - Impressora encontrada
+ * @returns {Object} Dados para o cadastro
+ */
+const suggestPrinter = (device) => {
+    const preferred = ['ipp', 'socket', 'lpd']
+        .map((protocol) => device.protocols.find((endpoint) => endpoint.protocol === protocol))
+        .find((endpoint) => endpoint);
+
+    const fallback = `printer-${device.ip}`;
+
+    return {
+        name: toQueueName(device.hostname || device.model || fallback, fallback),
+        status: 'functional',
+        protocol: preferred.protocol,
+        ip_address: device.ip,
+        port: preferred.port,
+        uri: preferred.uri,
+        mac_address: device.mac,
+        description: device.model
+    };
+}
+
+module.exports = {
+    DiscoveryError,
+
+    /**
+     * Varre as sub-redes configuradas procurando impressoras pelas portas 9100, 631 e 515
+     * @returns {Promise<{subnets: string[], scanned: number, printers: Array}>}
+     */
+    scanSubnets: async () => {
+        const subnets = getSubnets();
+
+        if (subnets.length === 0) {
+            throw new DiscoveryError('Nenhuma sub-rede configurada em DISCOVERY_SUBNETS e nenhuma interface de rede encontrada');
+        }
+
+        // Sub-redes sobrepostas não geram endereços repetidos
+        const hosts = [...new Set(subnets.flatMap(expandSubnet))];
+
+        if (hosts.length > CONSTANTS.DISCOVERY.MAX_HOSTS) {
+            throw new DiscoveryError(`A varredura abrange ${hosts.length} endereços; o máximo é ${CONSTANTS.DISCOVERY.MAX_HOSTS}`);
+        }
+
+        const alive = (await mapWithLimit(hosts, CONSTANTS.DISCOVERY.CONCURRENCY, probeHost)).filter((host) => host);
+        const identified = (await mapWithLimit(alive, CONSTANTS.DISCOVERY.CONCURRENCY, identifyHost)).filter((device) => device);
+
+        // As conexões feitas na varredura preenchem a tabela ARP
+        const arp = readArpTable();
+
+        // Equipamentos com mais de uma interface aparecem uma única vez
+        const devices = [];
+        for (const device of identified) {
+            device.mac = arp[device.ip] || null;
+
+            const duplicate = device.mac && devices.find((item) => item.mac === device.mac);
+            if (duplicate) {
+                duplicate.addresses.push(device.ip);
+                continue;
+            }
+
+            devices.push(device);
+        }
+
+        const registered = await getRegisteredPrinters();
+
+        const printers = devices.map((device) => {
+            const match = registered.find((printer) => {
+                const { host } = getPrinterAddress(printer);
+
+                return device.addresses.includes(host)
+                    || (device.mac && printer.mac_address && printer.mac_address.toUpperCase() === device.mac);
+            });
+
+            return {
+                ...device,
+                registered: Boolean(match),
+                printerId: match ? match.id : null,
+                printer: suggestPrinter(device)
+            };
+        });
+
+        return { subnets, scanned: hosts.length, printers };
+    },
+
+    /**
+     * Procura impressoras anunciadas por mDNS/DNS-SD (_ipp._tcp, _ipps._tcp e _pdl-datastream._tcp)
+     * Os serviços de uma mesma instância são agrupados, e o cadastro sugerido usa a URI dnssd,
+     * que o CUPS resolve a cada trabalho e por isso sobrevive à troca de IP da impressora
+     * @returns {Promise<{printers: Array}>}
+     */
+    discoverMdns: async () => {
+        const instances = await browse();
+        const groups = {};
+
+        for (const instance of instances) {
+            const key = instance.instance.toLowerCase();
+            (groups[key] = groups[key] || []).push(instance);
+        }
+
+        const registered = await getRegisteredPrinters();
+
+        const printers = Object.values(groups).map((group) => {
+            group.sort((first, second) => MDNS_SERVICE_ORDER.indexOf(first.service) - MDNS_SERVICE_ORDER.indexOf(second.service));
+
+            const preferred = group[0];
+            const txt = preferred.txt;
+            const uuid = txtValue(txt, 'UUID');
+            const addresses = [...new Set(group.flatMap((service) => service.addresses))];
+            const pdl = txtValue(txt, 'pdl');
+
+            const services = group.map((service) => ({
+                service: service.service,
+                host: service.host,
+                port: service.port,
+                uri: buildDnssdUri(service.instance, service.service, txtValue(service.txt, 'UUID')),
+                txt: service.txt
+            }));
+
+            const match = registered.find((printer) => {
+                const { host } = getPrinterAddress(printer);
+                const uri = (printer.uri || '').toLowerCase();
+
+                return services.some((service) => uri.split('?')[0] === service.uri.split('?')[0].toLowerCase())
+                    || (host && addresses.includes(host));
+            });
+
+            const model = txtValue(txt, 'ty') || null;
+
+            return {
+                name: preferred.instance,
+                host: preferred.host,
+                addresses,
+                model,
+                resourcePath: txtValue(txt, 'rp'),
+                formats: pdl ? pdl.split(',').map((format) => format.trim()).filter((format) => format) : [],
+                color: txtBoolean(txtValue(txt, 'Color')),
+                duplex: txtBoolean(txtValue(txt, 'Duplex')),
+                uuid,
+                services,
+                uri: services[0].uri,
+                registered: Boolean(match),
+                printerId: match ? match.id : null,
+                printer: {
+                    name: toQueueName(preferred.instance, `printer-${addresses[0] || 'dnssd'}`),
+                    status: 'functional',
+                    protocol: 'dnssd',
+                    uri: services[0].uri,
+                    // O IP atual só é usado nas consultas SNMP; a impressão segue a URI dnssd
+                    ip_address: addresses[0] || null,
+                    port: preferred.port,
+                    description: model
+                }
+            };
+        });
+
+        return { printers };
+    }
+}
@@ -0,0 +1,502 @@
+const ipp = require('./ipp');
+const cupsAdapter = require('./cupsAdapter');
+const CONSTANTS = require('../../../helper/constants');
+const { getValues, toText } = require('./snmp');
+const { getPrinterAddress } = require('./network');
+
+/**
+ * OIDs com a descrição do equipamento (HOST-RESOURCES-MIB e SNMPv2-MIB)
+ */
+const OIDS = {
+    HR_DEVICE_DESCR: '1.3.6.1.2.1.25.3.2.1.3.1',
+    SYS_DESCR: '1.3.6.1.2.1.1.1.0'
+};
+
+/**
+ * Nomes de fabricantes que aparecem de formas diferentes nos drivers e nas impressoras
+ */
+const MAKE_ALIASES = [
+    [/hewlett[\s-]*packard/g, 'hp'],
+    [/kyocera[\s-]*mita/g, 'kyocera'],
+    [/konica[\s-]*minolta/g, 'konicaminolta'],
+    [/fuji[\s-]*xerox/g, 'fujixerox'],
+    [/lexmark international/g, 'lexmark']
+];
+
+/**
+ * Palavras que não ajudam a diferenciar modelos
+ */
+const IGNORED_TOKENS = ['series', 'printer', 'foomatic', 'recommended', 'driver', 'ppd', 'cups', 'en', 'the'];
+
+/**
+ * Linguagens de impressão reconhecidas no device_id ou na descrição do driver
+ */
+const PDL_PATTERNS = [
+    ['postscript', /postscript|\bps\b|\bbr-script\b/i],
+    ['pcl', /\bpcl\s*[3-6]?\b|\bpclxl\b|\bpxl/i],
+    ['pwg-raster', /pwg[\s-]*raster|\burf\b|ipp everywhere/i],
+    ['pdf', /\bpdf\b/i]
+];
+
+let catalogCache = null;
+
+/**
+ * Converte um atributo IPP em lista, já que atributos de valor único não vêm em lista
+ * @param {*} value - Valor do atributo
+ * @returns {Array}
+ */
+const toList = (value) => {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Classifica o driver instalado
+ * @param {string} model - Driver passado ao lpadmin
+ * @returns {string} everywhere, raw ou ppd
+ */
+const toSelection = (model) => {
+    if (model === 'everywhere' || model === 'raw') {
+        return model;
+    }
+
+    return 'ppd';
+}
+
+/**
+ * Converte o device_id IEEE 1284 em chave/valor (MFG, MDL, CMD...)
+ * @param {string|null} deviceId - device_id do driver ou da impressora
+ * @returns {Object}
+ */
+const parseDeviceId = (deviceId) => {
+    const values = {};
+
+    for (const part of String(deviceId || '').split(';')) {
+        const separator = part.indexOf(':');
+
+        if (separator > 0) {
+            values[part.slice(0, separator).trim().toUpperCase()] = part.slice(separator + 1).trim();
+        }
+    }
+
+    return {
+        make: values.MFG || values.MANUFACTURER || null,
+        model: values.MDL || values.MODEL || null,
+        commands: (values.CMD || values['COMMAND SET'] || '').split(',').map(command => command.trim()).filter(command => command)
+    };
+}
+
+/**
+ * Normaliza um texto de fabricante/modelo para comparação
+ * Remove o sufixo do driver (ex.: ", hpcups 3.22.10") e unifica os nomes dos fabricantes
+ * @param {string} text - Texto de origem
+ * @returns {string}
+ */
+const normalize = (text) => {
+    let value = String(text || '').toLowerCase().split(',')[0];
+
+    for (const [pattern, replacement] of MAKE_ALIASES) {
+        value = value.replace(pattern, replacement);
+    }
+
+    return value.replace(/\(.*?\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Separa o texto normalizado em palavras relevantes
+ * @param {string} normalized - Texto normalizado
+ * @returns {string[]}
+ */
+const tokenize = (normalized) => {
+    return [...new Set(normalized.split(' ').filter(token => token && !IGNORED_TOKENS.includes(token)))];
+}
+
+/**
+ * Compara duas palavras; números de modelo aceitam sufixos de letras (m404 e m404dn)
+ * @param {string} first - Primeira palavra
+ * @param {string} second - Segunda palavra
+ * @returns {boolean}
+ */
+const tokensMatch = (first, second) => {
+    if (first === second) {
+        return true;
+    }
+
+    if (!/\d/.test(first) || !/\d/.test(second)) {
+        return false;
+    }
+
+    const [shorter, longer] = first.length < second.length ? [first, second] : [second, first];
+
+    return longer.startsWith(shorter) && /^[a-z]+$/.test(longer.slice(shorter.length));
+}
+
+/**
+ * Números de modelo pesam mais que palavras como "laserjet" ou "pro"
+ * @param {string} token - Palavra
+ * @returns {number}
+ */
+const tokenWeight = (token) => /\d/.test(token) ? 3 : 1;
+
+/**
+ * Soma o peso das palavras de uma lista encontradas na outra
+ * @param {string[]} tokens - Palavras avaliadas
+ * @param {string[]} others - Palavras de referência
+ * @returns {number} Fração do peso encontrada, de 0 a 1
+ */
+const coverage = (tokens, others) => {
+    const total = tokens.reduce((sum, token) => sum + tokenWeight(token), 0);
+
+    if (total === 0) {
+        return 0;
+    }
+
+    const found = tokens
+        .filter(token => others.some(other => tokensMatch(token, other)))
+        .reduce((sum, token) => sum + tokenWeight(token), 0);
+
+    return found / total;
+}
+
+/**
+ * Identifica a linguagem de impressão do driver
+ * @param {Object} entry - Driver do catálogo
+ * @param {string[]} commands - CMD do device_id
+ * @returns {string|null}
+ */
+const detectPdl = (entry, commands) => {
+    const text = `${commands.join(' ')} ${entry.makeAndModel} ${entry.name}`;
+    const found = PDL_PATTERNS.find(([, pattern]) => pattern.test(text));
+
+    return found ? found[0] : null;
+}
+
+/**
+ * Converte um driver do lpinfo em uma entrada do catálogo
+ * @param {Object} model - Driver listado pelo CUPS
+ * @returns {Object}
+ */
+const toCatalogEntry = (model) => {
+    const deviceId = parseDeviceId(model.deviceId);
+    const normalized = normalize(model.makeAndModel);
+    const make = deviceId.make ? normalize(deviceId.make).split(' ')[0] : normalized.split(' ')[0] || null;
+
+    return {
+        name: model.name,
+        makeAndModel: model.makeAndModel,
+        make,
+        model: deviceId.model || model.makeAndModel.split(',')[0].trim(),
+        language: model.language,
+        pdl: detectPdl(model, deviceId.commands),
+        recommended: /\(recommended\)/i.test(model.makeAndModel),
+        driverless: model.name === 'everywhere' || /^driverless:/.test(model.name),
+        tokens: tokenize(normalized).filter(token => token !== make)
+    };
+}
+
+/**
+ * Obtém a URI para consultar a impressora por IPP
+ * Uma URI dnssd de serviço _ipp/_ipps é consultada no IP e na porta resolvidos na descoberta,
+ * enquanto a fila do CUPS continua com a URI dnssd
+ * @param {Object} printer - Endereço da impressora (uri, ip_address e port)
+ * @returns {string|null} URI ipp:// ou ipps://, ou null se a impressora não é consultável por IPP
+ */
+const getIppQueryUri = (printer) => {
+    const uri = printer.uri || '';
+
+    if (/^ipps?:\/\//i.test(uri)) {
+        return uri;
+    }
+
+    const service = uri.match(/^dnssd:\/\/[^/?]*\._(ipps?)\._tcp\b/i);
+    if (!service || !printer.ip_address) {
+        return null;
+    }
+
+    const host = printer.ip_address.includes(':') ? `[${printer.ip_address}]` : printer.ip_address;
+
+    return `${service[1].toLowerCase()}://${host}:${printer.port || 631}/${CONSTANTS.DRIVERS.DNSSD_RESOURCE_PATH}`;
+}
+
+/**
+ * Descreve a pontuação para o usuário
+ * @param {number} score - Pontuação de 0 a 1
+ * @returns {string} high, medium ou low
+ */
+const toConfidence = (score) => {
+    if (score >= CONSTANTS.DRIVERS.HIGH_CONFIDENCE) {
+        return 'high';
+    }
+
+    return score >= CONSTANTS.DRIVERS.MIN_SCORE ? 'medium' : 'low';
+}
+
+module.exports = {
+    parseDeviceId,
+
+    /**
+     * Carrega o catálogo de drivers do CUPS, mantendo-o em memória por alguns minutos
+     * @param {boolean} refresh - Ignora o catálogo em memória
+     * @returns {Promise<{entries: Array, ippEverywhere: boolean, makes: string[]}>}
+     */
+    loadCatalog: async (refresh = false) => {
+        if (!refresh && catalogCache && Date.now() - catalogCache.loadedAt < CONSTANTS.DRIVERS.CATALOG_CACHE_MS) {
+            return catalogCache.catalog;
+        }
+
+        const entries = (await cupsAdapter.listModelsDetailed()).map(toCatalogEntry);
+
+        const catalog = {
+            entries,
+            ippEverywhere: entries.some(entry => entry.name === 'everywhere'),
+            makes: [...new Set(entries.filter(entry => !entry.driverless).map(entry => entry.make).filter(make => make))]
+        };
+
+        catalogCache = { loadedAt: Date.now(), catalog };
+
+        return catalog;
+    },
+
+    /**
+     * Ordena os drivers do catálogo pela semelhança com o fabricante/modelo informado
+     * @param {Object} catalog - Catálogo carregado por loadCatalog
+     * @param {string} makeAndModel - Fabricante e modelo reportados pela impressora ou configurados
+     * @param {number} limit - Quantidade máxima de sugestões
+     * @returns {Array<{name: string, makeAndModel: string, make: string, model: string, language: string|null, pdl: string|null, score: number, confidence: string}>}
+     */
+    rankDrivers: (catalog, makeAndModel, limit = CONSTANTS.DRIVERS.MAX_SUGGESTIONS) => {
+        const normalized = normalize(makeAndModel);
+
+        if (!normalized) {
+            return [];
+        }
+
+        const firstToken = normalized.split(' ')[0];
+        const make = catalog.makes.includes(firstToken) ? firstToken : null;
+        const tokens = tokenize(normalized).filter(token => token !== make);
+        const hasModelNumber = tokens.some(token => /\d/.test(token));
+
+        return catalog.entries
+            // O driverless é escolhido pela capacidade da impressora, não pelo nome
+            .filter(entry => !entry.driverless)
+            .map(entry => {
+                let score;
+
+                if (normalize(entry.makeAndModel) === normalized) {
+                    score = 1;
+                } else {
+                    const found = coverage(tokens, entry.tokens);
+                    const precision = coverage(entry.tokens, tokens);
+
+                    score = (make && entry.make === make ? 0.2 : 0) + 0.55 * found + 0.25 * precision;
+
+                    // Sem o número do modelo, a semelhança é só de família (ex.: "LaserJet")
+                    if (hasModelNumber && !tokens.some(token => /\d/.test(token) && entry.tokens.some(other => tokensMatch(token, other)))) {
+                        score = Math.min(score, 0.4);
+                    }
+
+                    // Um texto genérico só basta se descrever o driver inteiro (ex.: "Generic PostScript")
+                    if (!hasModelNumber && precision < 1) {
+                        score = Math.min(score, 0.5);
+                    }
+
+                    if (make && entry.make !== make) {
+                        score *= 0.5;
+                    }
+
+                    if (entry.recommended && score > 0) {
+                        score += 0.05;
+                    }
+                }
+
+                score = Math.round(Math.min(score, 1) * 100) / 100;
+
+                return {
+                    name: entry.name,
+                    makeAndModel: entry.makeAndModel,
+                    make: entry.make,
+                    model: entry.model,
+                    language: entry.language,
+                    pdl: entry.pdl,
+                    score,
+                    confidence: toConfidence(score)
+                };
+            })
+            .filter(suggestion => suggestion.score > 0)
+            .sort((first, second) => second.score - first.score || first.makeAndModel.localeCompare(second.makeAndModel))
+            .slice(0, limit);
+    },
+
+    /**
+     * Consulta o fabricante/modelo reportado pela impressora, por IPP quando a URI permite ou por SNMP
+     * @param {Object} printer - Registro da impressora (uri, ip_address e port)
+     * @returns {Promise<string|null>} printer-make-and-model, hrDeviceDescr ou sysDescr, ou null se a impressora não respondeu
+     */
+    getPrinterMakeAndModel: async (printer) => {
+        const ippUri = getIppQueryUri(printer);
+
+        if (ippUri) {
+            try {
+                const attributes = await ipp.getPrinterAttributes(ippUri, ['printer-make-and-model'], CONSTANTS.DRIVERS.ATTRIBUTES_TIMEOUT_MS);
+                const [makeAndModel] = toList(attributes['printer-make-and-model']);
+
+                if (makeAndModel) {
+                    return makeAndModel;
+                }
+            } catch {
+                // Segue para o SNMP
+            }
+        }
+
+        const { host } = getPrinterAddress(printer);
+
+        if (!host) {
+            return null;
+        }
+
+        try {
+            const values = await getValues(host, [OIDS.HR_DEVICE_DESCR, OIDS.SYS_DESCR]);
+
+            return toText(values[OIDS.HR_DEVICE_DESCR]) || toText(values[OIDS.SYS_DESCR]) || null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Escolhe o driver a instalar, comparando o catálogo com o modelo reportado pela impressora
+     * O driver configurado é usado quando é o nome exato de um PPD ou, como texto, quando o modelo
+     * reportado não tem correspondência
+     * @param {string} driver - Driver configurado
+     * @param {string|null} makeAndModel - Fabricante/modelo reportado pela impressora
+     * @returns {Promise<{model: string, matched: Object|null, warning: string|null}>} model é "raw" quando nenhum driver serve
+     */
+    resolveDriver: async (driver, makeAndModel = null) => {
+        const hint = driver && !['generic', 'raw'].includes(driver.toLowerCase()) ? driver : null;
+
+        if (!hint && !makeAndModel) {
+            return { model: 'raw', matched: null, warning: null };
+        }
+
+        let catalog;
+        try {
+            catalog = await module.exports.loadCatalog();
+        } catch (error) {
+            return {
+                model: 'raw',
+                matched: null,
+                warning: `Não foi possível ler os drivers do CUPS (${error.message}); a impressora foi configurada como raw`
+            };
+        }
+
+        const exact = hint && catalog.entries.find(entry => entry.name === hint);
+        if (exact) {
+            return { model: exact.name, matched: { name: exact.name, makeAndModel: exact.makeAndModel, score: 1, confidence: 'high' }, warning: null };
+        }
+
+        let closest = null;
+
+        for (const text of [makeAndModel, hint].filter(Boolean)) {
+            const [best] = module.exports.rankDrivers(catalog, text, 1);
+
+            if (best && best.score >= CONSTANTS.DRIVERS.MIN_SCORE) {
+                return { model: best.name, matched: { ...best, matchedWith: text }, warning: null };
+            }
+
+            if (best && (!closest || best.score > closest.score)) {
+                closest = best;
+            }
+        }
+
+        const searched = [
+            makeAndModel ? `ao modelo "${makeAndModel}" informado pela impressora` : null,
+            hint ? `ao driver "${hint}"` : null
+        ].filter(Boolean).join(' nem ');
+
+        return {
+            model: 'raw',
+            matched: closest,
+            warning: closest
+                ? `Nenhum driver do CUPS corresponde ${searched}; a sugestão mais próxima (${closest.makeAndModel}) tem confiança baixa e a impressora foi configurada como raw`
+                : `Nenhum driver do CUPS corresponde ${searched}; a impressora foi configurada como raw`
+        };
+    },
+
+    /**
+     * Verifica se a impressora aceita uma fila sem driver (-m everywhere)
+     * Exige o driver everywhere no CUPS e, na impressora, IPP Everywhere ou suporte a PWG Raster ou PDF
+     * @param {string} uri - URI IPP da impressora
+     * @returns {Promise<{supported: boolean, reason: string}>}
+     */
+    checkDriverless: async (uri) => {
+        try {
+            const catalog = await module.exports.loadCatalog();
+
+            if (!catalog.ippEverywhere) {
+                return { supported: false, reason: 'O CUPS instalado não oferece o driver IPP Everywhere' };
+            }
+        } catch (error) {
+            return { supported: false, reason: `Não foi possível ler os drivers do CUPS: ${error.message}` };
+        }
+
+        try {
+            const attributes = await ipp.getPrinterAttributes(uri, [
+                'ipp-features-supported',
+                'document-format-supported'
+            ], CONSTANTS.DRIVERS.ATTRIBUTES_TIMEOUT_MS);
+
+            if (toList(attributes['ipp-features-supported']).includes('ipp-everywhere')) {
+                return { supported: true, reason: 'A impressora anuncia IPP Everywhere' };
+            }
+
+            const formats = toList(attributes['document-format-supported']);
+            const format = CONSTANTS.DRIVERS.DRIVERLESS_FORMATS.find(item => formats.includes(item));
+
+            if (format) {
+                return { supported: true, reason: `A impressora aceita ${format}` };
+            }
+
+            return { supported: false, reason: 'A impressora não aceita PWG Raster nem PDF' };
+        } catch (error) {
+            return { supported: false, reason: `A impressora não respondeu a Get-Printer-Attributes: ${error.message}` };
+        }
+    },
+
+    /**
+     * Decide o driver da fila: o forçado na impressora, a fila sem driver quando a impressora
+     * suporta ou, por último, o PPD mais próximo do modelo reportado pela impressora
+     * @param {Object} options - Dados da impressora
+     * @param {string} options.driver - Driver configurado
+     * @param {string|null} options.driverOverride - Driver forçado (nome do PPD, everywhere ou raw)
+     * @param {Object} options.printer - Endereço da impressora (uri, ip_address e port)
+     * @param {boolean} options.driverless - Se a fila sem driver pode ser escolhida
+     * @returns {Promise<{model: string, selection: string, matched: Object|null, warning: string|null}>}
+     */
+    chooseDriver: async ({ driver, driverOverride = null, printer = {}, driverless = true }) => {
+        if (driverOverride) {
+            const forced = await module.exports.resolveDriver(driverOverride);
+
+            return { ...forced, selection: toSelection(forced.model) };
+        }
+
+        const uri = getIppQueryUri(printer);
+
+        if (driverless && uri) {
+            const check = await module.exports.checkDriverless(uri);
+
+            if (check.supported) {
+                return { model: 'everywhere', selection: 'everywhere', matched: null, warning: null };
+            }
+
+            console.log(`Fila sem driver não usada para ${uri}: ${check.reason}`);
+        }
+
+        const makeAndModel = await module.exports.getPrinterMakeAndModel(printer);
+        const resolved = await module.exports.resolveDriver(driver, makeAndModel);
+
+        return { ...resolved, selection: toSelection(resolved.model) };
+    }
+}
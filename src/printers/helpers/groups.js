@@ -0,0 +1,61 @@
+const Groups = require('../models/groups');
+const networkHelper = require('./network');
+const cupsAdapter = require('./cupsAdapter');
+const CONSTANTS = require('../../../helper/constants');
+
+/**
+ * Conta os trabalhos ainda não finalizados de cada fila do CUPS
+ * @returns {Promise<Object>} Quantidade de trabalhos por nome de fila
+ */
+const getQueueLengths = async () => {
+    const lengths = {};
+
+    try {
+        const jobs = await cupsAdapter.getJobs('not-completed');
+
+        for (const job of jobs) {
+            lengths[job.printerName] = (lengths[job.printerName] || 0) + 1;
+        }
+    } catch (error) {
+        // Sem o lpstat, todas as filas são consideradas vazias
+        console.warn('Não foi possível obter as filas do CUPS:', error.message);
+    }
+
+    return lengths;
+}
+
+module.exports = {
+    /**
+     * Escolhe a impressora de um grupo que está funcional, acessível e com a menor fila
+     * @param {string} groupId - ID do grupo
+     * @returns {Promise<{printer: Object|null, reachable: boolean, message: string|null}>}
+     * Se nenhuma impressora estiver acessível, retorna a primeira funcional com reachable = false
+     */
+    selectGroupPrinter: async (groupId) => {
+        const members = await Groups.getMembers(groupId);
+
+        if (members.message) {
+            return { printer: null, reachable: false, message: members.message };
+        }
+
+        const candidates = members.filter(printer => printer.id && printer.status === 'functional');
+        if (candidates.length === 0) {
+            return { printer: null, reachable: false, message: 'Nenhuma impressora funcional no grupo!' };
+        }
+
+        const [lengths, reachability] = await Promise.all([
+            getQueueLengths(),
+            Promise.all(candidates.map(printer => networkHelper.isPrinterReachable(printer, CONSTANTS.QUEUE.CONNECTION_TIMEOUT_MS)))
+        ]);
+
+        const online = candidates
+            .filter((printer, index) => reachability[index])
+            .sort((a, b) => (lengths[a.name] || 0) - (lengths[b.name] || 0));
+
+        if (online.length === 0) {
+            return { printer: candidates[0], reachable: false, message: null };
+        }
+
+        return { printer: online[0], reachable: true, message: null };
+    }
+}
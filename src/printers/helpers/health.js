@@ -0,0 +1,334 @@
+const { v7: uuid } = require('uuid');
+const Log = require('../../../helper/log');
+const Health = require('../models/health');
+const Printer = require('../models/printers');
+const CONSTANTS = require('../../../helper/constants');
+const { getValues, getTable, toText } = require('./snmp');
+const { getPrinterAddress, isPrinterReachable } = require('./network');
+
+/**
+ * OIDs consultados (HOST-RESOURCES-MIB e Printer-MIB, RFC 2790 e RFC 3805)
+ * O índice 1 corresponde ao primeiro dispositivo, que é a impressora na grande maioria dos equipamentos
+ */
+const OIDS = {
+    DEVICE_STATUS: '1.3.6.1.2.1.25.3.2.1.5.1',
+    PRINTER_STATUS: '1.3.6.1.2.1.25.3.5.1.1.1',
+    DETECTED_ERROR_STATE: '1.3.6.1.2.1.25.3.5.1.2.1',
+    ALERT_TABLE: '1.3.6.1.2.1.43.18.1.1'
+};
+
+const DEVICE_STATUS = {
+    1: 'unknown',
+    2: 'running',
+    3: 'warning',
+    4: 'testing',
+    5: 'down'
+};
+
+const PRINTER_STATUS = {
+    1: 'other',
+    2: 'unknown',
+    3: 'idle',
+    4: 'printing',
+    5: 'warmup'
+};
+
+/**
+ * Bits de hrPrinterDetectedErrorState, a partir do bit mais significativo do primeiro byte
+ */
+const ERROR_STATES = [
+    'lowPaper',
+    'noPaper',
+    'lowToner',
+    'noToner',
+    'doorOpen',
+    'jammed',
+    'offline',
+    'serviceRequested',
+    'inputTrayMissing',
+    'outputTrayMissing',
+    'markerSupplyMissing',
+    'outputNearFull',
+    'outputFull',
+    'inputTrayEmpty',
+    'overduePreventMaint'
+];
+
+/**
+ * Condições que impedem a impressão; as demais são apenas avisos
+ */
+const BLOCKING_ERROR_STATES = [
+    'noPaper',
+    'noToner',
+    'doorOpen',
+    'jammed',
+    'offline',
+    'serviceRequested',
+    'inputTrayMissing',
+    'outputTrayMissing',
+    'markerSupplyMissing',
+    'outputFull'
+];
+
+/**
+ * Colunas de prtAlertTable
+ */
+const ALERT_COLUMNS = {
+    SEVERITY: 2,
+    GROUP: 4,
+    LOCATION: 6,
+    CODE: 7,
+    DESCRIPTION: 8,
+    TIME: 9
+};
+
+const ALERT_SEVERITIES = {
+    1: 'other',
+    2: 'critical',
+    3: 'warning',
+    4: 'warningBinaryChangeEvent'
+};
+
+const ALERT_GROUPS = {
+    1: 'other',
+    5: 'generalPrinter',
+    6: 'cover',
+    7: 'localization',
+    8: 'input',
+    9: 'output',
+    10: 'marker',
+    11: 'markerSupplies',
+    12: 'markerColorant',
+    13: 'mediaPath',
+    14: 'channel',
+    15: 'interpreter',
+    16: 'consoleDisplayBuffer',
+    17: 'consoleLights',
+    18: 'alert',
+    30: 'finDevice'
+};
+
+/**
+ * Códigos de alerta mais comuns (PrtAlertCodeTC); os demais são exibidos como code-<n>
+ */
+const ALERT_CODES = {
+    1: 'other',
+    2: 'unknown',
+    3: 'coverOpen',
+    4: 'coverClosed',
+    5: 'interlockOpen',
+    6: 'interlockClosed',
+    7: 'configurationChange',
+    8: 'jam',
+    9: 'subunitMissing',
+    10: 'subunitLifeAlmostOver',
+    11: 'subunitLifeOver',
+    12: 'subunitAlmostEmpty',
+    13: 'subunitEmpty',
+    14: 'subunitAlmostFull',
+    15: 'subunitFull',
+    501: 'doorOpen',
+    502: 'doorClosed',
+    503: 'poweredUp',
+    504: 'poweredDown',
+    505: 'printerNMSReset',
+    506: 'printerManualReset',
+    507: 'printerReadyToPrint',
+    801: 'inputMediaTrayMissing',
+    802: 'inputMediaSizeChange',
+    803: 'inputMediaWeightChange',
+    804: 'inputMediaTypeChange',
+    805: 'inputMediaColorChange',
+    806: 'inputMediaFormPartsChange',
+    807: 'inputMediaSupplyLow',
+    808: 'inputMediaSupplyEmpty',
+    901: 'outputMediaTrayMissing',
+    902: 'outputMediaTrayAlmostFull',
+    903: 'outputMediaTrayFull',
+    1001: 'markerFuserUnderTemperature',
+    1002: 'markerFuserOverTemperature',
+    1101: 'markerTonerEmpty',
+    1102: 'markerInkEmpty',
+    1103: 'markerPrintRibbonEmpty',
+    1104: 'markerTonerAlmostEmpty',
+    1105: 'markerInkAlmostEmpty',
+    1106: 'markerPrintRibbonAlmostEmpty',
+    1107: 'markerWasteTonerReceptacleAlmostFull',
+    1108: 'markerWasteInkReceptacleAlmostFull',
+    1109: 'markerWasteTonerReceptacleFull',
+    1110: 'markerWasteInkReceptacleFull',
+    1111: 'markerOpcLifeAlmostOver',
+    1112: 'markerOpcLifeOver',
+    1113: 'markerDeveloperAlmostEmpty',
+    1114: 'markerDeveloperEmpty',
+    1115: 'markerTonerCartridgeMissing',
+    1301: 'mediaPathMediaTrayMissing',
+    1302: 'mediaPathMediaTrayAlmostFull',
+    1303: 'mediaPathMediaTrayFull'
+};
+
+/**
+ * Decodifica o mapa de bits de hrPrinterDetectedErrorState
+ * @param {Buffer|null} value - Valor lido
+ * @returns {string[]} Condições ativas
+ */
+const parseErrorStates = (value) => {
+    if (!Buffer.isBuffer(value)) {
+        return [];
+    }
+
+    return ERROR_STATES.filter((name, bit) => {
+        const byte = value[Math.floor(bit / 8)];
+        return byte !== undefined && (byte & (0x80 >> (bit % 8))) !== 0;
+    });
+}
+
+/**
+ * Converte as linhas de prtAlertTable em alertas legíveis
+ * @param {Object} table - Tabela lida, indexada pelo índice do alerta
+ * @returns {Array} Alertas ativos
+ */
+const parseAlerts = (table) => {
+    return Object.entries(table).map(([index, row]) => {
+        const code = row[ALERT_COLUMNS.CODE];
+
+        return {
+            index,
+            severity: ALERT_SEVERITIES[row[ALERT_COLUMNS.SEVERITY]] || 'other',
+            group: ALERT_GROUPS[row[ALERT_COLUMNS.GROUP]] || 'other',
+            location: row[ALERT_COLUMNS.LOCATION] ?? null,
+            code: ALERT_CODES[code] || `code-${code}`,
+            description: toText(row[ALERT_COLUMNS.DESCRIPTION]) || null,
+            time: row[ALERT_COLUMNS.TIME] ?? null
+        };
+    });
+}
+
+/**
+ * Resume as leituras em um único estado
+ * @param {Object} reading - Leitura da impressora
+ * @returns {string} ok, warning ou error
+ */
+const resolveState = ({ deviceStatus, errorStates, alerts }) => {
+    if (deviceStatus === 'down'
+        || errorStates.some((state) => BLOCKING_ERROR_STATES.includes(state))
+        || alerts.some((alert) => alert.severity === 'critical')) {
+        return 'error';
+    }
+
+    if (deviceStatus === 'warning' || errorStates.length > 0 || alerts.length > 0) {
+        return 'warning';
+    }
+
+    return 'ok';
+}
+
+module.exports = {
+    /**
+     * Lê o estado da impressora por SNMP e registra no histórico
+     * Se o SNMP não responder, a conexão com a porta de impressão indica se a impressora está offline
+     * @param {Object} printer - Registro da impressora
+     * @returns {Promise<Object|null>} Leitura registrada, ou null se a impressora não tem endereço de rede
+     */
+    pollPrinterHealth: async (printer) => {
+        const { host } = getPrinterAddress(printer);
+
+        // Impressoras sem endereço (ex.: dnssd) não podem ser consultadas diretamente
+        if (!host) {
+            return null;
+        }
+
+        const reading = {
+            reachable: true,
+            state: 'unknown',
+            deviceStatus: null,
+            printerStatus: null,
+            errorStates: [],
+            alerts: [],
+            errorMessage: null
+        };
+
+        try {
+            const values = await getValues(host, [OIDS.DEVICE_STATUS, OIDS.PRINTER_STATUS, OIDS.DETECTED_ERROR_STATE]);
+
+            reading.deviceStatus = DEVICE_STATUS[values[OIDS.DEVICE_STATUS]] || null;
+            reading.printerStatus = PRINTER_STATUS[values[OIDS.PRINTER_STATUS]] || null;
+            reading.errorStates = parseErrorStates(values[OIDS.DETECTED_ERROR_STATE]);
+
+            // Nem todos os equipamentos implementam a tabela de alertas
+            try {
+                reading.alerts = parseAlerts(await getTable(host, OIDS.ALERT_TABLE));
+            } catch (error) {
+                reading.errorMessage = error.message;
+            }
+
+            reading.state = resolveState(reading);
+        } catch (error) {
+            reading.errorMessage = error.message;
+            reading.reachable = await isPrinterReachable(printer, CONSTANTS.QUEUE.CONNECTION_TIMEOUT_MS);
+            reading.state = reading.reachable ? 'unknown' : 'offline';
+        }
+
+        const result = await Health.insert([
+            uuid(),
+            printer.id,
+            reading.reachable,
+            reading.state,
+            reading.deviceStatus,
+            reading.printerStatus,
+            JSON.stringify(reading.errorStates),
+            JSON.stringify(reading.alerts),
+            reading.errorMessage,
+            new Date()
+        ]);
+
+        if (result.message) {
+            throw new Error(result.message);
+        }
+
+        return result;
+    },
+
+    /**
+     * Consulta todas as impressoras cadastradas e remove o histórico antigo
+     * @returns {Promise<Object>} Resumo da execução
+     */
+    pollAllPrinters: async () => {
+        const printers = await Printer.getAll();
+
+        if (printers.message) {
+            throw new Error(printers.message);
+        }
+
+        const summary = { polled: 0, skipped: 0, failed: 0, states: {} };
+
+        for (const printer of printers) {
+            try {
+                const reading = await module.exports.pollPrinterHealth(printer);
+
+                if (!reading) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                summary.polled++;
+                summary.states[reading.state] = (summary.states[reading.state] || 0) + 1;
+            } catch (error) {
+                summary.failed++;
+                Log.error({
+                    entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                    operation: 'Poll Printer Health',
+                    errorMessage: error.message,
+                    errorStack: error.stack
+                });
+            }
+        }
+
+        const before = new Date(Date.now() - CONSTANTS.SNMP.HEALTH_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const pruned = await Health.deleteBefore(before);
+
+        summary.pruned = pruned.deleted || 0;
+
+        return summary;
+    }
+}
@@ -0,0 +1,663 @@
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Códigos das operações IPP suportadas (RFC 8011)
+ */
+const OPERATIONS = {
+    PRINT_JOB: 0x0002,
+    VALIDATE_JOB: 0x0004,
+    CANCEL_JOB: 0x0008,
+    GET_JOB_ATTRIBUTES: 0x0009,
+    GET_PRINTER_ATTRIBUTES: 0x000B
+};
+
+/**
+ * Delimitadores dos grupos de atributos
+ */
+const GROUPS = {
+    OPERATION: 0x01,
+    JOB: 0x02,
+    END: 0x03,
+    PRINTER: 0x04,
+    UNSUPPORTED: 0x05
+};
+
+const GROUP_NAMES = {
+    [GROUPS.OPERATION]: 'operation',
+    [GROUPS.JOB]: 'job',
+    [GROUPS.PRINTER]: 'printer',
+    [GROUPS.UNSUPPORTED]: 'unsupported'
+};
+
+/**
+ * Tipos de valores dos atributos
+ */
+const TAGS = {
+    UNSUPPORTED: 0x10,
+    UNKNOWN: 0x12,
+    NO_VALUE: 0x13,
+    INTEGER: 0x21,
+    BOOLEAN: 0x22,
+    ENUM: 0x23,
+    OCTET_STRING: 0x30,
+    DATE_TIME: 0x31,
+    RESOLUTION: 0x32,
+    RANGE_OF_INTEGER: 0x33,
+    BEGIN_COLLECTION: 0x34,
+    TEXT_WITH_LANGUAGE: 0x35,
+    NAME_WITH_LANGUAGE: 0x36,
+    END_COLLECTION: 0x37,
+    TEXT: 0x41,
+    NAME: 0x42,
+    KEYWORD: 0x44,
+    URI: 0x45,
+    URI_SCHEME: 0x46,
+    CHARSET: 0x47,
+    NATURAL_LANGUAGE: 0x48,
+    MIME_MEDIA_TYPE: 0x49,
+    MEMBER_ATTR_NAME: 0x4A
+};
+
+/**
+ * Estados de um trabalho (job-state)
+ */
+const JOB_STATES = {
+    3: 'pending',
+    4: 'held',
+    5: 'processing',
+    6: 'processing',
+    7: 'canceled',
+    8: 'aborted',
+    9: 'completed'
+};
+
+/**
+ * Erro de comunicação ou de resposta IPP
+ */
+class IppError extends Error {
+    /**
+     * @param {string} message - Mensagem do erro
+     * @param {number|null} statusCode - Código de status IPP, quando houver
+     */
+    constructor(message, statusCode = null) {
+        super(message);
+        this.name = 'IppError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Codifica um valor de atributo conforme o seu tipo
+ * @param {number} tag - Tipo do valor
+ * @param {*} value - Valor
+ * @returns {Buffer}
+ */
+const encodeValue = (tag, value) => {
+    switch (tag) {
+        case TAGS.INTEGER:
+        case TAGS.ENUM: {
+            const buffer = Buffer.alloc(4);
+            buffer.writeInt32BE(value);
+            return buffer;
+        }
+        case TAGS.BOOLEAN:
+            return Buffer.from([value ? 1 : 0]);
+        case TAGS.RANGE_OF_INTEGER: {
+            const buffer = Buffer.alloc(8);
+            buffer.writeInt32BE(value[0]);
+            buffer.writeInt32BE(value[1], 4);
+            return buffer;
+        }
+        case TAGS.UNSUPPORTED:
+        case TAGS.UNKNOWN:
+        case TAGS.NO_VALUE:
+            return Buffer.alloc(0);
+        default:
+            return Buffer.from(String(value), 'utf8');
+    }
+}
+
+/**
+ * Codifica uma mensagem IPP
+ * @param {Object} message - Mensagem
+ * @param {number} message.operation - Código da operação
+ * @param {number} message.requestId - Identificador da requisição
+ * @param {string} message.version - Versão IPP ("1.1" ou "2.0")
+ * @param {Array<{group: number, attributes: Array<{name: string, tag: number, value: *}>}>} message.groups - Grupos de atributos
+ * @param {Buffer} message.data - Documento anexado à mensagem
+ * @returns {Buffer}
+ */
+const encode = ({ operation, requestId = 1, version = '2.0', groups = [], data = null }) => {
+    const [major, minor] = version.split('.').map(number => parseInt(number, 10));
+
+    const header = Buffer.alloc(8);
+    header.writeInt8(major, 0);
+    header.writeInt8(minor, 1);
+    header.writeUInt16BE(operation, 2);
+    header.writeUInt32BE(requestId, 4);
+
+    const chunks = [header];
+
+    for (const { group, attributes } of groups) {
+        chunks.push(Buffer.from([group]));
+
+        for (const { name, tag, value } of attributes) {
+            // Intervalos são pares [início, fim]; uma lista de intervalos é uma lista de pares
+            const multiple = Array.isArray(value) && (tag !== TAGS.RANGE_OF_INTEGER || Array.isArray(value[0]));
+            const values = multiple ? value : [value];
+
+            values.forEach((item, index) => {
+                const nameBuffer = Buffer.from(index === 0 ? name : '', 'utf8');
+                const valueBuffer = encodeValue(tag, item);
+
+                const prefix = Buffer.alloc(3);
+                prefix.writeUInt8(tag, 0);
+                prefix.writeUInt16BE(nameBuffer.length, 1);
+
+                const length = Buffer.alloc(2);
+                length.writeUInt16BE(valueBuffer.length);
+
+                chunks.push(prefix, nameBuffer, length, valueBuffer);
+            });
+        }
+    }
+
+    chunks.push(Buffer.from([GROUPS.END]));
+
+    if (data) {
+        chunks.push(data);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Garante que o valor tenha os bytes exigidos pelo seu tipo
+ * @param {Buffer} buffer - Bytes do valor
+ * @param {number} length - Tamanho mínimo
+ * @param {number} tag - Tipo do valor, usado na mensagem de erro
+ */
+const assertValueLength = (buffer, length, tag) => {
+    if (buffer.length < length) {
+        throw new IppError(`Resposta IPP inválida: valor do tipo 0x${tag.toString(16).padStart(2, '0')} truncado`);
+    }
+}
+
+/**
+ * Decodifica um valor de atributo conforme o seu tipo
+ * @param {number} tag - Tipo do valor
+ * @param {Buffer} buffer - Bytes do valor
+ * @returns {*}
+ */
+const decodeValue = (tag, buffer) => {
+    switch (tag) {
+        case TAGS.INTEGER:
+        case TAGS.ENUM:
+            return buffer.length === 4 ? buffer.readInt32BE(0) : null;
+        case TAGS.BOOLEAN:
+            assertValueLength(buffer, 1, tag);
+            return buffer[0] === 1;
+        case TAGS.RANGE_OF_INTEGER:
+            assertValueLength(buffer, 8, tag);
+            return [buffer.readInt32BE(0), buffer.readInt32BE(4)];
+        case TAGS.RESOLUTION:
+            assertValueLength(buffer, 9, tag);
+            return {
+                x: buffer.readInt32BE(0),
+                y: buffer.readInt32BE(4),
+                units: buffer[8] === 3 ? 'dpi' : 'dpcm'
+            };
+        case TAGS.DATE_TIME: {
+            assertValueLength(buffer, 11, tag);
+            const sign = String.fromCharCode(buffer[8]) === '-' ? -1 : 1;
+            const offset = sign * (buffer[9] * 60 + buffer[10]);
+            const utc = Date.UTC(buffer.readUInt16BE(0), buffer[2] - 1, buffer[3], buffer[4], buffer[5], buffer[6], buffer[7] * 100);
+            return new Date(utc - offset * 60 * 1000);
+        }
+        case TAGS.TEXT_WITH_LANGUAGE:
+        case TAGS.NAME_WITH_LANGUAGE: {
+            assertValueLength(buffer, 2, tag);
+            const languageLength = buffer.readUInt16BE(0);
+            assertValueLength(buffer, 4 + languageLength, tag);
+            const textLength = buffer.readUInt16BE(2 + languageLength);
+            assertValueLength(buffer, 4 + languageLength + textLength, tag);
+            return buffer.toString('utf8', 4 + languageLength, 4 + languageLength + textLength);
+        }
+        case TAGS.OCTET_STRING:
+        case TAGS.TEXT:
+        case TAGS.NAME:
+        case TAGS.KEYWORD:
+        case TAGS.URI:
+        case TAGS.URI_SCHEME:
+        case TAGS.CHARSET:
+        case TAGS.NATURAL_LANGUAGE:
+        case TAGS.MIME_MEDIA_TYPE:
+        case TAGS.MEMBER_ATTR_NAME:
+            return buffer.toString('utf8');
+        default:
+            return null;
+    }
+}
+
+/**
+ * Converte as listas de valores decodificados, mantendo lista apenas para atributos com mais de um valor
+ * @param {Object} attributes - Atributos com os valores em lista
+ * @param {WeakSet} collections - Objetos que representam coleções
+ * @returns {Object}
+ */
+const finalizeAttributes = (attributes, collections) => {
+    for (const [name, values] of Object.entries(attributes)) {
+        const finalized = values.map(value => collections.has(value) ? finalizeAttributes(value, collections) : value);
+
+        attributes[name] = finalized.length === 1 ? finalized[0] : finalized;
+    }
+
+    return attributes;
+}
+
+/**
+ * Decodifica uma mensagem IPP
+ * @param {Buffer} buffer - Mensagem recebida
+ * @returns {{version: string, statusCode: number, requestId: number, operation: Object, job: Object, printer: Object, unsupported: Object, data: Buffer}}
+ */
+const decode = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 9) {
+        throw new IppError('Resposta IPP inválida: mensagem muito curta');
+    }
+
+    const message = {
+        version: `${buffer[0]}.${buffer[1]}`,
+        statusCode: buffer.readUInt16BE(2),
+        requestId: buffer.readUInt32BE(4),
+        operation: {},
+        job: {},
+        printer: {},
+        unsupported: {},
+        data: null
+    };
+
+    const groups = [];
+    const collectionValues = new WeakSet();
+
+    // Pilha de coleções em decodificação: { value, memberName }
+    const stack = [];
+
+    let offset = 8;
+    let current = null;
+    let lastName = null;
+
+    /**
+     * Adiciona um valor ao atributo do grupo ou da coleção aberta
+     * @param {string|null} name - Nome do atributo (vazio para valores adicionais)
+     * @param {*} value - Valor decodificado
+     */
+    const pushValue = (name, value) => {
+        const collection = stack[stack.length - 1];
+
+        if (collection) {
+            const member = collection.memberName;
+            collection.value[member] = collection.value[member] || [];
+            collection.value[member].push(value);
+            return;
+        }
+
+        if (name) {
+            lastName = name;
+            current[name] = [];
+        }
+
+        if (lastName) {
+            current[lastName].push(value);
+        }
+    };
+
+    while (offset < buffer.length) {
+        const tag = buffer[offset];
+        offset += 1;
+
+        if (tag === GROUPS.END) {
+            message.data = buffer.subarray(offset);
+            break;
+        }
+
+        // Delimitador de grupo
+        if (tag < 0x10) {
+            const groupName = GROUP_NAMES[tag] || `group-${tag}`;
+
+            current = {};
+            lastName = null;
+            groups.push({ groupName, attributes: current });
+            continue;
+        }
+
+        // Cada tamanho lido precisa caber no que resta da mensagem
+        if (offset + 2 > buffer.length) {
+            throw new IppError('Resposta IPP inválida: atributo truncado');
+        }
+
+        const nameLength = buffer.readUInt16BE(offset);
+        offset += 2;
+
+        if (offset + nameLength + 2 > buffer.length) {
+            throw new IppError('Resposta IPP inválida: nome do atributo truncado');
+        }
+
+        const name = buffer.toString('utf8', offset, offset + nameLength);
+        offset += nameLength;
+
+        const valueLength = buffer.readUInt16BE(offset);
+        offset += 2;
+
+        if (offset + valueLength > buffer.length) {
+            throw new IppError('Resposta IPP inválida: valor do atributo truncado');
+        }
+
+        const valueBuffer = buffer.subarray(offset, offset + valueLength);
+        offset += valueLength;
+
+        if (!current) {
+            throw new IppError('Resposta IPP inválida: atributo fora de um grupo');
+        }
+
+        if (tag === TAGS.MEMBER_ATTR_NAME && stack.length > 0) {
+            stack[stack.length - 1].memberName = decodeValue(tag, valueBuffer);
+            continue;
+        }
+
+        if (tag === TAGS.BEGIN_COLLECTION) {
+            const value = {};
+            collectionValues.add(value);
+
+            pushValue(name, value);
+            stack.push({ value, memberName: null });
+            continue;
+        }
+
+        if (tag === TAGS.END_COLLECTION) {
+            stack.pop();
+            continue;
+        }
+
+        pushValue(name, decodeValue(tag, valueBuffer));
+    }
+
+    for (const { groupName, attributes } of groups) {
+        // Respostas com vários trabalhos mantêm apenas o primeiro grupo de cada tipo
+        if (Object.keys(message[groupName] || {}).length === 0) {
+            message[groupName] = finalizeAttributes(attributes, collectionValues);
+        }
+    }
+
+    return message;
+}
+
+/**
+ * Converte uma URI ipp:// ou ipps:// no endereço HTTP correspondente
+ * @param {string} uri - URI da impressora
+ * @returns {{url: URL, secure: boolean}}
+ */
+const toHttpUrl = (uri) => {
+    const parsed = new URL(uri);
+    const scheme = parsed.protocol.replace(':', '').toLowerCase();
+
+    if (!['ipp', 'ipps', 'http', 'https'].includes(scheme)) {
+        throw new IppError(`Esquema de URI não suportado para IPP: ${scheme}`);
+    }
+
+    const secure = ['ipps', 'https'].includes(scheme);
+    const url = new URL(uri.replace(/^[a-z]+:/i, secure ? 'https:' : 'http:'));
+
+    if (!parsed.port && ['ipp', 'ipps'].includes(scheme)) {
+        url.port = '631';
+    }
+
+    return { url, secure };
+}
+
+/**
+ * Envia uma mensagem IPP por HTTP(S) e decodifica a resposta
+ * @param {string} uri - URI da impressora
+ * @param {Buffer} body - Mensagem codificada
+ * @param {number} timeout - Tempo limite em milissegundos
+ * @returns {Promise<Object>} Mensagem decodificada
+ */
+const send = (uri, body, timeout = DEFAULT_TIMEOUT) => {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = toHttpUrl(uri);
+        } catch (error) {
+            reject(error instanceof IppError ? error : new IppError(`URI inválida: ${uri}`));
+            return;
+        }
+
+        const { url, secure } = target;
+        const client = secure ? https : http;
+
+        const request = client.request({
+            hostname: url.hostname,
+            port: url.port,
+            path: `${url.pathname || '/'}${url.search}`,
+            method: 'POST',
+            timeout,
+            rejectUnauthorized: false, // Impressoras costumam usar certificados autoassinados
+            headers: {
+                'Content-Type': 'application/ipp',
+                'Content-Length': body.length
+            }
+        }, (response) => {
+            const chunks = [];
+
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    reject(new IppError(`Resposta HTTP ${response.statusCode} de ${uri}`));
+                    return;
+                }
+
+                if (!/application\/ipp/i.test(response.headers['content-type'] || '')) {
+                    reject(new IppError(`Resposta de ${uri} não é IPP (${response.headers['content-type'] || 'sem tipo'})`));
+                    return;
+                }
+
+                try {
+                    resolve(decode(Buffer.concat(chunks)));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+
+        request.on('timeout', () => {
+            request.destroy(new IppError(`Tempo esgotado ao comunicar com ${uri}`));
+        });
+
+        request.on('error', (error) => {
+            reject(error instanceof IppError ? error : new IppError(`Erro ao comunicar com ${uri}: ${error.message}`));
+        });
+
+        request.end(body);
+    });
+}
+
+let nextRequestId = 1;
+
+/**
+ * Monta e envia uma requisição IPP
+ * @param {string} uri - URI da impressora
+ * @param {number} operation - Código da operação
+ * @param {Array} operationAttributes - Atributos adicionais do grupo de operação
+ * @param {Object} extra - Grupo de trabalho, documento, versão e tempo limite
+ * @returns {Promise<Object>} Resposta decodificada, com "ok" indicando sucesso
+ */
+const request = async (uri, operation, operationAttributes = [], { jobAttributes = [], data = null, version = '2.0', timeout } = {}) => {
+    const groups = [{
+        group: GROUPS.OPERATION,
+        attributes: [
+            { name: 'attributes-charset', tag: TAGS.CHARSET, value: 'utf-8' },
+            { name: 'attributes-natural-language', tag: TAGS.NATURAL_LANGUAGE, value: 'pt-br' },
+            { name: 'printer-uri', tag: TAGS.URI, value: uri },
+            ...operationAttributes
+        ]
+    }];
+
+    if (jobAttributes.length > 0) {
+        groups.push({ group: GROUPS.JOB, attributes: jobAttributes });
+    }
+
+    const requestId = nextRequestId;
+    nextRequestId = nextRequestId >= 0x7FFFFFFF ? 1 : nextRequestId + 1;
+
+    let response = await send(uri, encode({ operation, requestId, version, groups, data }), timeout);
+
+    // Impressoras antigas respondem server-error-version-not-supported ao IPP/2.0
+    if (response.statusCode === 0x0503 && version !== '1.1') {
+        response = await send(uri, encode({ operation, requestId, version: '1.1', groups, data }), timeout);
+    }
+
+    response.ok = response.statusCode < 0x0100;
+    response.status = response.operation['status-message'] || `0x${response.statusCode.toString(16).padStart(4, '0')}`;
+
+    return response;
+}
+
+/**
+ * Lança um erro quando a resposta indica falha
+ * @param {Object} response - Resposta IPP
+ * @param {string} operation - Nome da operação
+ * @returns {Object} A própria resposta
+ */
+const assertOk = (response, operation) => {
+    if (!response.ok) {
+        throw new IppError(`${operation} falhou: ${response.status}`, response.statusCode);
+    }
+
+    return response;
+}
+
+module.exports = {
+    OPERATIONS,
+    GROUPS,
+    TAGS,
+    JOB_STATES,
+    IppError,
+    encode,
+    decode,
+    request,
+
+    /**
+     * Consulta os atributos de uma impressora (Get-Printer-Attributes)
+     * @param {string} uri - URI da impressora
+     * @param {string[]} requested - Atributos desejados
+     * @param {number} timeout - Tempo limite em milissegundos
+     * @returns {Promise<Object>} Atributos da impressora
+     */
+    getPrinterAttributes: async (uri, requested = ['all'], timeout = DEFAULT_TIMEOUT) => {
+        const response = await request(uri, OPERATIONS.GET_PRINTER_ATTRIBUTES, [
+            { name: 'requested-attributes', tag: TAGS.KEYWORD, value: requested }
+        ], { timeout });
+
+        return assertOk(response, 'Get-Printer-Attributes').printer;
+    },
+
+    /**
+     * Verifica se a impressora aceitaria o trabalho (Validate-Job)
+     * @param {string} uri - URI da impressora
+     * @param {Object} job - Dados do trabalho
+     * @param {string} job.userName - Usuário solicitante
+     * @param {string} job.jobName - Nome do trabalho
+     * @param {string} job.documentFormat - Formato do documento
+     * @param {Array} job.attributes - Atributos do trabalho
+     * @returns {Promise<{valid: boolean, status: string, unsupported: Object}>}
+     */
+    validateJob: async (uri, { userName = 'print_server', jobName = null, documentFormat = 'application/pdf', attributes = [] } = {}) => {
+        const operationAttributes = [
+            { name: 'requesting-user-name', tag: TAGS.NAME, value: userName },
+            { name: 'document-format', tag: TAGS.MIME_MEDIA_TYPE, value: documentFormat }
+        ];
+
+        if (jobName) {
+            operationAttributes.push({ name: 'job-name', tag: TAGS.NAME, value: jobName });
+        }
+
+        const response = await request(uri, OPERATIONS.VALIDATE_JOB, operationAttributes, { jobAttributes: attributes });
+
+        return {
+            valid: response.ok,
+            status: response.status,
+            unsupported: response.unsupported
+        };
+    },
+
+    /**
+     * Envia um documento para impressão (Print-Job)
+     * @param {string} uri - URI da impressora
+     * @param {Buffer} data - Conteúdo do documento
+     * @param {Object} job - Dados do trabalho
+     * @param {string} job.userName - Usuário solicitante
+     * @param {string} job.jobName - Nome do trabalho
+     * @param {string} job.documentFormat - Formato do documento
+     * @param {Array} job.attributes - Atributos do trabalho
+     * @returns {Promise<{jobId: number, jobUri: string, state: string}>}
+     */
+    printJob: async (uri, data, { userName = 'print_server', jobName = null, documentFormat = 'application/pdf', attributes = [] } = {}) => {
+        const operationAttributes = [
+            { name: 'requesting-user-name', tag: TAGS.NAME, value: userName },
+            { name: 'document-format', tag: TAGS.MIME_MEDIA_TYPE, value: documentFormat }
+        ];
+
+        if (jobName) {
+            operationAttributes.push({ name: 'job-name', tag: TAGS.NAME, value: jobName });
+        }
+
+        const response = assertOk(
+            await request(uri, OPERATIONS.PRINT_JOB, operationAttributes, { jobAttributes: attributes, data, timeout: 1000 * 60 }),
+            'Print-Job'
+        );
+
+        return {
+            jobId: response.job['job-id'],
+            jobUri: response.job['job-uri'] || null,
+            state: JOB_STATES[response.job['job-state']] || 'pending'
+        };
+    },
+
+    /**
+     * Consulta o estado de um trabalho (Get-Job-Attributes)
+     * @param {string} uri - URI da impressora
+     * @param {number} jobId - Identificador do trabalho na impressora
+     * @returns {Promise<{state: string, reasons: string[], message: string|null, attributes: Object}>}
+     */
+    getJobAttributes: async (uri, jobId) => {
+        const response = assertOk(await request(uri, OPERATIONS.GET_JOB_ATTRIBUTES, [
+            { name: 'job-id', tag: TAGS.INTEGER, value: jobId },
+            { name: 'requested-attributes', tag: TAGS.KEYWORD, value: ['job-state', 'job-state-reasons', 'job-state-message', 'job-originating-user-name', 'job-originating-host-name', 'job-name'] }
+        ]), 'Get-Job-Attributes');
+
+        const reasons = response.job['job-state-reasons'];
+
+        return {
+            state: JOB_STATES[response.job['job-state']] || 'pending',
+            reasons: Array.isArray(reasons) ? reasons : (reasons ? [reasons] : []),
+            message: response.job['job-state-message'] || null,
+            attributes: response.job
+        };
+    },
+
+    /**
+     * Cancela um trabalho (Cancel-Job)
+     * @param {string} uri - URI da impressora
+     * @param {number} jobId - Identificador do trabalho na impressora
+     * @param {string} userName - Usuário solicitante
+     * @returns {Promise<void>}
+     */
+    cancelJob: async (uri, jobId, userName = 'print_server') => {
+        assertOk(await request(uri, OPERATIONS.CANCEL_JOB, [
+            { name: 'job-id', tag: TAGS.INTEGER, value: jobId },
+            { name: 'requesting-user-name', tag: TAGS.NAME, value: userName }
+        ]), 'Cancel-Job');
+    }
+}
@@ -0,0 +1,347 @@
+const dgram = require('dgram');
+const crypto = require('crypto');
+const CONSTANTS = require('../../../helper/constants');
+
+/**
+ * Tipos de registro DNS usados na descoberta (RFC 1035, RFC 2782 e RFC 6763)
+ */
+const TYPES = {
+    A: 1,
+    PTR: 12,
+    TXT: 16,
+    AAAA: 28,
+    SRV: 33
+};
+
+const CLASS_IN = 1;
+
+/**
+ * Erro de leitura de uma mensagem DNS
+ */
+class MdnsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MdnsError';
+    }
+}
+
+/**
+ * Gera a chave usada para comparar nomes, que no DNS não diferenciam maiúsculas
+ * Os rótulos podem conter pontos (ex.: nome da instância), por isso são escapados
+ * @param {string[]} labels - Rótulos do nome
+ * @returns {string}
+ */
+const nameKey = (labels) => labels.map((label) => label.replace(/\./g, '\\.')).join('.').toLowerCase();
+
+/**
+ * Codifica um nome DNS, sem compressão
+ * @param {string[]} labels - Rótulos do nome
+ * @returns {Buffer}
+ */
+const encodeName = (labels) => {
+    const parts = labels.map((label) => {
+        const value = Buffer.from(label, 'utf8');
+        return Buffer.concat([Buffer.from([value.length]), value]);
+    });
+
+    return Buffer.concat([...parts, Buffer.from([0])]);
+}
+
+/**
+ * Monta uma consulta com uma pergunta para cada nome
+ * @param {Array<{labels: string[], type: number}>} questions - Perguntas
+ * @returns {Buffer}
+ */
+const encodeQuery = (questions) => {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(crypto.randomInt(1, 0xFFFF), 0);
+    header.writeUInt16BE(questions.length, 4);
+
+    const body = questions.map(({ labels, type }) => {
+        const tail = Buffer.alloc(4);
+        tail.writeUInt16BE(type, 0);
+        tail.writeUInt16BE(CLASS_IN, 2);
+
+        return Buffer.concat([encodeName(labels), tail]);
+    });
+
+    return Buffer.concat([header, ...body]);
+}
+
+/**
+ * Lê um nome DNS, seguindo os ponteiros de compressão
+ * @param {Buffer} buffer - Mensagem completa
+ * @param {number} offset - Posição inicial
+ * @returns {{labels: string[], offset: number}} Rótulos e posição após o nome
+ */
+const decodeName = (buffer, offset) => {
+    const labels = [];
+    let position = offset;
+    let end = null;
+    let jumps = 0;
+
+    while (true) {
+        if (position >= buffer.length) {
+            throw new MdnsError('Nome DNS truncado');
+        }
+
+        const length = buffer[position];
+
+        if (length === 0) {
+            position++;
+            break;
+        }
+
+        if ((length & 0xC0) === 0xC0) {
+            // Limita os saltos para não entrar em laço com mensagens malformadas
+            if (++jumps > 32 || position + 1 >= buffer.length) {
+                throw new MdnsError('Ponteiro de nome DNS inválido');
+            }
+
+            if (end === null) {
+                end = position + 2;
+            }
+
+            position = ((length & 0x3F) << 8) | buffer[position + 1];
+            continue;
+        }
+
+        labels.push(buffer.toString('utf8', position + 1, position + 1 + length));
+        position += 1 + length;
+    }
+
+    return { labels, offset: end === null ? position : end };
+}
+
+/**
+ * Lê as cadeias de um registro TXT no formato chave=valor
+ * @param {Buffer} data - Dados do registro
+ * @returns {Object} Valores indexados pela chave
+ */
+const decodeTxt = (data) => {
+    const values = {};
+    let position = 0;
+
+    while (position < data.length) {
+        const length = data[position];
+        const entry = data.toString('utf8', position + 1, position + 1 + length);
+        position += 1 + length;
+
+        if (!entry) {
+            continue;
+        }
+
+        const separator = entry.indexOf('=');
+        const key = separator === -1 ? entry : entry.slice(0, separator);
+
+        // Chaves repetidas mantêm a primeira ocorrência (RFC 6763, seção 6.4)
+        if (key && values[key] === undefined) {
+            values[key] = separator === -1 ? true : entry.slice(separator + 1);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Lê uma mensagem DNS e retorna os registros das seções de resposta, autoridade e adicional
+ * @param {Buffer} buffer - Mensagem recebida
+ * @returns {Array} Registros reconhecidos
+ */
+const decodeMessage = (buffer) => {
+    if (buffer.length < 12) {
+        throw new MdnsError('Mensagem DNS muito curta');
+    }
+
+    const questions = buffer.readUInt16BE(4);
+    const records = buffer.readUInt16BE(6) + buffer.readUInt16BE(8) + buffer.readUInt16BE(10);
+    let offset = 12;
+
+    for (let index = 0; index < questions; index++) {
+        offset = decodeName(buffer, offset).offset + 4;
+    }
+
+    const result = [];
+
+    for (let index = 0; index < records; index++) {
+        const name = decodeName(buffer, offset);
+        offset = name.offset;
+
+        if (offset + 10 > buffer.length) {
+            throw new MdnsError('Registro DNS truncado');
+        }
+
+        const type = buffer.readUInt16BE(offset);
+        const ttl = buffer.readUInt32BE(offset + 4);
+        const length = buffer.readUInt16BE(offset + 8);
+        const start = offset + 10;
+        offset = start + length;
+
+        if (offset > buffer.length) {
+            throw new MdnsError('Registro DNS truncado');
+        }
+
+        const record = { labels: name.labels, type, ttl };
+
+        switch (type) {
+            case TYPES.PTR:
+                record.target = decodeName(buffer, start).labels;
+                break;
+            case TYPES.SRV:
+                record.port = buffer.readUInt16BE(start + 4);
+                record.target = decodeName(buffer, start + 6).labels;
+                break;
+            case TYPES.TXT:
+                record.txt = decodeTxt(buffer.subarray(start, offset));
+                break;
+            case TYPES.A:
+                record.address = Array.from(buffer.subarray(start, start + 4)).join('.');
+                break;
+            default:
+                continue;
+        }
+
+        result.push(record);
+    }
+
+    return result;
+}
+
+/**
+ * Monta a URI dnssd usada pelo CUPS, que continua válida quando o IP da impressora muda
+ * @param {string} instance - Nome da instância do serviço
+ * @param {string} service - Tipo do serviço (ex.: _ipp._tcp)
+ * @param {string|null} uuid - UUID anunciado no TXT, quando houver
+ * @returns {string}
+ */
+const buildDnssdUri = (instance, service, uuid = null) => {
+    return `dnssd://${encodeURIComponent(instance)}.${service}.local/${uuid ? `?uuid=${encodeURIComponent(uuid)}` : ''}`;
+}
+
+/**
+ * Converte os registros recebidos em instâncias de serviço
+ * @param {Object} store - Registros indexados por tipo e nome
+ * @param {string[][]} services - Serviços consultados
+ * @returns {Array} Instâncias com endereço, porta e TXT
+ */
+const collectInstances = (store, services) => {
+    const instances = [];
+
+    for (const serviceLabels of services) {
+        const pointers = store.ptr[nameKey(serviceLabels)] || [];
+
+        for (const instanceLabels of pointers) {
+            const key = nameKey(instanceLabels);
+            const srv = store.srv[key] || null;
+            const txt = store.txt[key] || {};
+
+            instances.push({
+                instance: instanceLabels[0],
+                service: serviceLabels.slice(0, 2).join('.'),
+                host: srv ? srv.target.join('.') : null,
+                port: srv ? srv.port : null,
+                addresses: srv ? [...(store.a[nameKey(srv.target)] || [])] : [],
+                txt
+            });
+        }
+    }
+
+    return instances;
+}
+
+module.exports = {
+    MdnsError,
+    decodeMessage,
+    buildDnssdUri,
+
+    /**
+     * Procura serviços anunciados por mDNS/DNS-SD na rede local
+     * A consulta sai de uma porta efêmera, então as impressoras respondem diretamente ao servidor
+     * (RFC 6762, seção 6.7), sem disputar a porta 5353 com o Avahi
+     * @param {Object} options - Opções da busca
+     * @param {string[]} options.services - Serviços a procurar (ex.: _ipp._tcp.local)
+     * @param {number} options.timeout - Tempo de espera pelas respostas, em milissegundos
+     * @returns {Promise<Array>} Instâncias encontradas
+     */
+    browse: ({ services = CONSTANTS.MDNS.SERVICES, timeout = CONSTANTS.MDNS.BROWSE_TIMEOUT_MS } = {}) => {
+        const serviceLabels = services.map((service) => service.split('.'));
+        const store = { ptr: {}, srv: {}, txt: {}, a: {} };
+
+        const remember = (record) => {
+            const key = nameKey(record.labels);
+
+            if (record.type === TYPES.PTR) {
+                const targets = store.ptr[key] = store.ptr[key] || [];
+                if (!targets.some((target) => nameKey(target) === nameKey(record.target))) {
+                    targets.push(record.target);
+                }
+            } else if (record.type === TYPES.SRV) {
+                store.srv[key] = { port: record.port, target: record.target };
+            } else if (record.type === TYPES.TXT) {
+                store.txt[key] = record.txt;
+            } else if (record.type === TYPES.A) {
+                store.a[key] = store.a[key] || new Set();
+                store.a[key].add(record.address);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            const timers = [];
+
+            const send = (questions) => {
+                if (questions.length > 0) {
+                    socket.send(encodeQuery(questions), CONSTANTS.MDNS.PORT, CONSTANTS.MDNS.ADDRESS);
+                }
+            }
+
+            const finish = () => {
+                timers.forEach(clearTimeout);
+                socket.close();
+                resolve(collectInstances(store, serviceLabels));
+            }
+
+            socket.on('message', (message) => {
+                try {
+                    decodeMessage(message).forEach(remember);
+                } catch {
+                    // Respostas malformadas são ignoradas
+                }
+            });
+
+            socket.on('error', (error) => {
+                timers.forEach(clearTimeout);
+                socket.close();
+                reject(new MdnsError(`Falha na descoberta mDNS: ${error.message}`));
+            });
+
+            socket.bind(0, () => {
+                socket.setMulticastTTL(255);
+                send(serviceLabels.map((labels) => ({ labels, type: TYPES.PTR })));
+
+                // Na metade do tempo, repete a busca e pergunta pelos registros que não vieram junto com o PTR
+                timers.push(setTimeout(() => {
+                    const questions = serviceLabels.map((labels) => ({ labels, type: TYPES.PTR }));
+
+                    for (const instance of collectInstances(store, serviceLabels)) {
+                        const labels = [instance.instance, ...instance.service.split('.'), 'local'];
+
+                        if (!instance.host) {
+                            questions.push({ labels, type: TYPES.SRV });
+                        } else if (instance.addresses.length === 0) {
+                            questions.push({ labels: instance.host.split('.'), type: TYPES.A });
+                        }
+
+                        if (Object.keys(instance.txt).length === 0) {
+                            questions.push({ labels, type: TYPES.TXT });
+                        }
+                    }
+
+                    send(questions);
+                }, Math.floor(timeout / 2)));
+
+                timers.push(setTimeout(finish, timeout));
+            });
+        });
+    }
+}
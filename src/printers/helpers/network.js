@@ -1,8 +1,21 @@
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
-const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
 const net = require('net');
 
+/**
+ * Valida um endereço IP antes de usá-lo como argumento de comando
+ * @param {string} ip - Endereço IP
+ * @returns {string} Endereço validado
+ */
+const validateIp = (ip) => {
+    if (!net.isIP(String(ip))) {
+        throw new Error(`Endereço IP inválido: "${ip}"`);
+    }
+
+    return ip;
+}
+
 module.exports = {
     /**
      * Testa a conexão com uma impressora
@@ -43,34 +56,47 @@ module.exports = {
     },
     
     /**
-     * Verifica o status da impressora via SNMP
-     * @param {string} ip - Endereço IP da impressora
-     * @returns {Promise<Object>} Status da impressora
+     * Obtém o endereço e a porta da impressora a partir do IP ou da URI cadastrados
+     * @param {Object} printer - Registro da impressora
+     * @returns {{host: string|null, port: number|null}} host null quando não há endereço (ex.: dnssd)
      */
-    checkPrinterStatus: async (ip) => {
-        try {
-            // Tentar obter status via SNMP
-            const { stdout } = await execAsync(`snmpget -v 1 -c public ${ip} .1.3.6.1.2.1.25.3.2.1.5.1`);
-            
-            // Interpretar o status
-            if (stdout.includes("running(4)")) {
-                return { online: true, status: 'running' };
-            } else if (stdout.includes("warning(3)")) {
-                return { online: true, status: 'warning' };
-            } else if (stdout.includes("down(5)")) {
-                return { online: false, status: 'down' };
-            } else {
-                return { online: true, status: 'unknown' };
+    getPrinterAddress: (printer) => {
+        const defaultPorts = { ipp: 631, ipps: 631, lpd: 515, http: 80, https: 443, socket: 9100 };
+
+        let host = printer.ip_address;
+        let port = printer.port;
+
+        if (!host && printer.uri) {
+            try {
+                const url = new URL(printer.uri);
+                const scheme = url.protocol.replace(':', '').toLowerCase();
+
+                // O host de uma URI dnssd é o nome do serviço, resolvido pelo CUPS
+                host = scheme === 'dnssd' ? null : url.hostname;
+                port = url.port ? parseInt(url.port, 10) : defaultPorts[scheme];
+            } catch {
+                host = null;
             }
-        } catch (error) {
-            // Se SNMP falhar, apenas verificar conectividade
-            const isConnected = await module.exports.testPrinterConnection(ip);
-            return { 
-                online: isConnected, 
-                status: isConnected ? 'online' : 'offline',
-                error: error.message
-            };
         }
+
+        return { host: host || null, port: port || null };
+    },
+
+    /**
+     * Verifica se a impressora está acessível pela rede, usando o IP ou a URI cadastrados
+     * @param {Object} printer - Registro da impressora
+     * @param {number} timeout - Timeout em milissegundos
+     * @returns {Promise<boolean>} true se acessível ou se não há endereço para testar
+     */
+    isPrinterReachable: async (printer, timeout = 5000) => {
+        const { host, port } = module.exports.getPrinterAddress(printer);
+
+        // Sem endereço (ex.: dnssd), a resolução fica a cargo do CUPS
+        if (!host || !port) {
+            return true;
+        }
+
+        return module.exports.testPrinterConnection(host, port, timeout);
     },
     
     /**
@@ -80,7 +106,7 @@ module.exports = {
      */
     pingTest: async (ip) => {
         try {
-            const { stdout } = await execAsync(`ping -c 1 -W 2 ${ip}`);
+            const { stdout } = await execFileAsync('ping', ['-c', '1', '-W', '2', validateIp(ip)]);
             return {
                 success: true,
                 message: stdout
@@ -0,0 +1,122 @@
+const snmp = require('net-snmp');
+const dotenv = require('dotenv');
+const CONSTANTS = require('../../../helper/constants');
+
+/**
+ * Erro de comunicação SNMP com a impressora
+ */
+class SnmpError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnmpError';
+    }
+}
+
+/**
+ * Abre uma sessão SNMP, executa a consulta e fecha a sessão
+ * @param {string} host - Endereço da impressora
+ * @param {Function} callback - Recebe a sessão e retorna uma Promise
+ * @returns {Promise<*>} Resultado da consulta
+ */
+const withSession = async (host, callback) => {
+    dotenv.config();
+
+    const version = (process.env.SNMP_VERSION || CONSTANTS.SNMP.VERSION) === '1' ? snmp.Version1 : snmp.Version2c;
+    const session = snmp.createSession(host, process.env.SNMP_COMMUNITY || CONSTANTS.SNMP.COMMUNITY, {
+        port: CONSTANTS.SNMP.PORT,
+        timeout: CONSTANTS.SNMP.TIMEOUT_MS,
+        retries: CONSTANTS.SNMP.RETRIES,
+        version
+    });
+
+    // Erros do socket são tratados pelo callback das consultas
+    session.on('error', () => {});
+
+    try {
+        return await callback(session);
+    } finally {
+        session.close();
+    }
+}
+
+/**
+ * Converte o valor de um varbind para um tipo JavaScript
+ * @param {Object} varbind - Varbind retornado pelo net-snmp
+ * @returns {*} Valor ou null se o objeto não existe
+ */
+const parseValue = (varbind) => {
+    if (snmp.isVarbindError(varbind)) {
+        return null;
+    }
+
+    return varbind.value;
+}
+
+module.exports = {
+    SnmpError,
+
+    /**
+     * Converte um OCTET STRING em texto, removendo caracteres nulos do final
+     * @param {Buffer|string|null} value - Valor lido
+     * @returns {string|null}
+     */
+    toText: (value) => {
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        if (!Buffer.isBuffer(value)) {
+            return String(value);
+        }
+
+        let end = value.length;
+        while (end > 0 && value[end - 1] === 0) {
+            end--;
+        }
+
+        return value.subarray(0, end).toString('utf8').trim();
+    },
+
+    /**
+     * Lê objetos escalares
+     * @param {string} host - Endereço da impressora
+     * @param {string[]} oids - OIDs a consultar
+     * @returns {Promise<Object>} Valores indexados pelo OID (null quando o objeto não existe)
+     */
+    getValues: async (host, oids) => {
+        return withSession(host, (session) => new Promise((resolve, reject) => {
+            session.get(oids, (error, varbinds) => {
+                if (error) {
+                    reject(new SnmpError(`Falha ao consultar ${host} por SNMP: ${error.message}`));
+                    return;
+                }
+
+                const values = {};
+                varbinds.forEach((varbind, index) => {
+                    values[oids[index]] = parseValue(varbind);
+                });
+
+                resolve(values);
+            });
+        }));
+    },
+
+    /**
+     * Lê uma tabela SNMP
+     * @param {string} host - Endereço da impressora
+     * @param {string} oid - OID da tabela (ex.: prtAlertTable)
+     * @returns {Promise<Object>} Linhas indexadas pelo índice, com os valores por número de coluna
+     */
+    getTable: async (host, oid) => {
+        return withSession(host, (session) => new Promise((resolve, reject) => {
+            session.table(oid, 20, (error, table) => {
+                if (error) {
+                    reject(new SnmpError(`Falha ao ler a tabela ${oid} de ${host}: ${error.message}`));
+                    return;
+                }
+
+                resolve(table || {});
+            });
+        }));
+    }
+}
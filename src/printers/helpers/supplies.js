@@ -0,0 +1,374 @@
+const { v7: uuid } = require('uuid');
+const dotenv = require('dotenv');
+const Log = require('../../../helper/log');
+const Supplies = require('../models/supplies');
+const Printer = require('../models/printers');
+const CONSTANTS = require('../../../helper/constants');
+const { getTable, toText } = require('./snmp');
+const { getPrinterAddress } = require('./network');
+
+/**
+ * Tabelas do Printer-MIB (RFC 3805)
+ */
+const OIDS = {
+    MARKER_SUPPLIES_TABLE: '1.3.6.1.2.1.43.11.1.1',
+    INPUT_TABLE: '1.3.6.1.2.1.43.8.2.1'
+};
+
+/**
+ * Colunas de prtMarkerSuppliesTable
+ */
+const SUPPLY_COLUMNS = {
+    CLASS: 4,
+    TYPE: 5,
+    DESCRIPTION: 6,
+    UNIT: 7,
+    MAX_CAPACITY: 8,
+    LEVEL: 9
+};
+
+/**
+ * Colunas de prtInputTable
+ */
+const INPUT_COLUMNS = {
+    MAX_CAPACITY: 9,
+    LEVEL: 10,
+    MEDIA_NAME: 12,
+    NAME: 13
+};
+
+const SUPPLY_CLASSES = {
+    1: 'other',
+    3: 'consumed',
+    // Para receptáculos (ex.: toner residual), o nível indica o espaço livre
+    4: 'receptacle'
+};
+
+const SUPPLY_TYPES = {
+    1: 'other',
+    2: 'unknown',
+    3: 'toner',
+    4: 'wasteToner',
+    5: 'ink',
+    6: 'inkCartridge',
+    7: 'inkRibbon',
+    8: 'wasteInk',
+    9: 'opc',
+    10: 'developer',
+    11: 'fuserOil',
+    12: 'solidWax',
+    13: 'ribbonWax',
+    14: 'wasteWax',
+    15: 'fuser',
+    16: 'coronaWire',
+    17: 'fuserOilWick',
+    18: 'cleanerUnit',
+    19: 'fuserCleaningPad',
+    20: 'transferUnit',
+    21: 'tonerCartridge',
+    22: 'fuserOiler',
+    23: 'water',
+    24: 'wasteWater',
+    25: 'glueWaterAdditive',
+    26: 'wastePaper',
+    27: 'bindingSupply',
+    28: 'bandingSupply',
+    29: 'stitchingWire',
+    30: 'shrinkWrap',
+    31: 'paperWrap',
+    32: 'staples',
+    33: 'inserts',
+    34: 'covers'
+};
+
+const SUPPLY_UNITS = {
+    1: 'other',
+    2: 'unknown',
+    3: 'tenThousandthsOfInches',
+    4: 'micrometers',
+    5: 'impressions',
+    6: 'sheets',
+    7: 'hours',
+    8: 'thousandthsOfOunces',
+    9: 'tenthsOfGrams',
+    10: 'hundrethsOfFluidOunces',
+    11: 'tenthsOfMilliliters',
+    12: 'feet',
+    13: 'meters',
+    14: 'items',
+    15: 'percent'
+};
+
+/**
+ * Converte capacidade e nível em percentual
+ * Valores negativos são especiais no Printer-MIB (-1 outro, -2 desconhecido, -3 há pelo menos uma unidade)
+ * @param {number|null} level - Nível atual
+ * @param {number|null} maxCapacity - Capacidade máxima
+ * @returns {number|null} Percentual com duas casas, ou null se não for possível calcular
+ */
+const toPercent = (level, maxCapacity) => {
+    if (!Number.isInteger(level) || !Number.isInteger(maxCapacity) || level < 0 || maxCapacity <= 0) {
+        return null;
+    }
+
+    return Math.round(Math.min(level / maxCapacity, 1) * 10000) / 100;
+}
+
+/**
+ * Converte um valor inteiro lido, mantendo null quando ausente
+ * @param {*} value - Valor lido
+ * @returns {number|null}
+ */
+const toInteger = (value) => Number.isInteger(value) ? value : null;
+
+/**
+ * Converte as linhas de prtMarkerSuppliesTable
+ * @param {Object} table - Tabela lida
+ * @returns {Array} Consumíveis
+ */
+const parseSupplies = (table) => {
+    return Object.entries(table).map(([index, row]) => {
+        const maxCapacity = toInteger(row[SUPPLY_COLUMNS.MAX_CAPACITY]);
+        const level = toInteger(row[SUPPLY_COLUMNS.LEVEL]);
+
+        return {
+            index,
+            description: toText(row[SUPPLY_COLUMNS.DESCRIPTION]) || null,
+            type: SUPPLY_TYPES[row[SUPPLY_COLUMNS.TYPE]] || 'other',
+            class: SUPPLY_CLASSES[row[SUPPLY_COLUMNS.CLASS]] || 'other',
+            unit: SUPPLY_UNITS[row[SUPPLY_COLUMNS.UNIT]] || null,
+            maxCapacity,
+            level,
+            percent: toPercent(level, maxCapacity)
+        };
+    });
+}
+
+/**
+ * Converte as linhas de prtInputTable
+ * @param {Object} table - Tabela lida
+ * @returns {Array} Bandejas de entrada
+ */
+const parseTrays = (table) => {
+    return Object.entries(table).map(([index, row]) => {
+        const maxCapacity = toInteger(row[INPUT_COLUMNS.MAX_CAPACITY]);
+        const level = toInteger(row[INPUT_COLUMNS.LEVEL]);
+
+        return {
+            index,
+            name: toText(row[INPUT_COLUMNS.NAME]) || null,
+            mediaName: toText(row[INPUT_COLUMNS.MEDIA_NAME]) || null,
+            maxCapacity,
+            level,
+            percent: toPercent(level, maxCapacity)
+        };
+    });
+}
+
+/**
+ * Obtém o percentual de alerta da impressora
+ * @param {Object} printer - Registro da impressora
+ * @returns {number} Percentual configurado na impressora, na variável SUPPLY_ALERT_THRESHOLD ou o padrão
+ */
+const getThreshold = (printer) => {
+    if (Number.isInteger(printer.supply_alert_threshold)) {
+        return printer.supply_alert_threshold;
+    }
+
+    dotenv.config();
+
+    const threshold = parseInt(process.env.SUPPLY_ALERT_THRESHOLD, 10);
+
+    return Number.isInteger(threshold) ? threshold : CONSTANTS.SUPPLY.ALERT_THRESHOLD;
+}
+
+/**
+ * Identifica os consumíveis abaixo do limite, os receptáculos quase cheios e as bandejas vazias
+ * @param {Array} supplies - Consumíveis lidos
+ * @param {Array} trays - Bandejas lidas
+ * @param {number} threshold - Percentual de alerta
+ * @returns {Array} Condições encontradas
+ */
+const findConditions = (supplies, trays, threshold) => {
+    const conditions = [];
+
+    for (const supply of supplies) {
+        // Em receptáculos o nível é o espaço livre: zero é cheio, e o alerta registra o percentual ocupado
+        if (supply.class === 'receptacle') {
+            if (supply.level === 0) {
+                conditions.push({ kind: 'supply', index: supply.index, name: supply.description, condition: 'full', percent: 100 });
+            } else if (supply.percent !== null && supply.percent < threshold) {
+                conditions.push({ kind: 'supply', index: supply.index, name: supply.description, condition: 'almostFull', percent: Math.round((100 - supply.percent) * 100) / 100 });
+            }
+
+            continue;
+        }
+
+        if (supply.level === 0) {
+            conditions.push({ kind: 'supply', index: supply.index, name: supply.description, condition: 'empty', percent: 0 });
+        } else if (supply.percent !== null && supply.percent < threshold) {
+            conditions.push({ kind: 'supply', index: supply.index, name: supply.description, condition: 'low', percent: supply.percent });
+        }
+    }
+
+    for (const tray of trays) {
+        if (tray.level === 0) {
+            conditions.push({ kind: 'tray', index: tray.index, name: tray.name, condition: 'empty', percent: 0 });
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Abre, atualiza ou encerra os alertas da impressora conforme as condições atuais
+ * @param {Object} printer - Registro da impressora
+ * @param {Array} conditions - Condições encontradas
+ * @param {number} threshold - Percentual de alerta
+ * @returns {Promise<Object>} Quantidade de alertas abertos e encerrados
+ */
+const syncAlerts = async (printer, conditions, threshold) => {
+    const openAlerts = await Supplies.getOpenAlerts(printer.id);
+
+    if (openAlerts.message) {
+        throw new Error(openAlerts.message);
+    }
+
+    const summary = { raised: 0, resolved: 0 };
+    const now = new Date();
+
+    for (const condition of conditions) {
+        const existing = openAlerts.find((alert) => alert.kind === condition.kind && alert.itemindex === condition.index);
+
+        if (existing) {
+            if (existing.condition !== condition.condition) {
+                await Supplies.updateAlert(existing.id, condition.condition, condition.percent);
+            }
+
+            continue;
+        }
+
+        const alert = await Supplies.insertAlert([
+            uuid(),
+            printer.id,
+            condition.kind,
+            condition.index,
+            condition.name,
+            condition.condition,
+            condition.percent,
+            condition.kind === 'supply' ? threshold : null,
+            now,
+            now
+        ]);
+
+        if (alert.message) {
+            throw new Error(alert.message);
+        }
+
+        summary.raised++;
+        console.warn(`Alerta de consumível na impressora ${printer.name}: ${condition.name || condition.index} (${condition.condition})`);
+
+        Log.audit({
+            logType: CONSTANTS.LOG.CREATE,
+            entity: CONSTANTS.LOG.MODULE.PRINTERS,
+            operation: 'Supply Alert',
+            afterData: alert
+        });
+    }
+
+    for (const alert of openAlerts) {
+        const active = conditions.some((condition) => condition.kind === alert.kind && condition.index === alert.itemindex);
+
+        if (!active) {
+            await Supplies.resolveAlert(alert.id);
+            summary.resolved++;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    /**
+     * Lê os consumíveis e as bandejas da impressora por SNMP, registra os níveis e atualiza os alertas
+     * @param {Object} printer - Registro da impressora
+     * @returns {Promise<Object|null>} Resumo da leitura, ou null se a impressora não tem endereço de rede
+     */
+    pollPrinterSupplies: async (printer) => {
+        const { host } = getPrinterAddress(printer);
+
+        if (!host) {
+            return null;
+        }
+
+        const supplies = parseSupplies(await getTable(host, OIDS.MARKER_SUPPLIES_TABLE));
+
+        // Algumas impressoras não implementam a tabela de entradas
+        let trays = [];
+        try {
+            trays = parseTrays(await getTable(host, OIDS.INPUT_TABLE));
+        } catch {
+            trays = [];
+        }
+
+        const now = new Date();
+
+        const suppliesResult = await Supplies.replaceSupplies(printer.id, supplies, now);
+        if (suppliesResult.message) {
+            throw new Error(suppliesResult.message);
+        }
+
+        const traysResult = await Supplies.replaceTrays(printer.id, trays, now);
+        if (traysResult.message) {
+            throw new Error(traysResult.message);
+        }
+
+        const threshold = getThreshold(printer);
+        const alerts = await syncAlerts(printer, findConditions(supplies, trays, threshold), threshold);
+
+        return {
+            supplies: supplies.length,
+            trays: trays.length,
+            ...alerts
+        };
+    },
+
+    /**
+     * Lê os consumíveis de todas as impressoras cadastradas
+     * @returns {Promise<Object>} Resumo da execução
+     */
+    pollAllSupplies: async () => {
+        const printers = await Printer.getAll();
+
+        if (printers.message) {
+            throw new Error(printers.message);
+        }
+
+        const summary = { polled: 0, skipped: 0, failed: 0, raised: 0, resolved: 0 };
+
+        for (const printer of printers) {
+            try {
+                const result = await module.exports.pollPrinterSupplies(printer);
+
+                if (!result) {
+                    summary.skipped++;
+                    continue;
+                }
+
+                summary.polled++;
+                summary.raised += result.raised;
+                summary.resolved += result.resolved;
+            } catch (error) {
+                summary.failed++;
+                Log.error({
+                    entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                    operation: 'Poll Printer Supplies',
+                    errorMessage: error.message,
+                    errorStack: error.stack
+                });
+            }
+        }
+
+        return summary;
+    }
+}
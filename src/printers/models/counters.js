@@ -0,0 +1,153 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Registra uma leitura do contador de páginas
+     * @param {Array} data Dados da leitura (id, printerId, lifeCount, unit, createdAt)
+     * @returns {Promise<Object>} Leitura criada
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_page_counters (
+                id, printerId, lifeCount, unit, createdAt
+            ) VALUES (
+                $1, $2, $3, $4, $5
+            ) RETURNING *;`;
+
+            const counter = await Core(sql, data);
+
+            return counter;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Insert Page Counter',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar o contador da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Compara a variação do contador de cada impressora com as páginas dos trabalhos concluídos
+     * A janela de cada impressora vai da última leitura até o início do intervalo (ou da primeira leitura dentro dele)
+     * até a última leitura antes do fim, para que contador e trabalhos cubram o mesmo período
+     * @param {Object} filters Filtros do relatório
+     * @param {Date} filters.from Início do intervalo
+     * @param {Date} filters.to Fim do intervalo
+     * @param {string|null} filters.printerId Somente esta impressora
+     * @returns {Promise<Array>} Uma linha por impressora
+     */
+    getReconciliation: async ({ from, to, printerId = null }) => {
+        try {
+            const data = [from, to];
+            let printerCondition = '';
+
+            if (printerId) {
+                data.push(printerId);
+                printerCondition = 'AND p.id = $3';
+            }
+
+            const sql = `WITH windows AS (
+                    SELECT
+                        p.id AS printerId,
+                        p.name,
+                        COALESCE(prev.lifeCount, opening.lifeCount) AS startCount,
+                        COALESCE(prev.createdAt, opening.createdAt) AS startAt,
+                        closing.lifeCount AS endCount,
+                        closing.createdAt AS endAt,
+                        closing.unit
+                    FROM ${CONSTANTS.DB.DATABASE}.printers p
+                    LEFT JOIN LATERAL (
+                        SELECT lifeCount, createdAt FROM ${CONSTANTS.DB.DATABASE}.printer_page_counters
+                        WHERE printerId = p.id AND createdAt <= $1
+                        ORDER BY createdAt DESC LIMIT 1
+                    ) prev ON TRUE
+                    LEFT JOIN LATERAL (
+                        SELECT lifeCount, createdAt FROM ${CONSTANTS.DB.DATABASE}.printer_page_counters
+                        WHERE printerId = p.id AND createdAt > $1 AND createdAt <= $2
+                        ORDER BY createdAt ASC LIMIT 1
+                    ) opening ON TRUE
+                    LEFT JOIN LATERAL (
+                        SELECT lifeCount, unit, createdAt FROM ${CONSTANTS.DB.DATABASE}.printer_page_counters
+                        WHERE printerId = p.id AND createdAt <= $2
+                        ORDER BY createdAt DESC LIMIT 1
+                    ) closing ON TRUE
+                    WHERE p.deletedAt IS NULL ${printerCondition}
+                )
+                SELECT
+                    w.printerId,
+                    w.name,
+                    w.unit,
+                    w.startAt,
+                    w.endAt,
+                    w.startCount::float8 AS startCount,
+                    w.endCount::float8 AS endCount,
+                    COUNT(j.id)::int AS jobs,
+                    COALESCE(SUM(j.pages * j.copies), 0)::int AS jobPages
+                FROM windows w
+                LEFT JOIN ${CONSTANTS.DB.DATABASE}.print_jobs j
+                    ON j.printerId = w.printerId
+                    AND j.status = 'completed'
+                    AND j.completedAt >= w.startAt
+                    AND j.completedAt < w.endAt
+                GROUP BY w.printerId, w.name, w.unit, w.startAt, w.endAt, w.startCount, w.endCount
+                ORDER BY w.name;`;
+
+            let rows = await Core(sql, data);
+
+            if (!Array.isArray(rows)) {
+                rows = [rows];
+            }
+
+            return rows;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Page Counter Reconciliation',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao gerar o relatório de contadores! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Remove as leituras anteriores a uma data
+     * @param {Date} before Data limite
+     * @returns {Promise<Object>} Quantidade de leituras removidas
+     */
+    deleteBefore: async (before) => {
+        try {
+            const sql = `WITH deleted AS (
+                DELETE FROM ${CONSTANTS.DB.DATABASE}.printer_page_counters WHERE createdAt < $1 RETURNING 1
+            ) SELECT COUNT(*)::int AS deleted FROM deleted;`;
+
+            const result = await Core(sql, [before]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Delete Page Counters',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao limpar o histórico de contadores! Tente novamente mais tarde"
+            };
+        }
+    }
+}
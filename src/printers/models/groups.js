@@ -0,0 +1,244 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Obtém todos os grupos de impressoras com os IDs das impressoras de cada um
+     * @returns {Promise<Array>} Lista de grupos
+     */
+    getAll: async () => {
+        try {
+            const sql = `SELECT g.*, 
+                COALESCE(json_agg(m.printerId) FILTER (WHERE m.printerId IS NOT NULL), '[]') AS printers
+            FROM ${CONSTANTS.DB.DATABASE}.printer_groups g
+            LEFT JOIN ${CONSTANTS.DB.DATABASE}.printer_group_members m ON m.groupId = g.id
+            WHERE g.deletedAt IS NULL
+            GROUP BY g.id
+            ORDER BY g.name;`;
+
+            let groups = await Core(sql);
+
+            if (!Array.isArray(groups)) {
+                groups = [groups];
+            }
+
+            return groups;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get All Printer Groups',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os grupos de impressoras! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém um grupo de impressoras pelo ID
+     * @param {string} id ID do grupo
+     * @returns {Promise<Object>} Dados do grupo
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT g.*, 
+                COALESCE(json_agg(m.printerId) FILTER (WHERE m.printerId IS NOT NULL), '[]') AS printers
+            FROM ${CONSTANTS.DB.DATABASE}.printer_groups g
+            LEFT JOIN ${CONSTANTS.DB.DATABASE}.printer_group_members m ON m.groupId = g.id
+            WHERE g.id = $1 AND g.deletedAt IS NULL
+            GROUP BY g.id;`;
+
+            const group = await Core(sql, [id]);
+
+            return group;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Group By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o grupo de impressoras! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém as impressoras ativas de um grupo
+     * @param {string} id ID do grupo
+     * @returns {Promise<Array>} Impressoras do grupo
+     */
+    getMembers: async (id) => {
+        try {
+            const sql = `SELECT p.* FROM ${CONSTANTS.DB.DATABASE}.printer_group_members m
+            INNER JOIN ${CONSTANTS.DB.DATABASE}.printers p ON p.id = m.printerId
+            WHERE m.groupId = $1 AND p.deletedAt IS NULL
+            ORDER BY m.createdAt;`;
+
+            let printers = await Core(sql, [id]);
+
+            if (!Array.isArray(printers)) {
+                printers = [printers];
+            }
+
+            return printers;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Group Members',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter as impressoras do grupo! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Insere um novo grupo de impressoras
+     * @param {Array} data Dados do grupo
+     * @returns {Promise<Object>} Grupo inserido
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_groups (
+                id, name, description, createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5
+            ) RETURNING *;`;
+
+            const group = await Core(sql, data);
+
+            return group;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Insert Printer Group',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao cadastrar o grupo de impressoras! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza um grupo de impressoras
+     * @param {Array} data Dados do grupo
+     * @returns {Promise<Object>} Grupo atualizado
+     */
+    update: async (data) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printer_groups SET 
+                name = $1, 
+                description = $2, 
+                updatedAt = $3
+            WHERE id = $4 RETURNING *;`;
+
+            const group = await Core(sql, data);
+
+            return group;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Update Printer Group',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao alterar o grupo de impressoras! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Substitui as impressoras de um grupo
+     * @param {string} id ID do grupo
+     * @param {string[]} printerIds IDs das impressoras
+     * @returns {Promise<Array>} Impressoras vinculadas
+     */
+    setMembers: async (id, printerIds) => {
+        try {
+            // Em um único comando, para que uma falha não deixe o grupo sem as impressoras anteriores;
+            // as que continuam no grupo são mantidas e apenas as novas são inseridas
+            const sql = `WITH deleted AS (
+                DELETE FROM ${CONSTANTS.DB.DATABASE}.printer_group_members
+                WHERE groupId = $1 AND NOT (printerId = ANY($2::varchar[]))
+            ), inserted AS (
+                INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_group_members (groupId, printerId, createdAt)
+                    SELECT $1, printerId, $3 FROM unnest($2::varchar[]) AS printerId
+                ON CONFLICT (groupId, printerId) DO NOTHING
+                RETURNING *
+            )
+            SELECT * FROM ${CONSTANTS.DB.DATABASE}.printer_group_members
+            WHERE groupId = $1 AND printerId = ANY($2::varchar[])
+            UNION ALL
+            SELECT * FROM inserted;`;
+
+            let members = await Core(sql, [id, printerIds, new Date()]);
+
+            if (!Array.isArray(members)) {
+                members = [members];
+            }
+
+            return members;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Set Printer Group Members',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao vincular as impressoras ao grupo! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Marca um grupo de impressoras como excluído
+     * @param {string} id ID do grupo
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    delete: async (id) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printer_groups SET 
+                deletedAt = $1 
+            WHERE id = $2 RETURNING *;`;
+
+            const group = await Core(sql, [new Date(), id]);
+
+            return group;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Delete Printer Group',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao excluir o grupo de impressoras! Tente novamente mais tarde"
+            };
+        }
+    }
+}
@@ -0,0 +1,100 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Registra uma leitura de saúde da impressora
+     * @param {Array} data Dados da leitura (id, printerId, reachable, state, deviceStatus, printerStatus, errorStates, alerts, errorMessage, createdAt)
+     * @returns {Promise<Object>} Leitura criada
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_status_history (
+                id, printerId, reachable, state, deviceStatus, printerStatus, errorStates, alerts, errorMessage, createdAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            ) RETURNING *;`;
+
+            const status = await Core(sql, data);
+
+            return status;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Insert Printer Status',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar o estado da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Lista as últimas leituras de uma impressora
+     * @param {string} printerId ID da impressora
+     * @param {number} limit Quantidade máxima de leituras
+     * @returns {Promise<Array>} Leituras, da mais recente para a mais antiga
+     */
+    getHistory: async (printerId, limit = CONSTANTS.SNMP.HEALTH_HISTORY_LIMIT) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.printer_status_history
+                WHERE printerId = $1
+                ORDER BY createdAt DESC
+                LIMIT $2;`;
+
+            let history = await Core(sql, [printerId, limit]);
+
+            if (!Array.isArray(history)) {
+                history = [history];
+            }
+
+            return history;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Status History',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o histórico da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Remove as leituras anteriores a uma data
+     * @param {Date} before Data limite
+     * @returns {Promise<Object>} Quantidade de leituras removidas
+     */
+    deleteBefore: async (before) => {
+        try {
+            const sql = `WITH deleted AS (
+                DELETE FROM ${CONSTANTS.DB.DATABASE}.printer_status_history WHERE createdAt < $1 RETURNING 1
+            ) SELECT COUNT(*)::int AS deleted FROM deleted;`;
+
+            const result = await Core(sql, [before]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Delete Printer Status History',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao limpar o histórico das impressoras! Tente novamente mais tarde"
+            };
+        }
+    }
+}
@@ -217,5 +217,181 @@ module.exports = {
                 message: "Ocorreu um erro ao atualizar o status da impressora! Tente novamente mais tarde"
             };
         }
+    },
+    
+    /**
+     * Define a impressora reserva usada quando a impressora não responde
+     * @param {string} id ID da impressora
+     * @param {string|null} fallbackPrinterId ID da impressora reserva
+     * @param {number|null} failoverAfter Quantidade de falhas antes de usar a reserva
+     * @returns {Promise<Object>} Impressora atualizada
+     */
+    updateFailover: async (id, fallbackPrinterId, failoverAfter) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printers SET 
+                fallback_printer_id = $1, 
+                failover_after = $2, 
+                updatedAt = $3 
+            WHERE id = $4 RETURNING *;`;
+
+            const printer = await Core(sql, [fallbackPrinterId, failoverAfter, new Date(), id]);
+
+            return printer;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTER,
+                operation: 'Update Printer Failover',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao atualizar a impressora reserva! Tente novamente mais tarde"
+            };
+        }
+    },
+    
+    /**
+     * Define o modelo de carimbo padrão da impressora
+     * @param {string} id ID da impressora
+     * @param {string|null} stampTemplateId ID do modelo de carimbo
+     * @returns {Promise<Object>} Impressora atualizada
+     */
+    updateStampTemplate: async (id, stampTemplateId) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printers SET 
+                stamp_template_id = $1, 
+                updatedAt = $2 
+            WHERE id = $3 RETURNING *;`;
+
+            const printer = await Core(sql, [stampTemplateId, new Date(), id]);
+
+            return printer;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTER,
+                operation: 'Update Printer Stamp Template',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao atualizar o carimbo da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+    updateSecureRelease: async (id, secureRelease, secureReleaseHours) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printers SET 
+                secure_release = $1, 
+                secure_release_hours = $2, 
+                updatedAt = $3 
+            WHERE id = $4 RETURNING *;`;
+
+            const printer = await Core(sql, [secureRelease, secureReleaseHours, new Date(), id]);
+
+            return printer;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTER,
+                operation: 'Update Printer Secure Release',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao atualizar a liberação segura da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+    updateSupplyAlertThreshold: async (id, threshold) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printers SET 
+                supply_alert_threshold = $1, 
+                updatedAt = $2 
+            WHERE id = $3 RETURNING *;`;
+
+            const printer = await Core(sql, [threshold, new Date(), id]);
+
+            return printer;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Update Printer Supply Alert Threshold',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao atualizar o alerta de consumíveis da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+    /**
+     * Registra o driver instalado no CUPS e o aviso quando o driver configurado não pôde ser usado
+     * @param {string} id ID da impressora
+     * @param {string} driverModel Driver instalado (raw quando nenhum serviu)
+     * @param {string} driverSelection Tipo de fila criada: everywhere, ppd ou raw
+     * @param {string|null} driverWarning Motivo de o driver configurado não ter sido usado
+     * @returns {Promise<Object>} Impressora atualizada
+     */
+    updateDriverResult: async (id, driverModel, driverSelection, driverWarning) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printers SET 
+                driver_model = $1, 
+                driver_selection = $2, 
+                driver_warning = $3 
+            WHERE id = $4 RETURNING *;`;
+
+            const printer = await Core(sql, [driverModel, driverSelection, driverWarning, id]);
+
+            return printer;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Update Printer Driver Result',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao registrar o driver da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+    /**
+     * Força o driver usado na fila do CUPS, ignorando a escolha automática
+     * @param {string} id ID da impressora
+     * @param {string|null} driverOverride Nome do PPD, everywhere ou raw; null volta à escolha automática
+     * @returns {Promise<Object>} Impressora atualizada
+     */
+    updateDriverOverride: async (id, driverOverride) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printers SET 
+                driver_override = $1, 
+                updatedAt = $2 
+            WHERE id = $3 RETURNING *;`;
+
+            const printer = await Core(sql, [driverOverride, new Date(), id]);
+
+            return printer;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Update Printer Driver Override',
+                errorMessage: error.message,
+                errorStack: error.stack
+            })
+
+            return {
+                message: "Ocorreu um erro ao atualizar o driver forçado da impressora! Tente novamente mais tarde"
+            };
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,315 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Obtém os consumíveis de todas as impressoras
+     * @returns {Promise<Array>} Lista de consumíveis
+     */
+    getSupplies: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.printer_supplies ORDER BY printerId, supplyIndex;`;
+
+            let supplies = await Core(sql);
+
+            if (!Array.isArray(supplies)) {
+                supplies = [supplies];
+            }
+
+            return supplies;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Supplies',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os consumíveis das impressoras! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém as bandejas de entrada de todas as impressoras
+     * @returns {Promise<Array>} Lista de bandejas
+     */
+    getTrays: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.printer_input_trays ORDER BY printerId, trayIndex;`;
+
+            let trays = await Core(sql);
+
+            if (!Array.isArray(trays)) {
+                trays = [trays];
+            }
+
+            return trays;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Printer Trays',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter as bandejas das impressoras! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Substitui os consumíveis lidos de uma impressora, removendo os que não existem mais
+     * @param {string} printerId ID da impressora
+     * @param {Array} supplies Consumíveis lidos
+     * @param {Date} updatedAt Data da leitura
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    replaceSupplies: async (printerId, supplies, updatedAt) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_supplies (
+                printerId, supplyIndex, description, type, class, unit, maxCapacity, level, percent, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            ) ON CONFLICT (printerId, supplyIndex) DO UPDATE SET
+                description = EXCLUDED.description,
+                type = EXCLUDED.type,
+                class = EXCLUDED.class,
+                unit = EXCLUDED.unit,
+                maxCapacity = EXCLUDED.maxCapacity,
+                level = EXCLUDED.level,
+                percent = EXCLUDED.percent,
+                updatedAt = EXCLUDED.updatedAt;`;
+
+            for (const supply of supplies) {
+                await Core(sql, [
+                    printerId,
+                    supply.index,
+                    supply.description,
+                    supply.type,
+                    supply.class,
+                    supply.unit,
+                    supply.maxCapacity,
+                    supply.level,
+                    supply.percent,
+                    updatedAt
+                ]);
+            }
+
+            const deleteSql = `DELETE FROM ${CONSTANTS.DB.DATABASE}.printer_supplies
+                WHERE printerId = $1 AND NOT (supplyIndex = ANY($2));`;
+
+            await Core(deleteSql, [printerId, supplies.map((supply) => supply.index)]);
+
+            return { updated: supplies.length };
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Replace Printer Supplies',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar os consumíveis da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Substitui as bandejas lidas de uma impressora, removendo as que não existem mais
+     * @param {string} printerId ID da impressora
+     * @param {Array} trays Bandejas lidas
+     * @param {Date} updatedAt Data da leitura
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    replaceTrays: async (printerId, trays, updatedAt) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_input_trays (
+                printerId, trayIndex, name, mediaName, maxCapacity, level, percent, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8
+            ) ON CONFLICT (printerId, trayIndex) DO UPDATE SET
+                name = EXCLUDED.name,
+                mediaName = EXCLUDED.mediaName,
+                maxCapacity = EXCLUDED.maxCapacity,
+                level = EXCLUDED.level,
+                percent = EXCLUDED.percent,
+                updatedAt = EXCLUDED.updatedAt;`;
+
+            for (const tray of trays) {
+                await Core(sql, [
+                    printerId,
+                    tray.index,
+                    tray.name,
+                    tray.mediaName,
+                    tray.maxCapacity,
+                    tray.level,
+                    tray.percent,
+                    updatedAt
+                ]);
+            }
+
+            const deleteSql = `DELETE FROM ${CONSTANTS.DB.DATABASE}.printer_input_trays
+                WHERE printerId = $1 AND NOT (trayIndex = ANY($2));`;
+
+            await Core(deleteSql, [printerId, trays.map((tray) => tray.index)]);
+
+            return { updated: trays.length };
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Replace Printer Trays',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar as bandejas da impressora! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém os alertas de consumíveis em aberto
+     * @param {string|null} printerId Somente os alertas desta impressora
+     * @returns {Promise<Array>} Alertas em aberto, do mais recente para o mais antigo
+     */
+    getOpenAlerts: async (printerId = null) => {
+        try {
+            const data = [];
+            let printerCondition = '';
+
+            if (printerId) {
+                data.push(printerId);
+                printerCondition = 'AND printerId = $1';
+            }
+
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.printer_supply_alerts
+                WHERE resolvedAt IS NULL ${printerCondition}
+                ORDER BY createdAt DESC;`;
+
+            let alerts = await Core(sql, data);
+
+            if (!Array.isArray(alerts)) {
+                alerts = [alerts];
+            }
+
+            return alerts;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Get Supply Alerts',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os alertas de consumíveis! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Abre um alerta de consumível
+     * @param {Array} data Dados do alerta (id, printerId, kind, itemIndex, itemName, condition, percent, threshold, createdAt, updatedAt)
+     * @returns {Promise<Object>} Alerta criado
+     */
+    insertAlert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.printer_supply_alerts (
+                id, printerId, kind, itemIndex, itemName, condition, percent, threshold, createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            ) RETURNING *;`;
+
+            const alert = await Core(sql, data);
+
+            return alert;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Insert Supply Alert',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar o alerta de consumível! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza a condição e o nível de um alerta em aberto
+     * @param {string} id ID do alerta
+     * @param {string} condition low, empty, almostFull ou full
+     * @param {number|null} percent Nível atual
+     * @returns {Promise<Object>} Alerta atualizado
+     */
+    updateAlert: async (id, condition, percent) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printer_supply_alerts SET
+                condition = $1,
+                percent = $2,
+                updatedAt = $3
+            WHERE id = $4 RETURNING *;`;
+
+            const alert = await Core(sql, [condition, percent, new Date(), id]);
+
+            return alert;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Update Supply Alert',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao atualizar o alerta de consumível! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Encerra um alerta cuja condição não existe mais
+     * @param {string} id ID do alerta
+     * @returns {Promise<Object>} Alerta encerrado
+     */
+    resolveAlert: async (id) => {
+        try {
+            const now = new Date();
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.printer_supply_alerts SET
+                resolvedAt = $1,
+                updatedAt = $1
+            WHERE id = $2 AND resolvedAt IS NULL RETURNING *;`;
+
+            const alert = await Core(sql, [now, id]);
+
+            return alert;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.PRINTERS,
+                operation: 'Resolve Supply Alert',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao encerrar o alerta de consumível! Tente novamente mais tarde"
+            };
+        }
+    }
+}
@@ -0,0 +1,367 @@
+const { v7: uuid } = require('uuid');
+const Quotas = require('../models/quotas');
+const Log = require('../../../helper/log');
+const quotaHelper = require('../helpers/quota');
+const CONSTANTS = require('../../../helper/constants');
+const responseHandler = require('../../../helper/responseHandler');
+
+/**
+ * Valida um limite de páginas opcional
+ * @param {*} value - Valor informado
+ * @returns {boolean}
+ */
+const isValidLimit = (value) => {
+    return value === null || value === undefined || (Number.isInteger(value) && value >= 0);
+}
+
+/**
+ * Valida os limites de uma cota
+ * @param {Object} limits - Limites (pageLimit, colorLimit, monoLimit)
+ * @returns {string[]} Erros encontrados
+ */
+const validateLimits = ({ pageLimit, colorLimit, monoLimit }) => {
+    const errors = [];
+
+    if (!Number.isInteger(pageLimit) || pageLimit < 0) {
+        errors.push('O limite de páginas deve ser um inteiro maior ou igual a zero!');
+    }
+
+    if (!isValidLimit(colorLimit)) {
+        errors.push('O limite de páginas coloridas deve ser um inteiro maior ou igual a zero!');
+    }
+
+    if (!isValidLimit(monoLimit)) {
+        errors.push('O limite de páginas monocromáticas deve ser um inteiro maior ou igual a zero!');
+    }
+
+    return errors;
+}
+
+module.exports = {
+    getQuotas: async (request, response) => {
+        try {
+            const quotas = await Quotas.getAll();
+
+            if (quotas.message) {
+                return responseHandler.badRequest(response, quotas.message);
+            }
+
+            return responseHandler.success(response, 'Cotas encontradas!', quotas);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get Quotas',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter as cotas!');
+        }
+    },
+
+    createQuota: async (request, response) => {
+        try {
+            const { subjectType, subject, period, pageLimit, colorLimit = null, monoLimit = null } = request.body;
+
+            const errors = validateLimits({ pageLimit, colorLimit, monoLimit });
+
+            if (!CONSTANTS.QUOTA.SUBJECT_TYPES.includes(subjectType)) {
+                errors.push(`Tipo inválido! Valores aceitos: ${CONSTANTS.QUOTA.SUBJECT_TYPES.join(', ')}`);
+            }
+
+            if (!subject || typeof subject !== 'string' || subject.length > 100) {
+                errors.push('Usuário ou departamento é obrigatório e deve ter até 100 caracteres!');
+            }
+
+            if (!CONSTANTS.QUOTA.PERIODS.includes(period)) {
+                errors.push(`Período inválido! Valores aceitos: ${CONSTANTS.QUOTA.PERIODS.join(', ')}`);
+            }
+
+            if (errors.length > 0) {
+                return responseHandler.badRequest(response, 'Cota inválida!', errors);
+            }
+
+            const now = new Date();
+            const quota = await Quotas.insert([uuid(), subjectType, subject, period, pageLimit, colorLimit, monoLimit, now, now]);
+
+            if (quota.message) {
+                return responseHandler.badRequest(response, quota.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.CREATE,
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Create Quota',
+                afterData: quota,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.created(response, 'Cota criada com sucesso!', quota);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Create Quota',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao criar a cota! Tente novamente mais tarde');
+        }
+    },
+
+    updateQuota: async (request, response) => {
+        try {
+            const current = await Quotas.getById(request.params.id);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.id) {
+                return responseHandler.notFound(response, 'Cota não encontrada!');
+            }
+
+            const limits = {
+                pageLimit: request.body.pageLimit !== undefined ? request.body.pageLimit : current.pagelimit,
+                colorLimit: request.body.colorLimit !== undefined ? request.body.colorLimit : current.colorlimit,
+                monoLimit: request.body.monoLimit !== undefined ? request.body.monoLimit : current.monolimit
+            };
+
+            const errors = validateLimits(limits);
+            if (errors.length > 0) {
+                return responseHandler.badRequest(response, 'Cota inválida!', errors);
+            }
+
+            const quota = await Quotas.update([limits.pageLimit, limits.colorLimit, limits.monoLimit, new Date(), current.id]);
+
+            if (quota.message) {
+                return responseHandler.badRequest(response, quota.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Update Quota',
+                beforeData: current,
+                afterData: quota,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Cota alterada com sucesso!', quota);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Update Quota',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao atualizar a cota! Tente novamente mais tarde');
+        }
+    },
+
+    deleteQuota: async (request, response) => {
+        try {
+            const current = await Quotas.getById(request.params.id);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.id) {
+                return responseHandler.notFound(response, 'Cota não encontrada!');
+            }
+
+            const deleted = await Quotas.delete(current.id);
+
+            if (deleted.message) {
+                return responseHandler.badRequest(response, deleted.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Delete Quota',
+                beforeData: current,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Cota excluída com sucesso!');
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Delete Quota',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao excluir a cota! Tente novamente mais tarde');
+        }
+    },
+
+    getBalance: async (request, response) => {
+        try {
+            const { user = null } = request.query;
+            let { department = null } = request.query;
+
+            if (!user && !department) {
+                return responseHandler.badRequest(response, 'Informe o usuário ou o departamento!');
+            }
+
+            if (user && !department) {
+                department = await quotaHelper.getUserDepartment(user);
+            }
+
+            const balances = await quotaHelper.getBalances(user, department);
+
+            return responseHandler.success(response, 'Saldo das cotas encontrado!', { user, department, balances });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get Quota Balance',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter o saldo das cotas!');
+        }
+    },
+
+    createTopup: async (request, response) => {
+        try {
+            const { pages, kind = 'total', reason = null, expiresAt } = request.body;
+
+            const quota = await Quotas.getById(request.params.id);
+
+            if (quota.message) {
+                return responseHandler.badRequest(response, quota.message);
+            }
+
+            if (!quota.id) {
+                return responseHandler.notFound(response, 'Cota não encontrada!');
+            }
+
+            const errors = [];
+
+            if (!Number.isInteger(pages) || pages < 1) {
+                errors.push('A quantidade de páginas deve ser um inteiro maior que zero!');
+            }
+
+            if (!CONSTANTS.QUOTA.TOPUP_KINDS.includes(kind)) {
+                errors.push(`Tipo de acréscimo inválido! Valores aceitos: ${CONSTANTS.QUOTA.TOPUP_KINDS.join(', ')}`);
+            }
+
+            const now = new Date();
+            const expiration = expiresAt
+                ? new Date(expiresAt)
+                : new Date(now.getTime() + CONSTANTS.QUOTA.DEFAULT_TOPUP_HOURS * 60 * 60 * 1000);
+
+            if (Number.isNaN(expiration.getTime()) || expiration <= now) {
+                errors.push('A data de expiração deve ser uma data futura!');
+            }
+
+            if (errors.length > 0) {
+                return responseHandler.badRequest(response, 'Acréscimo inválido!', errors);
+            }
+
+            const topup = await Quotas.insertTopup([uuid(), quota.id, kind, pages, reason, expiration, now]);
+
+            if (topup.message) {
+                return responseHandler.badRequest(response, topup.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.CREATE,
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Create Quota Topup',
+                beforeData: quota,
+                afterData: topup,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.created(response, 'Acréscimo registrado com sucesso!', topup);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Create Quota Topup',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao registrar o acréscimo da cota!');
+        }
+    },
+
+    getDepartments: async (request, response) => {
+        try {
+            const departments = await Quotas.getDepartments();
+
+            if (departments.message) {
+                return responseHandler.badRequest(response, departments.message);
+            }
+
+            return responseHandler.success(response, 'Departamentos encontrados!', departments);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get User Departments',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter os departamentos!');
+        }
+    },
+
+    setDepartment: async (request, response) => {
+        try {
+            const username = request.params.username;
+            const { department = null } = request.body;
+
+            if (department !== null && (typeof department !== 'string' || !department || department.length > 100)) {
+                return responseHandler.badRequest(response, 'O departamento deve ter até 100 caracteres!');
+            }
+
+            const result = await Quotas.setDepartment(username, department);
+
+            if (result.message) {
+                return responseHandler.badRequest(response, result.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Set User Department',
+                afterData: { username, department },
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, department ? 'Departamento do usuário definido!' : 'Departamento do usuário removido!');
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Set User Department',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao definir o departamento do usuário!');
+        }
+    }
+}
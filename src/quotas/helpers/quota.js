@@ -0,0 +1,182 @@
+const Quotas = require('../models/quotas');
+const CONSTANTS = require('../../../helper/constants');
+const { countSelectedPages } = require('../../files/helpers/printOptions');
+const { countImposedPages } = require('../../files/helpers/imposition');
+
+const PERIOD_LABELS = {
+    day: 'diária',
+    week: 'semanal',
+    month: 'mensal'
+};
+
+/**
+ * Obtém o início do período da cota (dia, semana iniciando na segunda-feira ou mês)
+ * @param {string} period - day, week ou month
+ * @param {Date} now - Data de referência
+ * @returns {Date} Início do período
+ */
+const getPeriodStart = (period, now = new Date()) => {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    if (period === 'week') {
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else if (period === 'month') {
+        start.setDate(1);
+    }
+
+    return start;
+}
+
+/**
+ * Calcula o saldo de uma cota
+ * @param {Object} quota - Registro da cota
+ * @returns {Promise<Object>} Saldo da cota, com uso e limites (incluindo acréscimos válidos)
+ */
+const getQuotaBalance = async (quota) => {
+    const since = getPeriodStart(quota.period);
+
+    const [usage, topups] = await Promise.all([
+        Quotas.getUsage(quota.subjecttype, quota.subject, since),
+        Quotas.getActiveTopups(quota.id)
+    ]);
+
+    if (usage.message || topups.message) {
+        throw new Error(usage.message || topups.message);
+    }
+
+    const limit = quota.pagelimit + topups.total;
+    const colorLimit = quota.colorlimit !== null ? quota.colorlimit + topups.color : null;
+    const monoLimit = quota.monolimit !== null ? quota.monolimit + topups.mono : null;
+
+    return {
+        quotaId: quota.id,
+        subjectType: quota.subjecttype,
+        subject: quota.subject,
+        period: quota.period,
+        since,
+        used: usage,
+        limit,
+        colorLimit,
+        monoLimit,
+        remaining: Math.max(limit - usage.total, 0),
+        colorRemaining: colorLimit !== null ? Math.max(colorLimit - usage.color, 0) : null,
+        monoRemaining: monoLimit !== null ? Math.max(monoLimit - usage.mono, 0) : null
+    };
+}
+
+module.exports = {
+    getPeriodStart,
+
+    /**
+     * Calcula quantas páginas um envio consome da cota (páginas impressas vezes cópias)
+     * @param {Object} options - Opções de impressão já validadas
+     * @param {number} totalPages - Quantidade de páginas do arquivo
+     * @returns {number} Páginas consumidas
+     */
+    countRequestedPages: (options = {}, totalPages = 0) => {
+        const selected = countSelectedPages(options, totalPages);
+        const pages = options.layout ? countImposedPages(options.layout, selected) : selected;
+
+        return pages * (options.copies || 1);
+    },
+
+    /**
+     * Verifica se o envio é colorido para fins de cota
+     * @param {Object} options - Opções de impressão já validadas
+     * @returns {boolean}
+     */
+    isColorJob: (options = {}) => {
+        return (options.colorMode || CONSTANTS.QUOTA.DEFAULT_COLOR_MODE) === 'color';
+    },
+
+    /**
+     * Obtém o departamento vinculado a um usuário
+     * @param {string|null} username - Usuário
+     * @returns {Promise<string|null>} Departamento ou null
+     */
+    getUserDepartment: async (username) => {
+        if (!username) {
+            return null;
+        }
+
+        const result = await Quotas.getDepartment(username);
+
+        return result && result.department ? result.department : null;
+    },
+
+    /**
+     * Calcula o saldo de todas as cotas de um usuário e do seu departamento
+     * @param {string|null} username - Usuário
+     * @param {string|null} department - Departamento
+     * @returns {Promise<Array<Object>>} Saldo de cada cota
+     */
+    getBalances: async (username, department) => {
+        const quotas = await Quotas.getApplicable(username, department);
+
+        if (quotas.message) {
+            throw new Error(quotas.message);
+        }
+
+        return Promise.all(quotas.filter(quota => quota.id).map(getQuotaBalance));
+    },
+
+    /**
+     * Verifica se o envio cabe nas cotas do usuário e do seu departamento
+     * @param {Array<Object>} balances - Saldos retornados por getBalances
+     * @param {number} pages - Páginas do envio
+     * @param {boolean} color - Se o envio é colorido
+     * @returns {{allowed: boolean, message: string|null}}
+     */
+    checkBalances: (balances, pages, color) => {
+        for (const balance of balances) {
+            const owner = balance.subjectType === 'user' ? `do usuário ${balance.subject}` : `do departamento ${balance.subject}`;
+            const label = `Cota ${PERIOD_LABELS[balance.period]} ${owner}`;
+
+            if (pages > balance.remaining) {
+                return { allowed: false, message: `${label} excedida: o envio usa ${pages} página(s) e restam ${balance.remaining}` };
+            }
+
+            const kindRemaining = color ? balance.colorRemaining : balance.monoRemaining;
+            if (kindRemaining !== null && pages > kindRemaining) {
+                return {
+                    allowed: false,
+                    message: `${label} para impressão ${color ? 'colorida' : 'monocromática'} excedida: o envio usa ${pages} página(s) e restam ${kindRemaining}`
+                };
+            }
+        }
+
+        return { allowed: true, message: null };
+    },
+
+    /**
+     * Verifica se um envio cabe nas cotas do usuário e do seu departamento
+     * Usada no pedido de impressão e de novo quando itens da fila ou retidos são enviados,
+     * já que esses só entram no uso da cota ao chegarem à impressora
+     * Com cotas cadastradas, envios sem usuário identificado são recusados
+     * @param {string|null} user - Usuário dono da impressão
+     * @param {number} pages - Páginas do envio
+     * @param {boolean} color - Se o envio é colorido
+     * @returns {Promise<{message: string, balances: Array<Object>}|null>} Motivo da recusa ou null se permitido
+     */
+    checkUserQuota: async (user, pages, color) => {
+        if (!user) {
+            const quotas = await Quotas.getAll();
+
+            if (quotas.message) {
+                throw new Error(quotas.message);
+            }
+
+            if (quotas.some(quota => quota.id)) {
+                return { message: 'Não foi possível identificar o usuário da impressão para aplicar as cotas!', balances: [] };
+            }
+
+            return null;
+        }
+
+        const department = await module.exports.getUserDepartment(user);
+        const balances = await module.exports.getBalances(user, department);
+        const result = module.exports.checkBalances(balances, pages, color);
+
+        return result.allowed ? null : { message: result.message, balances };
+    }
+}
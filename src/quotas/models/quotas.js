@@ -0,0 +1,393 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Obtém todas as cotas
+     * @returns {Promise<Array>} Lista de cotas
+     */
+    getAll: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.quotas WHERE deletedAt IS NULL ORDER BY subjectType, subject, period;`;
+
+            let quotas = await Core(sql);
+
+            if (!Array.isArray(quotas)) {
+                quotas = [quotas];
+            }
+
+            return quotas;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get All Quotas',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter as cotas! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém uma cota pelo ID
+     * @param {string} id ID da cota
+     * @returns {Promise<Object>} Dados da cota
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.quotas WHERE id = $1 AND deletedAt IS NULL;`;
+
+            const quota = await Core(sql, [id]);
+
+            return quota;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get Quota By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter a cota! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém as cotas de um usuário e do seu departamento
+     * @param {string|null} username Usuário
+     * @param {string|null} department Departamento
+     * @returns {Promise<Array>} Cotas aplicáveis
+     */
+    getApplicable: async (username, department) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.quotas
+                WHERE deletedAt IS NULL AND (
+                    (subjectType = 'user' AND subject = $1) OR
+                    (subjectType = 'department' AND subject = $2)
+                )
+                ORDER BY subjectType DESC, period;`;
+
+            let quotas = await Core(sql, [username, department]);
+
+            if (!Array.isArray(quotas)) {
+                quotas = [quotas];
+            }
+
+            return quotas;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get Applicable Quotas',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter as cotas do usuário! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Insere uma nova cota
+     * @param {Array} data Dados da cota
+     * @returns {Promise<Object>} Cota inserida
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.quotas (
+                id, subjectType, subject, period, pageLimit,
+                colorLimit, monoLimit, createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9
+            ) RETURNING *;`;
+
+            const quota = await Core(sql, data);
+
+            return quota;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Insert Quota',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: error.code === '23505'
+                    ? "Já existe uma cota para este usuário ou departamento neste período!"
+                    : "Ocorreu um erro ao cadastrar a cota! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza os limites de uma cota
+     * @param {Array} data Dados da cota
+     * @returns {Promise<Object>} Cota atualizada
+     */
+    update: async (data) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.quotas SET 
+                pageLimit = $1, 
+                colorLimit = $2, 
+                monoLimit = $3,
+                updatedAt = $4
+            WHERE id = $5 RETURNING *;`;
+
+            const quota = await Core(sql, data);
+
+            return quota;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Update Quota',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao alterar a cota! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Marca uma cota como excluída
+     * @param {string} id ID da cota
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    delete: async (id) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.quotas SET 
+                deletedAt = $1 
+            WHERE id = $2 RETURNING *;`;
+
+            const quota = await Core(sql, [new Date(), id]);
+
+            return quota;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Delete Quota',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao excluir a cota! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Soma as páginas impressas por um usuário ou departamento desde uma data
+     * Páginas multiplicadas pelas cópias; trabalhos cancelados não contam
+     * @param {string} subjectType user ou department
+     * @param {string} subject Usuário ou departamento
+     * @param {Date} since Início do período
+     * @returns {Promise<{total: number, color: number, mono: number}>} Páginas usadas
+     */
+    getUsage: async (subjectType, subject, since) => {
+        try {
+            const column = subjectType === 'department' ? 'department' : 'username';
+
+            const sql = `SELECT 
+                COALESCE(SUM(COALESCE(pages, 0) * copies), 0)::int AS total,
+                COALESCE(SUM(COALESCE(pages, 0) * copies) FILTER (
+                    WHERE COALESCE(options->>'colorMode', $3) = 'color'
+                ), 0)::int AS color
+            FROM ${CONSTANTS.DB.DATABASE}.print_jobs
+            WHERE ${column} = $1 AND createdAt >= $2 AND status <> 'canceled';`;
+
+            const usage = await Core(sql, [subject, since, CONSTANTS.QUOTA.DEFAULT_COLOR_MODE]);
+
+            return {
+                total: usage.total,
+                color: usage.color,
+                mono: usage.total - usage.color
+            };
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get Quota Usage',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao calcular o uso da cota! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Soma os acréscimos temporários ainda válidos de uma cota
+     * @param {string} quotaId ID da cota
+     * @returns {Promise<{total: number, color: number, mono: number}>} Páginas adicionais por tipo
+     */
+    getActiveTopups: async (quotaId) => {
+        try {
+            const sql = `SELECT 
+                COALESCE(SUM(pages) FILTER (WHERE kind = 'total'), 0)::int AS total,
+                COALESCE(SUM(pages) FILTER (WHERE kind = 'color'), 0)::int AS color,
+                COALESCE(SUM(pages) FILTER (WHERE kind = 'mono'), 0)::int AS mono
+            FROM ${CONSTANTS.DB.DATABASE}.quota_topups
+            WHERE quotaId = $1 AND expiresAt > $2;`;
+
+            const topups = await Core(sql, [quotaId, new Date()]);
+
+            return topups;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get Active Topups',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os acréscimos da cota! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Registra um acréscimo temporário de páginas em uma cota
+     * @param {Array} data Dados do acréscimo
+     * @returns {Promise<Object>} Acréscimo inserido
+     */
+    insertTopup: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.quota_topups (
+                id, quotaId, kind, pages, reason, expiresAt, createdAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7
+            ) RETURNING *;`;
+
+            const topup = await Core(sql, data);
+
+            return topup;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Insert Topup',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar o acréscimo da cota! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém o departamento de um usuário
+     * @param {string} username Usuário
+     * @returns {Promise<Object>} Vínculo do usuário com o departamento
+     */
+    getDepartment: async (username) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.user_departments WHERE username = $1;`;
+
+            const department = await Core(sql, [username]);
+
+            return department;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get User Department',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o departamento do usuário! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém os vínculos de usuários com departamentos
+     * @returns {Promise<Array>} Lista de vínculos
+     */
+    getDepartments: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.user_departments ORDER BY department, username;`;
+
+            let departments = await Core(sql);
+
+            if (!Array.isArray(departments)) {
+                departments = [departments];
+            }
+
+            return departments;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Get User Departments',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os departamentos! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Define (ou remove, com department nulo) o departamento de um usuário
+     * @param {string} username Usuário
+     * @param {string|null} department Departamento
+     * @returns {Promise<Object>} Vínculo atualizado
+     */
+    setDepartment: async (username, department) => {
+        try {
+            if (!department) {
+                const sql = `DELETE FROM ${CONSTANTS.DB.DATABASE}.user_departments WHERE username = $1 RETURNING *;`;
+
+                return await Core(sql, [username]);
+            }
+
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.user_departments (username, department, updatedAt)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (username) DO UPDATE SET department = EXCLUDED.department, updatedAt = EXCLUDED.updatedAt
+            RETURNING *;`;
+
+            const result = await Core(sql, [username, department, new Date()]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.QUOTAS,
+                operation: 'Set User Department',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao definir o departamento do usuário! Tente novamente mais tarde"
+            };
+        }
+    }
+}
@@ -0,0 +1,160 @@
+const { v7: uuid } = require('uuid');
+const Stamps = require('../models/stamps');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const responseHandler = require('../../../helper/responseHandler');
+const { validateStampTemplate } = require('../helpers/stamp');
+
+module.exports = {
+    getStamps: async (request, response) => {
+        try {
+            const templates = await Stamps.getAll();
+
+            if (templates.message) {
+                return responseHandler.badRequest(response, templates.message);
+            }
+
+            return responseHandler.success(response, 'Modelos de carimbo encontrados!', templates);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Get Stamp Templates',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter os modelos de carimbo!');
+        }
+    },
+
+    createStamp: async (request, response) => {
+        try {
+            const validation = validateStampTemplate(request.body);
+            if (validation.errors.length > 0) {
+                return responseHandler.badRequest(response, 'Modelo de carimbo inválido!', validation.errors);
+            }
+
+            const { name, text, position, fontSize, opacity, color, pages } = validation.template;
+            const now = new Date();
+
+            const template = await Stamps.insert([uuid(), name, text, position, fontSize, opacity, color, pages, now, now]);
+
+            if (template.message) {
+                return responseHandler.badRequest(response, template.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.CREATE,
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Create Stamp Template',
+                afterData: template,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.created(response, 'Modelo de carimbo criado com sucesso!', template);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Create Stamp Template',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao criar o modelo de carimbo! Tente novamente mais tarde');
+        }
+    },
+
+    updateStamp: async (request, response) => {
+        try {
+            const current = await Stamps.getById(request.params.id);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.id) {
+                return responseHandler.notFound(response, 'Modelo de carimbo não encontrado!');
+            }
+
+            const validation = validateStampTemplate(request.body, current);
+            if (validation.errors.length > 0) {
+                return responseHandler.badRequest(response, 'Modelo de carimbo inválido!', validation.errors);
+            }
+
+            const { name, text, position, fontSize, opacity, color, pages } = validation.template;
+
+            const template = await Stamps.update([name, text, position, fontSize, opacity, color, pages, new Date(), current.id]);
+
+            if (template.message) {
+                return responseHandler.badRequest(response, template.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Update Stamp Template',
+                beforeData: current,
+                afterData: template,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Modelo de carimbo alterado com sucesso!', template);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Update Stamp Template',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao atualizar o modelo de carimbo! Tente novamente mais tarde');
+        }
+    },
+
+    deleteStamp: async (request, response) => {
+        try {
+            const current = await Stamps.getById(request.params.id);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.id) {
+                return responseHandler.notFound(response, 'Modelo de carimbo não encontrado!');
+            }
+
+            const deleted = await Stamps.delete(current.id);
+
+            if (deleted.message) {
+                return responseHandler.badRequest(response, deleted.message);
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.DELETE,
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Delete Stamp Template',
+                beforeData: current,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Modelo de carimbo excluído com sucesso!');
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Delete Stamp Template',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao excluir o modelo de carimbo! Tente novamente mais tarde');
+        }
+    }
+}
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const CONSTANTS = require('../../../helper/constants');
+const { parsePageRanges } = require('../../files/helpers/printOptions');
+
+/**
+ * Substitui os marcadores {user}, {date}, {printer} e {jobId} do texto do carimbo
+ * @param {string} text - Texto do modelo
+ * @param {Object} context - Valores dos marcadores
+ * @returns {string} Texto final
+ */
+const fillPlaceholders = (text, context = {}) => {
+    return text.replace(/\{(\w+)\}/g, (match, key) => {
+        if (!CONSTANTS.STAMP.PLACEHOLDERS.includes(key)) {
+            return match;
+        }
+
+        return context[key] !== undefined && context[key] !== null ? String(context[key]) : '';
+    });
+}
+
+/**
+ * A fonte padrão do PDF só codifica o conjunto Latin-1; outros caracteres viram "?"
+ * @param {string} text - Texto
+ * @returns {string} Texto codificável
+ */
+const toLatin1 = (text) => {
+    return [...text].map(char => {
+        const code = char.charCodeAt(0);
+        return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? char : '?';
+    }).join('');
+}
+
+/**
+ * Obtém os índices das páginas que recebem o carimbo
+ * @param {string} pages - all, first, last, odd, even ou intervalo ("1-3,5")
+ * @param {number} pageCount - Quantidade de páginas do documento
+ * @returns {number[]} Índices das páginas, começando em 0
+ */
+const selectPages = (pages, pageCount) => {
+    const indices = [...Array(pageCount).keys()];
+
+    switch (pages) {
+        case 'all':
+            return indices;
+        case 'first':
+            return indices.slice(0, 1);
+        case 'last':
+            return indices.slice(-1);
+        case 'odd':
+            return indices.filter(index => index % 2 === 0);
+        case 'even':
+            return indices.filter(index => index % 2 === 1);
+        default: {
+            const selected = new Set();
+            for (const [start, end] of parsePageRanges(pages) || []) {
+                for (let page = start; page <= Math.min(end, pageCount); page++) {
+                    selected.add(page - 1);
+                }
+            }
+
+            return [...selected].sort((a, b) => a - b);
+        }
+    }
+}
+
+/**
+ * Converte uma cor hexadecimal (#RRGGBB) para o formato do pdf-lib
+ * @param {string} color - Cor hexadecimal
+ * @returns {Object} Cor RGB
+ */
+const toRgb = (color) => {
+    const [r, g, b] = [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16) / 255);
+    return rgb(r, g, b);
+}
+
+module.exports = {
+    fillPlaceholders,
+    selectPages,
+
+    /**
+     * Valida e normaliza os dados de um modelo de carimbo
+     * @param {Object} data - Dados enviados pelo cliente
+     * @param {Object} current - Modelo atual, quando for uma alteração
+     * @returns {{errors: string[], template: Object}} Erros encontrados e modelo normalizado
+     */
+    validateStampTemplate: (data = {}, current = {}) => {
+        const errors = [];
+
+        const template = {
+            name: data.name ?? current.name,
+            text: data.text ?? current.text,
+            position: data.position ?? current.position ?? 'bottom-right',
+            fontSize: Number(data.fontSize ?? current.fontsize ?? 10),
+            opacity: Number(data.opacity ?? current.opacity ?? 1),
+            color: data.color ?? current.color ?? '#000000',
+            pages: String(data.pages ?? current.pages ?? 'all').replace(/\s+/g, '')
+        };
+
+        if (!template.name || typeof template.name !== 'string' || template.name.length > 50) {
+            errors.push('Nome do modelo é obrigatório e deve ter até 50 caracteres!');
+        }
+
+        if (!template.text || typeof template.text !== 'string') {
+            errors.push('Texto do carimbo é obrigatório!');
+        }
+
+        if (!CONSTANTS.STAMP.POSITIONS.includes(template.position)) {
+            errors.push(`Posição inválida! Valores aceitos: ${CONSTANTS.STAMP.POSITIONS.join(', ')}`);
+        }
+
+        if (!Number.isInteger(template.fontSize) || template.fontSize < CONSTANTS.STAMP.MIN_FONT_SIZE || template.fontSize > CONSTANTS.STAMP.MAX_FONT_SIZE) {
+            errors.push(`Tamanho da fonte deve ser um inteiro entre ${CONSTANTS.STAMP.MIN_FONT_SIZE} e ${CONSTANTS.STAMP.MAX_FONT_SIZE}!`);
+        }
+
+        if (Number.isNaN(template.opacity) || template.opacity <= 0 || template.opacity > 1) {
+            errors.push('Opacidade deve ser um número maior que 0 e até 1!');
+        }
+
+        if (typeof template.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(template.color)) {
+            errors.push('Cor inválida! Utilize o formato #RRGGBB');
+        }
+
+        if (!CONSTANTS.STAMP.PAGES.includes(template.pages) && !parsePageRanges(template.pages)) {
+            errors.push(`Páginas inválidas! Utilize ${CONSTANTS.STAMP.PAGES.join(', ')} ou um intervalo como "1-3,5"`);
+        }
+
+        return { errors, template };
+    },
+
+    /**
+     * Aplica o carimbo em uma cópia do PDF
+     * @param {string} inputPath - PDF original
+     * @param {string} outputPath - Cópia com o carimbo
+     * @param {Object} template - Modelo de carimbo (registro do banco)
+     * @param {Object} context - Valores dos marcadores (user, date, printer, jobId)
+     * @returns {Promise<number>} Quantidade de páginas carimbadas
+     */
+    applyStamp: async (inputPath, outputPath, template, context = {}) => {
+        const pdf = await PDFDocument.load(await fs.promises.readFile(inputPath));
+        const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+        const text = toLatin1(fillPlaceholders(template.text, context));
+        const size = Number(template.fontsize);
+        const opacity = Number(template.opacity);
+        const color = toRgb(template.color);
+        const margin = CONSTANTS.STAMP.MARGIN;
+
+        const pages = pdf.getPages();
+        const selected = selectPages(template.pages, pages.length);
+
+        for (const index of selected) {
+            const page = pages[index];
+            const { width, height } = page.getSize();
+            const textWidth = font.widthOfTextAtSize(text, size);
+            const textHeight = font.heightAtSize(size);
+
+            if (template.position === 'diagonal') {
+                const angle = Math.atan2(height, width);
+
+                // Centraliza o texto girado no meio da página
+                page.drawText(text, {
+                    x: width / 2 - (textWidth / 2) * Math.cos(angle) + (textHeight / 2) * Math.sin(angle),
+                    y: height / 2 - (textWidth / 2) * Math.sin(angle) - (textHeight / 2) * Math.cos(angle),
+                    size,
+                    font,
+                    color,
+                    opacity,
+                    rotate: degrees(angle * 180 / Math.PI)
+                });
+                continue;
+            }
+
+            const [vertical, horizontal = 'center'] = template.position.split('-');
+
+            const x = {
+                left: margin,
+                center: (width - textWidth) / 2,
+                right: width - margin - textWidth
+            }[horizontal];
+
+            const y = {
+                top: height - margin - textHeight,
+                center: (height - textHeight) / 2,
+                bottom: margin
+            }[vertical];
+
+            page.drawText(text, { x, y, size, font, color, opacity });
+        }
+
+        await fs.promises.writeFile(outputPath, await pdf.save());
+
+        return selected.length;
+    }
+}
@@ -0,0 +1,161 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Obtém todos os modelos de carimbo
+     * @returns {Promise<Array>} Lista de modelos
+     */
+    getAll: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.stamp_templates WHERE deletedAt IS NULL ORDER BY name;`;
+
+            let templates = await Core(sql);
+
+            if (!Array.isArray(templates)) {
+                templates = [templates];
+            }
+
+            return templates;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Get All Stamp Templates',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter os modelos de carimbo! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém um modelo de carimbo pelo ID
+     * @param {string} id ID do modelo
+     * @returns {Promise<Object>} Dados do modelo
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.stamp_templates WHERE id = $1 AND deletedAt IS NULL;`;
+
+            const template = await Core(sql, [id]);
+
+            return template;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Get Stamp Template By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter o modelo de carimbo! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Insere um novo modelo de carimbo
+     * @param {Array} data Dados do modelo
+     * @returns {Promise<Object>} Modelo inserido
+     */
+    insert: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.stamp_templates (
+                id, name, text, position, fontSize,
+                opacity, color, pages, createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+            ) RETURNING *;`;
+
+            const template = await Core(sql, data);
+
+            return template;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Insert Stamp Template',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao cadastrar o modelo de carimbo! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza um modelo de carimbo
+     * @param {Array} data Dados do modelo
+     * @returns {Promise<Object>} Modelo atualizado
+     */
+    update: async (data) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.stamp_templates SET 
+                name = $1, 
+                text = $2, 
+                position = $3,
+                fontSize = $4,
+                opacity = $5,
+                color = $6,
+                pages = $7,
+                updatedAt = $8
+            WHERE id = $9 RETURNING *;`;
+
+            const template = await Core(sql, data);
+
+            return template;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Update Stamp Template',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao alterar o modelo de carimbo! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Marca um modelo de carimbo como excluído e o remove das impressoras que o usam
+     * @param {string} id ID do modelo
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    delete: async (id) => {
+        try {
+            await Core(`UPDATE ${CONSTANTS.DB.DATABASE}.printers SET stamp_template_id = NULL WHERE stamp_template_id = $1;`, [id]);
+
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.stamp_templates SET 
+                deletedAt = $1 
+            WHERE id = $2 RETURNING *;`;
+
+            const template = await Core(sql, [new Date(), id]);
+
+            return template;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.STAMPS,
+                operation: 'Delete Stamp Template',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao excluir o modelo de carimbo! Tente novamente mais tarde"
+            };
+        }
+    }
+}
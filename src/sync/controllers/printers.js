@@ -117,6 +117,7 @@ module.exports = {
                 }
                 
                 let printerWasSetUp = false;
+                let driverResult = null;
                 
                 // Configurar impressora no CUPS
                 if (ip_address && isConnected) {
@@ -131,7 +132,9 @@ module.exports = {
                             description: description || `Impressora ${name}`,
                             location: location || 'Local não especificado',
                             ip_address,
-                            port
+                            port,
+                            // O driver forçado é configuração local e não vem do servidor
+                            driverOverride: exists ? existingPrinter.driver_override : null
                         };
                         
                         // Tentar configurar a impressora no CUPS
@@ -139,7 +142,12 @@ module.exports = {
                         
                         if (cupsResult.success) {
                             printerWasSetUp = true;
+                            driverResult = cupsResult;
                             console.log(`Impressora ${name} configurada com sucesso no CUPS`);
+
+                            if (cupsResult.driverWarning) {
+                                result.details.warnings.push({ id, name, warning: cupsResult.driverWarning });
+                            }
                         } else {
                             result.details.warnings.push({
                                 id,
@@ -233,6 +241,11 @@ module.exports = {
                             });
                         }
                     }
+
+                    // Registra o driver realmente instalado no CUPS
+                    if (driverResult) {
+                        await Printer.updateDriverResult(id, driverResult.model, driverResult.driverSelection, driverResult.driverWarning);
+                    }
                 } catch (error) {
                     console.error(`Erro ao ${exists ? 'atualizar' : 'criar'} impressora ${name}:`, error);
                     result.details.errors.push({
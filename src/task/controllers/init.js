@@ -0,0 +1,26 @@
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const { loadTasks, scheduleTask } = require('../helpers/scheduler');
+
+module.exports = {
+    /**
+     * Inicia o agendador de tarefas com a configuração salva no banco
+     */
+    schedulerInit: async () => {
+        try {
+            const tasks = await loadTasks();
+
+            const scheduled = tasks.filter(task => scheduleTask(task));
+
+            console.log(`Agendador de tarefas iniciado com sucesso (${scheduled.length} tarefa(s) ativa(s))`);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Scheduler Init',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+        }
+    }
+}
@@ -0,0 +1,179 @@
+const Tasks = require('../models/tasks');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const responseHandler = require('../../../helper/responseHandler');
+const { getNextRun } = require('../../jobs/helpers/schedule');
+const { runTask, scheduleTask, getTaskState } = require('../helpers/scheduler');
+
+module.exports = {
+    getTasks: async (request, response) => {
+        try {
+            const tasks = await Tasks.getAll();
+
+            if (tasks.message) {
+                return responseHandler.badRequest(response, tasks.message);
+            }
+
+            return responseHandler.success(response, 'Tarefas encontradas!', tasks.map(task => ({
+                ...task,
+                ...getTaskState(task.id)
+            })));
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Get Tasks',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter as tarefas!');
+        }
+    },
+
+    updateTask: async (request, response) => {
+        try {
+            const current = await Tasks.getById(request.params.id);
+
+            if (current.message) {
+                return responseHandler.badRequest(response, current.message);
+            }
+
+            if (!current.id) {
+                return responseHandler.notFound(response, 'Tarefa não encontrada!');
+            }
+
+            const cron = request.body.cron !== undefined ? request.body.cron : current.cron;
+            const enabled = request.body.enabled !== undefined ? request.body.enabled : current.enabled;
+            const timeoutMs = request.body.timeoutMs !== undefined ? request.body.timeoutMs : current.timeoutms;
+
+            const errors = [];
+
+            if (!getNextRun(cron)) {
+                errors.push('Expressão cron inválida! Use 5 campos (ou 6, com os segundos). Exemplo: 0 * * * * (a cada hora) ou */30 * * * * * (a cada 30 segundos)');
+            }
+
+            if (typeof enabled !== 'boolean') {
+                errors.push('O campo enabled deve ser verdadeiro ou falso!');
+            }
+
+            if (!Number.isInteger(timeoutMs) || timeoutMs < 1000 || timeoutMs > CONSTANTS.TASK.MAX_TIMEOUT_MS) {
+                errors.push(`O tempo limite deve ser de 1000 a ${CONSTANTS.TASK.MAX_TIMEOUT_MS} ms!`);
+            }
+
+            if (errors.length > 0) {
+                return responseHandler.badRequest(response, 'Tarefa inválida!', errors);
+            }
+
+            const task = await Tasks.update([cron.trim(), enabled, timeoutMs, new Date(), current.id]);
+
+            if (task.message) {
+                return responseHandler.badRequest(response, task.message);
+            }
+
+            scheduleTask(task);
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Update Task',
+                beforeData: current,
+                afterData: task,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.success(response, 'Tarefa alterada com sucesso!', { ...task, ...getTaskState(task.id) });
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Update Task',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao alterar a tarefa! Tente novamente mais tarde');
+        }
+    },
+
+    runTaskNow: async (request, response) => {
+        try {
+            const task = await Tasks.getById(request.params.id);
+
+            if (task.message) {
+                return responseHandler.badRequest(response, task.message);
+            }
+
+            if (!task.id) {
+                return responseHandler.notFound(response, 'Tarefa não encontrada!');
+            }
+
+            Log.audit({
+                logType: CONSTANTS.LOG.UPDATE,
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Run Task',
+                beforeData: task,
+                userInfo: request.user.userInfo
+            });
+
+            const run = await runTask(task, 'manual');
+
+            if (!run) {
+                return responseHandler.badRequest(response, 'A tarefa já está em execução!');
+            }
+
+            if (run.message) {
+                return responseHandler.badRequest(response, run.message);
+            }
+
+            return responseHandler.success(response, 'Tarefa executada!', run);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Run Task',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao executar a tarefa!');
+        }
+    },
+
+    getTaskRuns: async (request, response) => {
+        try {
+            const task = await Tasks.getById(request.params.id);
+
+            if (task.message) {
+                return responseHandler.badRequest(response, task.message);
+            }
+
+            if (!task.id) {
+                return responseHandler.notFound(response, 'Tarefa não encontrada!');
+            }
+
+            const limit = Math.min(parseInt(request.query.limit, 10) || 50, CONSTANTS.TASK.MAX_RUNS);
+            const runs = await Tasks.getRuns(task.id, limit);
+
+            if (runs.message) {
+                return responseHandler.badRequest(response, runs.message);
+            }
+
+            return responseHandler.success(response, 'Execuções da tarefa encontradas!', runs);
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Get Task Runs',
+                errorMessage: error.message,
+                errorStack: error.stack,
+                userInfo: request.user.userInfo
+            });
+
+            return responseHandler.internalServerError(response, 'Ocorreu um erro ao obter as execuções da tarefa!');
+        }
+    }
+}
@@ -0,0 +1,97 @@
+const Tasks = require('../models/tasks');
+const CONSTANTS = require('../../../helper/constants');
+const { checkAllFiles, deleteOldFiles } = require('../../monitor/controllers/monitor');
+const { updateJobStates } = require('../../jobs/controllers/poller');
+const { processQueue } = require('../../jobs/controllers/queue');
+const { purgeExpired } = require('../../jobs/controllers/secure');
+const { pollAllPrinters } = require('../../printers/helpers/health');
+const { pollAllSupplies } = require('../../printers/helpers/supplies');
+const { pollAllCounters } = require('../../printers/helpers/counters');
+
+/**
+ * Tarefas conhecidas pelo agendador, com a configuração usada no primeiro cadastro
+ * Expressões cron com seis campos incluem os segundos
+ * Tarefas com historyOnChange rodam a cada poucos segundos e só gravam no histórico as execuções
+ * agendadas que falharam ou que mudaram o estado em relação à anterior
+ */
+const TASKS = {
+    'monitor-rescan': {
+        name: 'Verificação da pasta compartilhada',
+        description: 'Procura arquivos que não foram detectados pelo monitor da pasta',
+        cron: '*/5 * * * * *',
+        timeoutMs: 1000 * 60,
+        historyOnChange: true,
+        handler: () => checkAllFiles(CONSTANTS.SAMBA.BASE_PATH_FILES)
+    },
+    'files-cleanup': {
+        name: 'Limpeza de arquivos antigos',
+        description: 'Remove arquivos, miniaturas e originais mais antigos que FILES_OLD_THRESHOLD_DAYS',
+        cron: '0 * * * *',
+        timeoutMs: 1000 * 60 * 30,
+        handler: () => deleteOldFiles(CONSTANTS.SAMBA.BASE_PATH_FILES)
+    },
+    'job-poller': {
+        name: 'Acompanhamento de trabalhos',
+        description: 'Atualiza o estado dos trabalhos enviados ao CUPS ou diretamente às impressoras',
+        cron: '*/10 * * * * *',
+        timeoutMs: 1000 * 60,
+        historyOnChange: true,
+        handler: () => updateJobStates()
+    },
+    'print-queue': {
+        name: 'Fila de impressão',
+        description: 'Envia os arquivos da fila cuja próxima tentativa ou horário agendado já venceu',
+        cron: '*/15 * * * * *',
+        timeoutMs: 1000 * 60 * 5,
+        historyOnChange: true,
+        handler: () => processQueue()
+    },
+    'secure-release-purge': {
+        name: 'Expiração da liberação segura',
+        description: 'Descarta os documentos retidos que não foram liberados no prazo',
+        cron: '0 * * * * *',
+        timeoutMs: 1000 * 60,
+        handler: () => purgeExpired()
+    },
+    'printer-health': {
+        name: 'Saúde das impressoras',
+        description: `Consulta o estado das impressoras por SNMP e mantém ${CONSTANTS.SNMP.HEALTH_HISTORY_DAYS} dias de histórico`,
+        cron: '*/5 * * * *',
+        timeoutMs: 1000 * 60 * 5,
+        handler: () => pollAllPrinters()
+    },
+    'printer-supplies': {
+        name: 'Consumíveis das impressoras',
+        description: 'Lê os níveis de toner, tinta e papel por SNMP e gera alertas de consumível baixo ou bandeja vazia',
+        cron: '*/15 * * * *',
+        timeoutMs: 1000 * 60 * 5,
+        handler: () => pollAllSupplies()
+    },
+    'page-counters': {
+        name: 'Contadores de páginas',
+        description: `Registra o contador de páginas das impressoras por SNMP e mantém ${CONSTANTS.PAGE_COUNTER.HISTORY_DAYS} dias de leituras`,
+        cron: '0 * * * *',
+        timeoutMs: 1000 * 60 * 5,
+        handler: () => pollAllCounters()
+    },
+    'task-history-cleanup': {
+        name: 'Limpeza do histórico de tarefas',
+        description: `Remove as execuções com mais de ${CONSTANTS.TASK.HISTORY_DAYS} dias`,
+        cron: '30 3 * * *',
+        timeoutMs: 1000 * 60 * 10,
+        handler: async () => {
+            const before = new Date(Date.now() - CONSTANTS.TASK.HISTORY_DAYS * 24 * 60 * 60 * 1000);
+            const result = await Tasks.deleteRunsBefore(before);
+
+            if (result.message) {
+                throw new Error(result.message);
+            }
+
+            return { deleted: result.deleted };
+        }
+    }
+};
+
+module.exports = {
+    TASKS
+}
@@ -0,0 +1,193 @@
+const nodeSchedule = require('node-schedule');
+const { v7: uuid } = require('uuid');
+const Tasks = require('../models/tasks');
+const { TASKS } = require('./registry');
+const Log = require('../../../helper/log');
+const CONSTANTS = require('../../../helper/constants');
+const { getNextRun } = require('../../jobs/helpers/schedule');
+
+// Jobs do node-schedule por tarefa
+const scheduledJobs = new Map();
+
+// Execuções em andamento por tarefa, usadas para impedir sobreposição
+const runningTasks = new Map();
+
+// Último estado de cada tarefa, usado pelas tarefas que só registram mudanças
+const lastStatuses = new Map();
+
+/**
+ * Executa uma tarefa, registrando o histórico e respeitando o tempo limite
+ * A trava contra sobreposição só é liberada quando a execução realmente termina,
+ * mesmo que o tempo limite já tenha sido atingido
+ * @param {Object} task - Registro da tarefa
+ * @param {string} trigger - schedule ou manual
+ * @returns {Promise<Object|null>} Execução registrada ou null se a tarefa já estava em execução
+ */
+const runTask = async (task, trigger = 'schedule') => {
+    const definition = TASKS[task.id];
+
+    if (!definition || runningTasks.has(task.id)) {
+        return null;
+    }
+
+    const startedAt = new Date();
+    const execution = Promise.resolve().then(() => definition.handler());
+
+    runningTasks.set(task.id, execution);
+    execution.catch(() => {}).finally(() => runningTasks.delete(task.id));
+
+    // Execuções manuais sempre entram no histórico
+    const recordAll = trigger === 'manual' || !definition.historyOnChange;
+    let run = recordAll ? await Tasks.insertRun([uuid(), task.id, trigger, startedAt]) : null;
+
+    let timer = null;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ timedOut: true }), task.timeoutms);
+    });
+
+    let status = 'success';
+    let errorMessage = null;
+    let result = null;
+
+    try {
+        const outcome = await Promise.race([execution.then(value => ({ value })), timeout]);
+
+        if (outcome.timedOut) {
+            status = 'timeout';
+            errorMessage = `Tempo limite de ${task.timeoutms} ms excedido`;
+            console.warn(`Tarefa ${task.id}: ${errorMessage}`);
+        } else if (outcome.value && typeof outcome.value === 'object') {
+            result = outcome.value;
+        }
+    } catch (error) {
+        status = 'failed';
+        errorMessage = error.message;
+
+        console.error(error);
+        Log.error({
+            entity: CONSTANTS.LOG.MODULE.TASK,
+            operation: `Run Task ${task.id}`,
+            errorMessage: error.message,
+            errorStack: error.stack
+        });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const finishedAt = new Date();
+    const summary = {
+        status,
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        errorMessage,
+        result
+    };
+
+    const previousStatus = lastStatuses.has(task.id) ? lastStatuses.get(task.id) : task.laststatus;
+    lastStatuses.set(task.id, status);
+
+    if (!recordAll) {
+        // Sem falha nem mudança de estado, só o último resultado da tarefa é atualizado
+        if (status === 'success' && previousStatus === 'success') {
+            return Tasks.finishRun(task.id, null, summary);
+        }
+
+        run = await Tasks.insertRun([uuid(), task.id, trigger, startedAt]);
+    }
+
+    return Tasks.finishRun(task.id, run && run.id ? run.id : null, summary);
+}
+
+/**
+ * Agenda (ou reagenda) uma tarefa no node-schedule
+ * Tarefas desativadas apenas têm o agendamento anterior cancelado
+ * @param {Object} task - Registro da tarefa
+ * @returns {boolean} Se a tarefa ficou agendada
+ */
+const scheduleTask = (task) => {
+    const current = scheduledJobs.get(task.id);
+    if (current) {
+        current.cancel();
+        scheduledJobs.delete(task.id);
+    }
+
+    if (!task.enabled || !TASKS[task.id]) {
+        return false;
+    }
+
+    // Valida antes de agendar, pois o node-schedule interpreta como data o que não for uma expressão cron
+    const job = getNextRun(task.cron) && nodeSchedule.scheduleJob(task.id, task.cron.trim(), () => {
+        runTask(task, 'schedule');
+    });
+
+    if (!job) {
+        console.error(`Tarefa ${task.id}: expressão cron inválida (${task.cron})`);
+        return false;
+    }
+
+    scheduledJobs.set(task.id, job);
+
+    return true;
+}
+
+/**
+ * Monta o registro de uma tarefa com a configuração padrão
+ * Usado quando o banco não está disponível, para que a manutenção não pare
+ * @param {string} id - ID da tarefa
+ * @returns {Object}
+ */
+const getDefaultTask = (id) => {
+    const definition = TASKS[id];
+
+    return {
+        id,
+        name: definition.name,
+        description: definition.description,
+        cron: definition.cron,
+        enabled: true,
+        timeoutms: definition.timeoutMs
+    };
+}
+
+module.exports = {
+    runTask,
+    scheduleTask,
+
+    /**
+     * Cadastra as tarefas conhecidas que ainda não existem no banco e retorna a configuração salva
+     * @returns {Promise<Array<Object>>} Tarefas
+     */
+    loadTasks: async () => {
+        const now = new Date();
+
+        for (const [id, definition] of Object.entries(TASKS)) {
+            await Tasks.insertDefault([id, definition.name, definition.description, definition.cron, definition.timeoutMs, now, now]);
+        }
+
+        const tasks = await Tasks.getAll();
+
+        if (tasks.message) {
+            console.warn('Não foi possível carregar as tarefas do banco, usando a configuração padrão');
+            return Object.keys(TASKS).map(getDefaultTask);
+        }
+
+        return tasks.filter(task => TASKS[task.id]);
+    },
+
+    /**
+     * Obtém a situação atual de uma tarefa no agendador
+     * @param {string} id - ID da tarefa
+     * @returns {{scheduled: boolean, running: boolean, nextRun: Date|null}}
+     */
+    getTaskState: (id) => {
+        const job = scheduledJobs.get(id);
+        const next = job ? job.nextInvocation() : null;
+
+        return {
+            scheduled: Boolean(job),
+            running: runningTasks.has(id),
+            nextRun: next ? new Date(next.getTime()) : null
+        };
+    }
+}
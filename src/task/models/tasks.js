@@ -0,0 +1,277 @@
+const Log = require('../../../helper/log');
+const { Core } = require('../../../db/core');
+const CONSTANTS = require('../../../helper/constants');
+
+module.exports = {
+    /**
+     * Cadastra uma tarefa com a configuração padrão, se ela ainda não existir
+     * @param {Array} data Dados da tarefa (id, name, description, cron, timeoutMs, createdAt, updatedAt)
+     * @returns {Promise<Object>} Resultado da operação
+     */
+    insertDefault: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.tasks (
+                id, name, description, cron, timeoutMs, createdAt, updatedAt
+            ) VALUES (
+                $1, $2, $3, $4, $5, $6, $7
+            ) ON CONFLICT (id) DO UPDATE SET
+                name = EXCLUDED.name,
+                description = EXCLUDED.description
+            RETURNING *;`;
+
+            const task = await Core(sql, data);
+
+            return task;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Insert Default Task',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao cadastrar a tarefa! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém todas as tarefas
+     * @returns {Promise<Array>} Lista de tarefas
+     */
+    getAll: async () => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.tasks ORDER BY id;`;
+
+            let tasks = await Core(sql);
+
+            if (!Array.isArray(tasks)) {
+                tasks = [tasks];
+            }
+
+            return tasks;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Get All Tasks',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter as tarefas! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Obtém uma tarefa pelo ID
+     * @param {string} id ID da tarefa
+     * @returns {Promise<Object>} Dados da tarefa
+     */
+    getById: async (id) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.tasks WHERE id = $1;`;
+
+            const task = await Core(sql, [id]);
+
+            return task;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Get Task By Id',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter a tarefa! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Atualiza o agendamento de uma tarefa
+     * @param {Array} data Dados da tarefa (cron, enabled, timeoutMs, updatedAt, id)
+     * @returns {Promise<Object>} Tarefa atualizada
+     */
+    update: async (data) => {
+        try {
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.tasks SET 
+                cron = $1, 
+                enabled = $2, 
+                timeoutMs = $3,
+                updatedAt = $4
+            WHERE id = $5 RETURNING *;`;
+
+            const task = await Core(sql, data);
+
+            return task;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Update Task',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao alterar a tarefa! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Registra o início de uma execução
+     * @param {Array} data Dados da execução (id, taskId, trigger, startedAt)
+     * @returns {Promise<Object>} Execução criada
+     */
+    insertRun: async (data) => {
+        try {
+            const sql = `INSERT INTO ${CONSTANTS.DB.DATABASE}.task_runs (
+                id, taskId, trigger, startedAt
+            ) VALUES (
+                $1, $2, $3, $4
+            ) RETURNING *;`;
+
+            const run = await Core(sql, data);
+
+            return run;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Insert Task Run',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar a execução da tarefa! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Registra o fim de uma execução e o último resultado da tarefa
+     * @param {string} taskId ID da tarefa
+     * @param {string|null} runId ID da execução
+     * @param {Object} data Resultado da execução
+     * @param {string} data.status success, failed ou timeout
+     * @param {Date} data.startedAt Início da execução
+     * @param {Date} data.finishedAt Fim da execução
+     * @param {number} data.durationMs Duração em milissegundos
+     * @param {string|null} data.errorMessage Motivo da falha
+     * @param {*} data.result Resultado retornado pela tarefa
+     * @returns {Promise<Object>} Execução atualizada
+     */
+    finishRun: async (taskId, runId, { status, startedAt, finishedAt, durationMs, errorMessage, result }) => {
+        try {
+            const taskSql = `UPDATE ${CONSTANTS.DB.DATABASE}.tasks SET 
+                lastRunAt = $1, 
+                lastStatus = $2, 
+                lastDurationMs = $3,
+                lastError = $4
+            WHERE id = $5;`;
+
+            await Core(taskSql, [startedAt, status, durationMs, errorMessage, taskId]);
+
+            if (!runId) {
+                return { taskId, status, startedAt, finishedAt, durationMs, errorMessage, result };
+            }
+
+            const sql = `UPDATE ${CONSTANTS.DB.DATABASE}.task_runs SET 
+                status = $1, 
+                finishedAt = $2, 
+                durationMs = $3,
+                errorMessage = $4,
+                result = $5
+            WHERE id = $6 RETURNING *;`;
+
+            const run = await Core(sql, [status, finishedAt, durationMs, errorMessage, result, runId]);
+
+            return run;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Finish Task Run',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao registrar o resultado da tarefa! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Lista as últimas execuções de uma tarefa
+     * @param {string} taskId ID da tarefa
+     * @param {number} limit Quantidade máxima de execuções
+     * @returns {Promise<Array>} Execuções, da mais recente para a mais antiga
+     */
+    getRuns: async (taskId, limit = 50) => {
+        try {
+            const sql = `SELECT * FROM ${CONSTANTS.DB.DATABASE}.task_runs
+                WHERE taskId = $1
+                ORDER BY startedAt DESC
+                LIMIT $2;`;
+
+            let runs = await Core(sql, [taskId, limit]);
+
+            if (!Array.isArray(runs)) {
+                runs = [runs];
+            }
+
+            return runs;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Get Task Runs',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao obter as execuções da tarefa! Tente novamente mais tarde"
+            };
+        }
+    },
+
+    /**
+     * Remove as execuções anteriores a uma data
+     * @param {Date} before Data limite
+     * @returns {Promise<Object>} Quantidade de execuções removidas
+     */
+    deleteRunsBefore: async (before) => {
+        try {
+            const sql = `WITH deleted AS (
+                DELETE FROM ${CONSTANTS.DB.DATABASE}.task_runs WHERE startedAt < $1 RETURNING 1
+            ) SELECT COUNT(*)::int AS deleted FROM deleted;`;
+
+            const result = await Core(sql, [before]);
+
+            return result;
+        } catch (error) {
+            console.error(error);
+            Log.error({
+                entity: CONSTANTS.LOG.MODULE.TASK,
+                operation: 'Delete Task Runs',
+                errorMessage: error.message,
+                errorStack: error.stack
+            });
+
+            return {
+                message: "Ocorreu um erro ao limpar o histórico de tarefas! Tente novamente mais tarde"
+            };
+        }
+    }
+}
@@ -0,0 +1,162 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const cupsAdapter = require('../src/printers/helpers/cupsAdapter');
+const drivers = require('../src/printers/helpers/drivers');
+const CONSTANTS = require('../helper/constants');
+
+const { MIN_SCORE } = CONSTANTS.DRIVERS;
+
+// Trecho da saída de "lpinfo -l -m" em um servidor com hplip, brlaser e foomatic
+const LPINFO_OUTPUT = `Model:  name = drv:///hpcups.drv/hp-laserjet_pro_m404-m405.ppd
+        natural_language = en
+        make-and-model = HP LaserJet Pro M404-M405, hpcups 3.22.10
+        device-id = MFG:HP;MDL:HP LaserJet Pro M404-M405;DES:HP LaserJet Pro M404-M405;
+Model:  name = postscript-hp:0/ppd/hplip/HP/hp-laserjet_pro_m404-m405-ps.ppd
+        natural_language = en
+        make-and-model = HP LaserJet Pro M404-M405 Postscript (recommended)
+        device-id = MFG:HP;MDL:HP LaserJet Pro M404-M405;CMD:PJL,PCL,POSTSCRIPT,PDF;
+Model:  name = drv:///hpcups.drv/hp-laserjet_pro_m501.ppd
+        natural_language = en
+        make-and-model = HP LaserJet Pro M501, hpcups 3.22.10
+        device-id = MFG:HP;MDL:HP LaserJet Pro M501;DES:HP LaserJet Pro M501;
+Model:  name = drv:///hpcups.drv/hp-laserjet_1020.ppd
+        natural_language = en
+        make-and-model = HP LaserJet 1020, hpcups 3.22.10
+        device-id = MFG:Hewlett-Packard;MDL:HP LaserJet 1020;DES:HP LaserJet 1020;
+Model:  name = drv:///brlaser.drv/br2350d.ppd
+        natural_language = en
+        make-and-model = Brother HL-L2350DW series, using brlaser v6
+        device-id = MFG:Brother;MDL:HL-L2350DW series;CMD:PJL,HBP,URF;
+Model:  name = foomatic-db-compressed-ppds:0/ppd/foomatic-ppd/Generic-PostScript_Printer-Postscript.ppd
+        natural_language = en
+        make-and-model = Generic PostScript Printer Foomatic/Postscript (recommended)
+        device-id = MFG:Generic;MDL:PostScript Printer;DES:Generic PostScript Printer;CMD:POSTSCRIPT;
+Model:  name = foomatic-db-compressed-ppds:0/ppd/foomatic-ppd/Generic-PCL_6_PCL_XL_Printer-pxlcolor.ppd
+        natural_language = en
+        make-and-model = Generic PCL 6/PCL XL Printer Foomatic/pxlcolor (recommended)
+        device-id = MFG:Generic;MDL:PCL 6/PCL XL Printer;CMD:PCLXL;
+Model:  name = everywhere
+        natural_language = en
+        make-and-model = IPP Everywhere
+        device-id =
+`;
+
+describe('leitura do lpinfo -l -m', () => {
+    test('parseModelList separa os drivers e os seus detalhes', () => {
+        const models = cupsAdapter.parseModelList(LPINFO_OUTPUT);
+
+        assert.equal(models.length, 8);
+        assert.deepEqual(models[0], {
+            name: 'drv:///hpcups.drv/hp-laserjet_pro_m404-m405.ppd',
+            makeAndModel: 'HP LaserJet Pro M404-M405, hpcups 3.22.10',
+            language: 'en',
+            deviceId: 'MFG:HP;MDL:HP LaserJet Pro M404-M405;DES:HP LaserJet Pro M404-M405;'
+        });
+        assert.equal(models.at(-1).name, 'everywhere');
+        assert.equal(models.at(-1).deviceId, null);
+    });
+
+    test('parseDeviceId lê fabricante, modelo e linguagens do device_id', () => {
+        assert.deepEqual(drivers.parseDeviceId('MFG:HP;MDL:HP LaserJet Pro M404-M405;CMD:PJL,PCL,POSTSCRIPT,PDF;'), {
+            make: 'HP',
+            model: 'HP LaserJet Pro M404-M405',
+            commands: ['PJL', 'PCL', 'POSTSCRIPT', 'PDF']
+        });
+        assert.deepEqual(drivers.parseDeviceId(null), { make: null, model: null, commands: [] });
+    });
+});
+
+describe('classificação dos drivers', () => {
+    const listModelsDetailed = cupsAdapter.listModelsDetailed;
+    let catalog;
+
+    before(async () => {
+        cupsAdapter.listModelsDetailed = async () => cupsAdapter.parseModelList(LPINFO_OUTPUT);
+        catalog = await drivers.loadCatalog(true);
+    });
+
+    after(() => {
+        cupsAdapter.listModelsDetailed = listModelsDetailed;
+    });
+
+    test('o catálogo separa os fabricantes e reconhece o IPP Everywhere', () => {
+        assert.equal(catalog.ippEverywhere, true);
+        assert.deepEqual([...catalog.makes].sort(), ['brother', 'generic', 'hp']);
+    });
+
+    test('uma HP M404dn recebe um driver da família M404-M405 com confiança alta', () => {
+        const suggestions = drivers.rankDrivers(catalog, 'HP LaserJet Pro M404dn');
+        const [best] = suggestions;
+
+        assert.match(best.makeAndModel, /M404-M405/);
+        assert.equal(best.confidence, 'high');
+        assert.equal(best.pdl, 'postscript');
+
+        // Modelos de outro número ficam abaixo da pontuação mínima para a escolha automática
+        for (const suggestion of suggestions.filter(item => !/M404-M405/.test(item.makeAndModel))) {
+            assert.ok(suggestion.score < MIN_SCORE, `${suggestion.makeAndModel}: ${suggestion.score}`);
+        }
+    });
+
+    test('o texto idêntico ao do driver tem pontuação máxima', () => {
+        const [best] = drivers.rankDrivers(catalog, 'HP LaserJet 1020');
+
+        assert.equal(best.name, 'drv:///hpcups.drv/hp-laserjet_1020.ppd');
+        assert.equal(best.score, 1);
+    });
+
+    test('um texto genérico, sem o número do modelo, não é escolhido automaticamente', () => {
+        for (const text of ['HP LaserJet', 'Generic Printer']) {
+            const suggestions = drivers.rankDrivers(catalog, text);
+
+            assert.ok(suggestions.length > 0, text);
+            for (const suggestion of suggestions) {
+                assert.ok(suggestion.score < MIN_SCORE, `${text} -> ${suggestion.makeAndModel}: ${suggestion.score}`);
+                assert.equal(suggestion.confidence, 'low');
+            }
+        }
+    });
+
+    test('um modelo sem driver no catálogo não recebe sugestão confiável', () => {
+        const suggestions = drivers.rankDrivers(catalog, 'HP LaserJet Pro MFP M428fdw');
+
+        assert.ok(suggestions.length > 0);
+        assert.ok(suggestions.every(suggestion => suggestion.score < MIN_SCORE && suggestion.confidence === 'low'));
+    });
+
+    test('os drivers driverless ficam fora da classificação', () => {
+        const suggestions = drivers.rankDrivers(catalog, 'IPP Everywhere');
+
+        assert.ok(suggestions.every(suggestion => suggestion.name !== 'everywhere'));
+    });
+});
+
+describe('escolha da fila sem driver', () => {
+    const checkDriverless = drivers.checkDriverless;
+    const checked = [];
+
+    before(() => {
+        drivers.checkDriverless = async (uri) => {
+            checked.push(uri);
+            return { supported: true, reason: 'A impressora anuncia IPP Everywhere' };
+        };
+    });
+
+    after(() => {
+        drivers.checkDriverless = checkDriverless;
+    });
+
+    test('uma URI dnssd de serviço IPP é verificada no endereço resolvido', async () => {
+        const choice = await drivers.chooseDriver({
+            driver: 'HP LaserJet Pro M404dn',
+            printer: {
+                uri: 'dnssd://HP%20LaserJet%20Pro%20M404dn%20%5B1A2B3C%5D._ipps._tcp.local/?uuid=564e4333-3132-4d34-3034-a0b3cc1a2b3c',
+                ip_address: '192.168.0.40',
+                port: 443
+            }
+        });
+
+        assert.equal(checked.at(-1), 'ipps://192.168.0.40:443/ipp/print');
+        assert.equal(choice.model, 'everywhere');
+    });
+});
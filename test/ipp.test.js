@@ -0,0 +1,217 @@
+const http = require('http');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ipp = require('../src/printers/helpers/ipp');
+
+const { OPERATIONS, GROUPS, TAGS, IppError } = ipp;
+
+/**
+ * Monta uma resposta IPP, com o código de status no lugar da operação
+ * @param {number} statusCode - Código de status IPP
+ * @param {number} requestId - Identificador da requisição respondida
+ * @param {Array} groups - Grupos além do grupo de operação
+ * @param {string} version - Versão IPP da resposta
+ * @returns {Buffer}
+ */
+const buildResponse = (statusCode, requestId, groups = [], version = '2.0') => ipp.encode({
+    operation: statusCode,
+    requestId,
+    version,
+    groups: [{
+        group: GROUPS.OPERATION,
+        attributes: [
+            { name: 'attributes-charset', tag: TAGS.CHARSET, value: 'utf-8' },
+            { name: 'attributes-natural-language', tag: TAGS.NATURAL_LANGUAGE, value: 'en' }
+        ]
+    }, ...groups]
+});
+
+describe('codificação IPP', () => {
+    test('decodifica o que foi codificado, com valores múltiplos e intervalos', () => {
+        const buffer = ipp.encode({
+            operation: OPERATIONS.PRINT_JOB,
+            requestId: 42,
+            groups: [{
+                group: GROUPS.JOB,
+                attributes: [
+                    { name: 'copies', tag: TAGS.INTEGER, value: 2 },
+                    { name: 'print-color-mode', tag: TAGS.KEYWORD, value: 'monochrome' },
+                    { name: 'page-ranges', tag: TAGS.RANGE_OF_INTEGER, value: [[1, 3], [5, 5]] },
+                    { name: 'finishings', tag: TAGS.ENUM, value: [3, 4] },
+                    { name: 'job-hold', tag: TAGS.BOOLEAN, value: false }
+                ]
+            }],
+            data: Buffer.from('%PDF-1.4')
+        });
+
+        const message = ipp.decode(buffer);
+
+        assert.equal(message.version, '2.0');
+        assert.equal(message.statusCode, OPERATIONS.PRINT_JOB);
+        assert.equal(message.requestId, 42);
+        assert.deepEqual(message.job, {
+            'copies': 2,
+            'print-color-mode': 'monochrome',
+            'page-ranges': [[1, 3], [5, 5]],
+            'finishings': [3, 4],
+            'job-hold': false
+        });
+        assert.equal(message.data.toString(), '%PDF-1.4');
+    });
+
+    test('recusa mensagens curtas ou truncadas', () => {
+        assert.throws(() => ipp.decode(Buffer.alloc(4)), IppError);
+        assert.throws(() => ipp.decode(Buffer.from([2, 0, 0, 0, 0, 0, 0, 1, GROUPS.OPERATION, TAGS.KEYWORD, 0])), IppError);
+    });
+
+    test('recusa tamanhos de nome ou de valor maiores que a mensagem', () => {
+        const header = [2, 0, 0, 0, 0, 0, 0, 1, GROUPS.OPERATION];
+
+        // Nome declarado com 64 bytes em uma mensagem de 16
+        assert.throws(() => ipp.decode(Buffer.from([...header, TAGS.KEYWORD, 0x00, 0x40, 0x61, 0x62, 0x63, 0x64])), IppError);
+
+        // Valor declarado com 16 bytes, mas apenas 2 presentes
+        assert.throws(() => ipp.decode(Buffer.from([...header, TAGS.KEYWORD, 0, 1, 0x61, 0, 16, 0x62, 0x63])), IppError);
+    });
+
+    test('recusa valores menores que o tamanho do seu tipo', () => {
+        const header = [2, 0, 0, 0, 0, 0, 0, 1, GROUPS.OPERATION];
+        const attribute = (tag, value) => Buffer.from([...header, tag, 0, 1, 0x61, 0, value.length, ...value, GROUPS.END]);
+
+        assert.throws(() => ipp.decode(attribute(TAGS.RANGE_OF_INTEGER, [0, 0, 0, 1])), IppError);
+        assert.throws(() => ipp.decode(attribute(TAGS.RESOLUTION, [0, 0, 1, 44, 0, 0, 1, 44])), IppError);
+        assert.throws(() => ipp.decode(attribute(TAGS.DATE_TIME, [7, 234, 10, 19])), IppError);
+        assert.throws(() => ipp.decode(attribute(TAGS.TEXT_WITH_LANGUAGE, [0, 20, 0x65, 0x6e])), IppError);
+        assert.throws(() => ipp.decode(attribute(TAGS.TEXT_WITH_LANGUAGE, [0, 2, 0x65, 0x6e, 0, 9, 0x6f, 0x69])), IppError);
+    });
+});
+
+describe('comunicação com uma impressora IPP', () => {
+    let server;
+    let uri;
+    let handler;
+    const received = [];
+
+    before(async () => {
+        server = http.createServer((request, response) => {
+            const chunks = [];
+
+            request.on('data', chunk => chunks.push(chunk));
+            request.on('end', () => {
+                const message = ipp.decode(Buffer.concat(chunks));
+                received.push({ path: request.url, message });
+
+                const { status = 200, type = 'application/ipp', body } = handler(message);
+                response.writeHead(status, { 'Content-Type': type });
+                response.end(body);
+            });
+        });
+
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        uri = `ipp://127.0.0.1:${server.address().port}/ipp/print`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('getPrinterAttributes envia a operação e retorna os atributos da impressora', async () => {
+        handler = (message) => ({
+            body: buildResponse(0x0000, message.requestId, [{
+                group: GROUPS.PRINTER,
+                attributes: [
+                    { name: 'printer-make-and-model', tag: TAGS.TEXT, value: 'HP LaserJet 1020' },
+                    { name: 'document-format-supported', tag: TAGS.MIME_MEDIA_TYPE, value: ['application/pdf', 'image/pwg-raster'] },
+                    { name: 'printer-state', tag: TAGS.ENUM, value: 3 }
+                ]
+            }])
+        });
+
+        const attributes = await ipp.getPrinterAttributes(uri, ['printer-make-and-model', 'document-format-supported']);
+        const { path, message } = received.at(-1);
+
+        assert.equal(path, '/ipp/print');
+        assert.equal(message.statusCode, OPERATIONS.GET_PRINTER_ATTRIBUTES);
+        assert.equal(message.operation['printer-uri'], uri);
+        assert.deepEqual(message.operation['requested-attributes'], ['printer-make-and-model', 'document-format-supported']);
+        assert.deepEqual(attributes, {
+            'printer-make-and-model': 'HP LaserJet 1020',
+            'document-format-supported': ['application/pdf', 'image/pwg-raster'],
+            'printer-state': 3
+        });
+    });
+
+    test('printJob envia o documento e os atributos do trabalho', async () => {
+        handler = (message) => ({
+            body: buildResponse(0x0000, message.requestId, [{
+                group: GROUPS.JOB,
+                attributes: [
+                    { name: 'job-id', tag: TAGS.INTEGER, value: 17 },
+                    { name: 'job-uri', tag: TAGS.URI, value: `${uri}/17` },
+                    { name: 'job-state', tag: TAGS.ENUM, value: 5 }
+                ]
+            }])
+        });
+
+        const job = await ipp.printJob(uri, Buffer.from('%PDF-1.4 teste'), {
+            userName: 'maria',
+            jobName: 'relatorio.pdf',
+            attributes: [{ name: 'copies', tag: TAGS.INTEGER, value: 2 }]
+        });
+        const { message } = received.at(-1);
+
+        assert.equal(message.statusCode, OPERATIONS.PRINT_JOB);
+        assert.equal(message.operation['requesting-user-name'], 'maria');
+        assert.equal(message.operation['job-name'], 'relatorio.pdf');
+        assert.equal(message.operation['document-format'], 'application/pdf');
+        assert.equal(message.job.copies, 2);
+        assert.equal(message.data.toString(), '%PDF-1.4 teste');
+        assert.deepEqual(job, { jobId: 17, jobUri: `${uri}/17`, state: 'processing' });
+    });
+
+    test('repete a requisição em IPP/1.1 quando a impressora não aceita IPP/2.0', async () => {
+        handler = (message) => ({
+            body: message.version === '2.0'
+                ? buildResponse(0x0503, message.requestId, [], '1.1')
+                : buildResponse(0x0000, message.requestId, [{
+                    group: GROUPS.PRINTER,
+                    attributes: [{ name: 'printer-state', tag: TAGS.ENUM, value: 3 }]
+                }], '1.1')
+        });
+
+        const count = received.length;
+        const attributes = await ipp.getPrinterAttributes(uri, ['printer-state']);
+
+        assert.deepEqual(received.slice(count).map(({ message }) => message.version), ['2.0', '1.1']);
+        assert.equal(attributes['printer-state'], 3);
+    });
+
+    test('lança IppError com o código de status quando a operação falha', async () => {
+        handler = (message) => ({ body: buildResponse(0x0400, message.requestId) });
+
+        await assert.rejects(
+            ipp.printJob(uri, Buffer.from('x')),
+            (error) => error instanceof IppError && error.statusCode === 0x0400
+        );
+    });
+
+    test('lança IppError quando a resposta não é IPP', async () => {
+        handler = () => ({ type: 'text/html', body: '<html></html>' });
+
+        await assert.rejects(ipp.getPrinterAttributes(uri), IppError);
+    });
+
+    test('lança IppError quando a impressora não responde a tempo', async () => {
+        const silent = http.createServer(() => {});
+
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+
+        try {
+            await assert.rejects(
+                ipp.getPrinterAttributes(`ipp://127.0.0.1:${silent.address().port}/ipp/print`, ['all'], 200),
+                IppError
+            );
+        } finally {
+            silent.closeAllConnections();
+            await new Promise(resolve => silent.close(resolve));
+        }
+    });
+});
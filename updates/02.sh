@@ -0,0 +1,2 @@
+echo "Instalando ferramenta poppler-utils..."
+sudo apt install poppler-utils -y